@@ -0,0 +1,339 @@
+/*--------------------------------------------------------------------
+ *  API keys
+ *
+ *  A pool of named DeepL API keys, for organizations with several
+ *  DeepL subscriptions. Each request goes to a key picked by name or
+ *  by policy, and moves on to the next key when DeepL says a key's
+ *  quota is used up or rejects it. Glossaries stay with the key whose
+ *  account owns them, since other accounts can't see them.
+ *-------------------------------------------------------------------*/
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ToolError, classifyError } from './errors.mjs';
+import { logger } from './logging.mjs';
+
+/**
+ * How to choose a key for a request: the first key that works, taking turns, or the key with the most characters left
+ */
+export const keyPolicies = /** @type {const} */ (['in-order', 'round-robin', 'most-remaining']);
+
+/** @typedef {typeof keyPolicies[number]} KeyPolicy */
+
+// Errors which another key might not have
+const failoverCategories = ['quota_exceeded', 'authorization'];
+
+// A key which ran out of quota or was rejected is tried last for a while
+const failedKeyCooldownMs = 10 * 60 * 1000;
+
+// How long we trust the remaining quota we got for a key, for the most-remaining policy
+const usageTtlMs = 60 * 1000;
+
+// Client methods whose first argument is the glossary they act on
+const glossaryMethods = new Set([
+  'getMultilingualGlossary', 'getMultilingualGlossaryDictionaryEntries', 'deleteMultilingualGlossary',
+  'deleteMultilingualGlossaryDictionary', 'replaceMultilingualGlossaryDictionary', 'replaceMultilingualGlossaryDictionaryWithCsv',
+  'updateMultilingualGlossaryName', 'updateMultilingualGlossaryDictionary', 'updateMultilingualGlossaryDictionaryWithCsv'
+]);
+
+// Client methods which can use a glossary, and the index of their options argument
+const glossaryOptionMethods = new Map([['translateText', 3], ['uploadDocument', 3], ['translateDocument', 4]]);
+
+/**
+ * @typedef {object} PooledKey
+ * @property {string} name
+ * @property {'free' | 'pro'} type
+ * @property {import('deepl-node').DeepLClient} client
+ * @property {number} failedAt - when DeepL last refused the key for its quota or authorization, or 0
+ */
+
+export class ApiKeyPool {
+  /**
+   * @param {Array<{ name: string, apiKey: string, client: import('deepl-node').DeepLClient }>} keys - in order of preference
+   * @param {KeyPolicy} [policy]
+   */
+  constructor(keys, policy = 'in-order') {
+    if (keys.length === 0) {
+      throw new Error('An API key pool needs at least one key');
+    }
+
+    /** @type {PooledKey[]} */
+    this.keys = keys.map(({ name, apiKey, client }) => ({
+      name,
+      type: apiKey.endsWith(':fx') ? 'free' : 'pro',
+      client,
+      failedAt: 0
+    }));
+    this.policy = policy;
+    this.turn = 0;
+    /** @type {Map<string, string>} glossary id to the name of the key that owns it */
+    this.glossaryOwners = new Map();
+    /** @type {Map<string, { remaining: number, fetchedAt: number }>} */
+    this.remaining = new Map();
+    /** @type {AsyncLocalStorage<string | undefined>} a key name or policy chosen for the current tool call */
+    this.selection = new AsyncLocalStorage();
+
+    // A client which sends each request to the right key, so the rest of the server can treat the pool as one client
+    this.client = /** @type {import('deepl-node').DeepLClient} */ (new Proxy(this.keys[0].client, {
+      get: (target, property, receiver) => {
+        const value = Reflect.get(target, property, receiver);
+        if (typeof value !== 'function' || typeof property !== 'string') {
+          return value;
+        }
+        return (...args) => this.call(property, args);
+      }
+    }));
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  get names() {
+    return this.keys.map(key => key.name);
+  }
+
+  /**
+   * Run a tool call with a key name or policy, which the pool uses for the call's requests instead of its own policy
+   * @template T
+   * @param {string | undefined} selection
+   * @param {() => Promise<T>} callback
+   * @returns {Promise<T>}
+   */
+  run(selection, callback) {
+    if (selection !== undefined && !keyPolicies.includes(/** @type {KeyPolicy} */ (selection))) {
+      this.get(selection);
+    }
+    return this.selection.run(selection, callback);
+  }
+
+  /**
+   * @param {string} name
+   */
+  get(name) {
+    const key = this.keys.find(key => key.name === name);
+    if (!key) {
+      throw new Error(`There is no API key named "${name}". API keys: ${this.names.join(', ')}`);
+    }
+    return key;
+  }
+
+  /**
+   * The client for one key, e.g. to check on a document uploaded with it. Without a name, requests go to any key.
+   * @param {string | undefined} name
+   */
+  clientFor(name) {
+    if (name === undefined) {
+      return this.client;
+    }
+    const key = this.keys.find(key => key.name === name);
+    if (!key) {
+      throw new Error(`This was done with the API key "${name}", which the server no longer has. API keys: ${this.names.join(', ')}`);
+    }
+    return key.client;
+  }
+
+  /**
+   * Run a request with the first suitable key, trying the next one if DeepL refuses a key for its quota or authorization.
+   * A request about a glossary always goes to the key that owns the glossary.
+   * @template T
+   * @param {(client: import('deepl-node').DeepLClient) => Promise<T>} request
+   * @param {object} [options]
+   * @param {string | null} [options.glossaryId] - the glossary the request uses
+   * @returns {Promise<{ result: T, keyName: string }>}
+   */
+  async use(request, { glossaryId = null } = {}) {
+    const owner = glossaryId ? await this.glossaryOwner(glossaryId) : null;
+    const keys = owner ? [this.ownerKey(owner, glossaryId)] : await this.candidates();
+
+    for (const [i, key] of keys.entries()) {
+      try {
+        const result = await request(key.client);
+        key.failedAt = 0;
+        return { result, keyName: key.name };
+      } catch (error) {
+        if (i === keys.length - 1 || !failoverCategories.includes(classifyError(error).category)) {
+          throw error;
+        }
+        key.failedAt = Date.now();
+        logger.warning(`API key "${key.name}" can't be used: ${error.message}. Trying API key "${keys[i + 1].name}"`);
+      }
+    }
+    throw new Error('No API key to use');
+  }
+
+  /**
+   * The usage of each key, or why it couldn't be fetched
+   * @returns {Promise<Array<{ name: string, type: 'free' | 'pro', usage?: import('deepl-node').Usage, error?: unknown }>>}
+   */
+  async usage() {
+    return Promise.all(this.keys.map(async ({ name, type, client }) => {
+      try {
+        const usage = await client.getUsage();
+        this.remaining.set(name, { remaining: remainingCharacters(usage), fetchedAt: Date.now() });
+        return { name, type, usage };
+      } catch (error) {
+        return { name, type, error };
+      }
+    }));
+  }
+
+  /**
+   * The name of the key that owns a glossary, if we know it
+   * @param {string} glossaryId
+   */
+  ownerOf(glossaryId) {
+    return this.keys.length === 1 ? this.keys[0].name : this.glossaryOwners.get(glossaryId);
+  }
+
+  /**
+   * @param {string} method
+   * @param {unknown[]} args
+   */
+  async call(method, args) {
+    if (method === 'listMultilingualGlossaries') {
+      return this.listGlossaries();
+    }
+
+    let glossaryId = null;
+    if (glossaryMethods.has(method)) {
+      glossaryId = glossaryIdOf(args[0]);
+    } else if (glossaryOptionMethods.has(method)) {
+      glossaryId = glossaryIdOf(args[glossaryOptionMethods.get(method)]?.['glossary']);
+    }
+
+    const { result, keyName } = await this.use(client => client[method](...args), { glossaryId });
+    if (method === 'createMultilingualGlossary') {
+      this.glossaryOwners.set(result.glossaryId, keyName);
+    } else if (method === 'deleteMultilingualGlossary') {
+      this.glossaryOwners.delete(glossaryId);
+    }
+    return result;
+  }
+
+  /**
+   * List the glossaries of every key, or of the key chosen for this tool call, and remember which key owns each one
+   * @returns {Promise<import('deepl-node').MultilingualGlossaryInfo[]>}
+   */
+  async listGlossaries() {
+    const selection = this.selection.getStore();
+    const keys = selection && !keyPolicies.includes(/** @type {KeyPolicy} */ (selection)) ? [this.get(selection)] : this.keys;
+
+    const lists = await Promise.all(keys.map(async key => {
+      try {
+        const glossaries = await key.client.listMultilingualGlossaries();
+        glossaries.forEach(glossary => this.glossaryOwners.set(glossary.glossaryId, key.name));
+        return { glossaries };
+      } catch (error) {
+        return { error, key };
+      }
+    }));
+
+    const failures = lists.filter(list => list.error);
+    if (failures.length === lists.length) {
+      throw failures[0].error;
+    }
+    for (const { key, error } of failures) {
+      logger.warning(`Glossaries of API key "${key.name}" can't be listed: ${error.message}`);
+    }
+    return lists.flatMap(list => list.glossaries ?? []);
+  }
+
+  /**
+   * Find the key that owns a glossary, listing the glossaries of each key if we don't know it yet
+   * @param {string} glossaryId
+   * @returns {Promise<string | undefined>} undefined if no key has the glossary, so that DeepL reports it missing
+   */
+  async glossaryOwner(glossaryId) {
+    if (this.keys.length === 1) {
+      return undefined;
+    }
+    if (!this.glossaryOwners.has(glossaryId)) {
+      await Promise.all(this.keys.map(async key => {
+        try {
+          const glossaries = await key.client.listMultilingualGlossaries();
+          glossaries.forEach(glossary => this.glossaryOwners.set(glossary.glossaryId, key.name));
+        } catch {
+          // A key we can't use doesn't own any glossaries we can use
+        }
+      }));
+    }
+    return this.glossaryOwners.get(glossaryId);
+  }
+
+  /**
+   * The key which owns a glossary, checking that the tool call didn't ask for a different key
+   * @param {string} owner
+   * @param {string} glossaryId
+   */
+  ownerKey(owner, glossaryId) {
+    const selection = this.selection.getStore();
+    if (selection && !keyPolicies.includes(/** @type {KeyPolicy} */ (selection)) && selection !== owner) {
+      throw new ToolError('invalid_input', `Glossary ${glossaryId} belongs to API key "${owner}", so it can't be used with API key "${selection}".`);
+    }
+    return this.get(owner);
+  }
+
+  /**
+   * The keys to try for a request, in order. Keys which recently ran out of quota or were rejected go last.
+   * @returns {Promise<PooledKey[]>}
+   */
+  async candidates() {
+    const selection = this.selection.getStore();
+    if (selection && !keyPolicies.includes(/** @type {KeyPolicy} */ (selection))) {
+      return [this.get(selection)];
+    }
+
+    let keys = this.keys;
+    switch (/** @type {KeyPolicy} */ (selection ?? this.policy)) {
+      case 'round-robin': {
+        const start = this.turn++ % keys.length;
+        keys = [...keys.slice(start), ...keys.slice(0, start)];
+        break;
+      }
+      case 'most-remaining':
+        await this.refreshRemaining();
+        keys = [...keys].sort((a, b) => this.remaining.get(b.name).remaining - this.remaining.get(a.name).remaining);
+        break;
+    }
+
+    const now = Date.now();
+    const hasFailed = (/** @type {PooledKey} */ key) => now - key.failedAt < failedKeyCooldownMs;
+    return [...keys.filter(key => !hasFailed(key)), ...keys.filter(hasFailed)];
+  }
+
+  /**
+   * Fetch the remaining quota of the keys we haven't checked lately
+   */
+  async refreshRemaining() {
+    const now = Date.now();
+    await Promise.all(this.keys
+      .filter(key => now - (this.remaining.get(key.name)?.fetchedAt ?? 0) > usageTtlMs)
+      .map(async key => {
+        let remaining;
+        try {
+          remaining = remainingCharacters(await key.client.getUsage());
+        } catch {
+          remaining = -Infinity;
+        }
+        this.remaining.set(key.name, { remaining, fetchedAt: now });
+      }));
+  }
+}
+
+/**
+ * @param {import('deepl-node').Usage} usage
+ */
+function remainingCharacters(usage) {
+  return usage.character ? usage.character.limit - usage.character.count : Infinity;
+}
+
+/**
+ * @param {unknown} glossary - a glossary id or info object, as the DeepL client accepts
+ * @returns {string | null}
+ */
+function glossaryIdOf(glossary) {
+  if (typeof glossary === 'string') {
+    return glossary;
+  }
+  return glossary?.['glossaryId'] ?? null;
+}
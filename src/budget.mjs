@@ -0,0 +1,199 @@
+/*--------------------------------------------------------------------
+ *  Character budget
+ *
+ *  A local cap on the number of characters this server will send to
+ *  DeepL, so an agent stuck in a loop can't use up a whole month's
+ *  character allowance.
+ *-------------------------------------------------------------------*/
+
+import os from 'node:os';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ToolError } from './errors.mjs';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+import { logger } from './logging.mjs';
+
+export const budgetPeriods = /** @type {const} */ (['process', 'day']);
+
+export const defaultBudgetFile = path.join(os.homedir(), '.deepl-mcp-server', 'character-budget.json');
+
+/**
+ * @typedef {object} Reservation - characters a tool call has set aside, which it hasn't been billed for yet
+ * @property {number} characters
+ */
+
+/**
+ * Tracks billed characters against a limit, either for the lifetime of this process
+ * or for each calendar day (in UTC). A day's count is saved to a file, so restarting
+ * the server doesn't reset it.
+ */
+export class CharacterBudget {
+  /**
+   * @param {object} options
+   * @param {number | null} [options.limit] - maximum characters, or null for no limit
+   * @param {'process' | 'day'} [options.period]
+   * @param {string | null} [options.file] - where to save the day's count, or null to only keep it in memory
+   */
+  constructor({ limit = null, period = 'process', file = null } = {}) {
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error(`Invalid character budget: ${limit}. Use a whole number of characters`);
+    }
+    if (!budgetPeriods.includes(period)) {
+      throw new Error(`Invalid character budget period: ${period}. Use one of: ${budgetPeriods.join(', ')}`);
+    }
+
+    this.limit = limit;
+    this.period = period;
+    this.file = period === 'day' && limit !== null && file !== null ? path.resolve(file) : null;
+    this.used = 0;
+    // Characters we've been billed for but haven't saved yet
+    this.unsaved = 0;
+    // Characters set aside by tool calls which are still running
+    this.reserved = 0;
+    this.day = currentDay();
+    /** @type {AsyncLocalStorage<Reservation>} */
+    this.reservations = new AsyncLocalStorage();
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Read the day's count from the budget's file, if it has one
+   */
+  async load() {
+    if (!this.file) {
+      return;
+    }
+    const stored = await readJsonFile(this.file, { day: null, used: 0 });
+    if (stored.day === this.day && Number.isInteger(stored.used)) {
+      this.used = stored.used + this.unsaved;
+    }
+  }
+
+  /**
+   * Run a tool call. The characters it sets aside with assertAvailable() are held for it until
+   * it's billed for them or it ends, so calls running at the same time can't overshoot the budget together
+   * @template T
+   * @param {() => Promise<T>} callback
+   * @returns {Promise<T>}
+   */
+  async run(callback) {
+    /** @type {Reservation} */
+    const reservation = { characters: 0 };
+    try {
+      return await this.reservations.run(reservation, callback);
+    } finally {
+      this.reserved -= reservation.characters;
+      if (this.unsaved) {
+        // Failing to save the count shouldn't fail the tool call that used the characters
+        await this.save().catch((error) => {
+          logger.warning(`Failed to save the character budget to ${this.file}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Throw an error if the budget has been used up, or if it doesn't have room for
+   * the expected number of characters. Otherwise, set them aside for the current tool call.
+   * @param {number} [expected] - characters we expect the next request to be billed for
+   */
+  assertAvailable(expected = 0) {
+    if (this.limit === null) {
+      return;
+    }
+
+    this.resetIfNewDay();
+    const periodDescription = this.period === 'day' ? 'today' : 'since the server started';
+
+    if (this.used >= this.limit) {
+      throw new ToolError('budget_exceeded', `Character budget reached: ${this.used} of ${this.limit} characters used ${periodDescription}. No more requests will be sent to DeepL until the budget is raised${this.period === 'day' ? ' or the day ends (UTC)' : ' or the server is restarted'}.`);
+    }
+
+    if (this.used + this.reserved + expected > this.limit) {
+      const inProgress = this.reserved ? `, and ${this.reserved} are set aside for requests in progress` : '';
+      throw new ToolError('budget_exceeded', `Character budget too low: this request needs about ${expected} characters, but only ${this.limit - this.used} of ${this.limit} are left ${periodDescription}${inProgress}. Try sending less text.`);
+    }
+
+    const reservation = this.reservations.getStore();
+    if (reservation) {
+      reservation.characters += expected;
+      this.reserved += expected;
+    }
+  }
+
+  /**
+   * @param {number | undefined} characters - billed characters reported by DeepL
+   */
+  record(characters) {
+    this.resetIfNewDay();
+    this.used += characters ?? 0;
+
+    // The characters we're billed for are no longer just set aside
+    const reservation = this.reservations.getStore();
+    if (reservation) {
+      const released = Math.min(reservation.characters, characters ?? 0);
+      reservation.characters -= released;
+      this.reserved -= released;
+    }
+
+    if (this.file) {
+      this.unsaved += characters ?? 0;
+    }
+  }
+
+  /**
+   * Summarize the state of the budget, for reporting to the client
+   */
+  describe() {
+    this.resetIfNewDay();
+    return {
+      limit: this.limit,
+      used: this.used,
+      remaining: this.limit === null ? null : Math.max(this.limit - this.used, 0),
+      period: this.period
+    };
+  }
+
+  resetIfNewDay() {
+    if (this.period !== 'day') {
+      return;
+    }
+
+    const today = currentDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.used = 0;
+      this.unsaved = 0;
+    }
+  }
+
+  /**
+   * Add the characters we've used since we last saved to the count in the file. Going by what's in the file,
+   * rather than overwriting it, counts the characters of other servers sharing the file too.
+   */
+  async save() {
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(async () => {
+        const file = /** @type {string} */ (this.file);
+        const { day, unsaved } = this;
+        this.unsaved = 0;
+        const stored = await readJsonFile(file, { day: null, used: 0 });
+        const used = (stored.day === day && Number.isInteger(stored.used) ? stored.used : 0) + unsaved;
+        try {
+          await writeJsonFile(file, { day, used });
+        } catch (error) {
+          this.unsaved += day === this.day ? unsaved : 0;
+          throw error;
+        }
+        if (day === this.day) {
+          this.used = Math.max(this.used, used + this.unsaved);
+        }
+      });
+    await this.pendingSave;
+  }
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
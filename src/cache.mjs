@@ -0,0 +1,225 @@
+/*--------------------------------------------------------------------
+ *  Translation cache
+ *
+ *  An optional disk-backed cache of text translations and rephrasings,
+ *  so that the same request isn't billed again in a later session.
+ *  Changes are saved once a tool call is done, not after each entry.
+ *-------------------------------------------------------------------*/
+
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+import { logger } from './logging.mjs';
+
+const cacheFileName = 'deepl-mcp-cache.json';
+export const defaultTtlSeconds = 30 * 24 * 60 * 60;
+export const defaultMaxEntries = 10000;
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {any} value
+ * @property {number} createdAt
+ * @property {string} [glossaryId] - the glossary used for the result, whose changes make the entry stale
+ */
+
+/**
+ * A cache of results, keyed on everything that affects the result of a request.
+ * All entries are kept in memory and saved to a single JSON file in the cache directory.
+ * When the cache is full, the least recently used entries are evicted.
+ */
+export class TranslationCache {
+  /**
+   * @param {object} options
+   * @param {string | null} [options.dir] - directory to store the cache file in, or null to disable caching
+   * @param {boolean} [options.inMemory] - cache without a file, for as long as the server runs
+   * @param {number} [options.ttlSeconds] - how long entries stay valid
+   * @param {number} [options.maxEntries] - how many entries to keep
+   */
+  constructor({ dir = null, inMemory = false, ttlSeconds = defaultTtlSeconds, maxEntries = defaultMaxEntries } = {}) {
+    if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+      throw new Error(`Invalid cache TTL: ${ttlSeconds}. Use a positive number of seconds`);
+    }
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+      throw new Error(`Invalid cache size: ${maxEntries}. Use a positive whole number of entries`);
+    }
+
+    this.enabled = Boolean(dir) || inMemory;
+    this.file = dir ? path.join(path.resolve(dir), cacheFileName) : null;
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.hits = 0;
+    this.misses = 0;
+
+    /** @type {Map<string, CacheEntry> | null} */
+    this.entries = null;
+    /** @type {Promise<Map<string, CacheEntry>> | null} */
+    this.loading = null;
+    this.pendingSave = Promise.resolve();
+    // Whether there are changes which haven't been saved yet
+    this.changed = false;
+  }
+
+  /**
+   * Build a cache key from everything that affects the result of a request
+   * @param {Record<string, unknown>} params
+   */
+  static key(params) {
+    const sortedEntries = Object.entries(params)
+      .map(([name, value]) => [name, value ?? null])
+      .sort(([a], [b]) => a.localeCompare(b));
+    return createHash('sha256').update(JSON.stringify(sortedEntries)).digest('hex');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>} the cached value, or undefined if there is none
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    const entries = await this.load();
+    const entry = entries.get(key);
+
+    if (!entry || this.isExpired(entry)) {
+      entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move the entry to the end of the map, so the map stays in least-recently-used order
+    entries.delete(key);
+    entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Add an entry. It's saved by the next flush().
+   * @param {string} key
+   * @param {any} value
+   * @param {object} [options]
+   * @param {string} [options.glossaryId] - the glossary used for the result, if any
+   */
+  async set(key, value, { glossaryId } = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const entries = await this.load();
+    entries.delete(key);
+    entries.set(key, { value, createdAt: Date.now(), ...(glossaryId && { glossaryId }) });
+
+    for (const oldestKey of entries.keys()) {
+      if (entries.size <= this.maxEntries) {
+        break;
+      }
+      entries.delete(oldestKey);
+    }
+    this.changed = true;
+  }
+
+  /**
+   * Remove the results which used a glossary, because its entries have changed or it's gone
+   * @param {string} glossaryId
+   * @returns {Promise<number>} how many results were removed
+   */
+  async forgetGlossary(glossaryId) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const entries = await this.load();
+    let count = 0;
+    for (const [key, entry] of entries) {
+      if (entry.glossaryId === glossaryId) {
+        entries.delete(key);
+        count++;
+      }
+    }
+    this.changed ||= count > 0;
+    await this.flush();
+    return count;
+  }
+
+  /**
+   * Save the changes since the last flush, if there are any
+   */
+  async flush() {
+    if (!this.changed) {
+      return;
+    }
+    this.changed = false;
+
+    // Failing to save the cache shouldn't fail the translations we're caching
+    try {
+      await this.save();
+    } catch (error) {
+      logger.warning(`Failed to save translation cache to ${this.file}: ${error.message}`);
+    }
+  }
+
+  async clear() {
+    const count = this.enabled ? (await this.load()).size : 0;
+    if (this.enabled) {
+      this.entries = new Map();
+      this.changed = false;
+      await this.save();
+    }
+    this.hits = 0;
+    this.misses = 0;
+    return count;
+  }
+
+  async stats() {
+    const entries = this.enabled ? await this.load() : new Map();
+    return {
+      enabled: this.enabled,
+      location: this.file,
+      entries: entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlSeconds,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  /**
+   * Read the cache file the first time we need it, dropping any expired entries
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    // Concurrent requests share a single read of the file
+    this.loading ??= this.readFile();
+    this.entries = await this.loading;
+    return this.entries;
+  }
+
+  async readFile() {
+    const stored = this.file ? await readJsonFile(this.file, []) : [];
+    return new Map(
+      (Array.isArray(stored) ? stored : []).filter(([, entry]) => entry && !this.isExpired(entry))
+    );
+  }
+
+  /**
+   * Write the cache file, one write at a time
+   */
+  async save() {
+    if (!this.file) {
+      return;
+    }
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(() => writeJsonFile(/** @type {string} */ (this.file), [...(this.entries ?? [])]));
+    await this.pendingSave;
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttlSeconds * 1000;
+  }
+}
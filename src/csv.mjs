@@ -0,0 +1,73 @@
+/*--------------------------------------------------------------------
+ *  CSV and TSV
+ *
+ *  Reads and writes delimited text files, such as spreadsheets of
+ *  approved translations or terms, following RFC 4180's quoting rules.
+ *-------------------------------------------------------------------*/
+
+/**
+ * Parse delimited text into rows of cells. Blank lines are skipped.
+ * @param {string} content
+ * @param {string} [delimiter] - "," for CSV, or "\t" for TSV
+ * @returns {string[][]}
+ */
+export function parseCsv(content, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = content.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: a quoted value is never closed');
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Write rows of cells as delimited text, quoting the cells that need it
+ * @param {string[][]} rows
+ * @param {string} [delimiter]
+ */
+export function formatCsv(rows, delimiter = ',') {
+  const needsQuotes = (/** @type {string} */ cell) => cell.includes(delimiter) || /["\r\n]/.test(cell);
+  return rows
+    .map(row => row.map(cell => needsQuotes(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(delimiter))
+    .join('\n') + '\n';
+}
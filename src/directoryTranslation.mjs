@@ -0,0 +1,278 @@
+/*--------------------------------------------------------------------
+ *  Directory translation
+ *
+ *  Finds the documents in a directory which should be translated, works
+ *  out where their translations go, and keeps a manifest of what's been
+ *  done, so that running the same translation again only translates
+ *  files which are new, changed, or failed last time.
+ *-------------------------------------------------------------------*/
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+
+export const manifestFileName = '.deepl-manifest.json';
+
+export const defaultOutputLayout = '{lang}/{path}';
+
+const layoutPlaceholders = ['lang', 'path', 'dir', 'name', 'ext'];
+
+/*---- Finding files ----*/
+
+/**
+ * Turn a glob pattern into a regular expression which matches relative paths, with "/" as the separator.
+ * Supports *, **, ?, [abc] and {a,b}. A pattern without a "/" matches file names in any directory.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!glob.includes('/')) {
+    glob = `**/${glob}`;
+  }
+
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of directories, including none, and a final "**" matches everything
+      const isWholeSegment = (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/');
+      if (isWholeSegment) {
+        source += i + 2 === glob.length ? '.*' : '(?:[^/]+/)*';
+        i += 2;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const chars = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${chars}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      source += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      source += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\/]/g, '\\$&');
+    }
+  }
+
+  if (braceDepth > 0) {
+    throw new Error(`Invalid glob pattern ${pattern}: a "{" isn't closed`);
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * List the files in a directory and its subdirectories which match the include patterns and none of
+ * the exclude patterns. Hidden files and directories, and symlinked directories, are skipped.
+ * @param {string} dir
+ * @param {object} filters
+ * @param {string[]} filters.include
+ * @param {string[]} [filters.exclude]
+ * @returns {Promise<string[]>} the matching files' paths relative to the directory, with "/" as the separator, sorted
+ */
+export async function findFiles(dir, { include, exclude = [] }) {
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  const isExcluded = (relativePath) => excludePatterns.some(pattern => pattern.test(relativePath));
+
+  /** @type {string[]} */
+  const files = [];
+  const walk = async (relativeDir) => {
+    const entries = await fs.promises.readdir(path.join(dir, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.name.startsWith('.') || isExcluded(relativePath)) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if ((entry.isFile() || entry.isSymbolicLink()) && includePatterns.some(pattern => pattern.test(relativePath))) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk('');
+  return files.sort();
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<string>} the SHA-256 hash of the file's content
+ */
+export async function fileHash(file) {
+  const hash = createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/*---- Output layout ----*/
+
+/**
+ * Check that an output layout only uses placeholders we know, and gives each file and language its own path
+ * @param {string} layout
+ * @param {number} targetCount - how many target languages there are
+ */
+export function assertValidLayout(layout, targetCount) {
+  const unknown = [...layout.matchAll(/\{(\w*)\}/g)]
+    .map(match => match[1])
+    .filter(name => !layoutPlaceholders.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown placeholder in output layout: {${unknown[0]}}. Use ${layoutPlaceholders.map(name => `{${name}}`).join(', ')}`);
+  }
+  if (targetCount > 1 && !layout.includes('{lang}')) {
+    throw new Error('The output layout needs a {lang} placeholder when translating into several languages');
+  }
+  if (!layout.includes('{path}') && !layout.includes('{name}')) {
+    throw new Error('The output layout needs a {path} or {name} placeholder, so that each file gets its own translation');
+  }
+}
+
+/**
+ * Work out where the translation of a file goes, e.g. "guides/setup.docx" with the layout "{lang}/{path}" to "de/guides/setup.docx"
+ * @param {string} layout
+ * @param {string} relativePath - the input file's path relative to the input directory, with "/" as the separator
+ * @param {string} targetLangCode
+ * @returns {string} the output file's path relative to the output directory
+ */
+export function layoutPath(layout, relativePath, targetLangCode) {
+  const { dir, name, ext } = path.posix.parse(relativePath);
+  const values = { lang: targetLangCode, path: relativePath, dir, name, ext };
+
+  const filled = layout.replace(/\{(\w+)\}/g, (_, placeholder) => values[placeholder]);
+  const normalized = path.posix.normalize(filled.replace(/\\/g, '/')).replace(/^\/+/, '');
+
+  if (normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`The output layout puts ${relativePath} outside the output directory`);
+  }
+  return normalized;
+}
+
+/*---- Manifest ----*/
+
+/**
+ * @typedef {object} ManifestEntry
+ * @property {'translating' | 'done' | 'failed'} status
+ * @property {string} sourceHash - hash of the input file when it was translated
+ * @property {string} [outputFile] - the last translation we wrote, which later runs may overwrite
+ * @property {string} [jobId] - the document job, so a translation which was interrupted can be picked up again
+ * @property {number} [billedCharacters]
+ * @property {string} [error]
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * A record of each file's translation into each language, saved as JSON after every change.
+ * Files are keyed by their path relative to the input directory.
+ */
+export class TranslationManifest {
+  /**
+   * @param {string} file
+   * @param {object} data
+   * @param {string} data.inputDir
+   * @param {Record<string, Record<string, ManifestEntry>>} data.files
+   */
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Load a manifest, or start a new one if the file doesn't exist yet
+   * @param {string} file
+   * @param {string} inputDir
+   */
+  static async load(file, inputDir) {
+    const stored = await readJsonFile(file, null);
+    const files = stored && typeof stored.files === 'object' ? stored.files : {};
+    return new TranslationManifest(file, { inputDir, files });
+  }
+
+  /**
+   * @param {string} relativePath
+   * @param {string} targetLangCode
+   * @returns {ManifestEntry | undefined}
+   */
+  get(relativePath, targetLangCode) {
+    return this.data.files[relativePath]?.[targetLangCode];
+  }
+
+  /**
+   * The output files recorded in the manifest, so that we don't mistake them for input files
+   * when the output directory is inside the input directory
+   * @returns {Set<string>}
+   */
+  outputFiles() {
+    return new Set(Object.values(this.data.files)
+      .flatMap(targets => Object.values(targets))
+      .map(entry => entry.outputFile)
+      .filter(Boolean));
+  }
+
+  /**
+   * @param {string} relativePath
+   * @param {string} targetLangCode
+   * @param {Omit<ManifestEntry, 'updatedAt'>} entry
+   */
+  async set(relativePath, targetLangCode, entry) {
+    this.data.files[relativePath] ??= {};
+    this.data.files[relativePath][targetLangCode] = { ...entry, updatedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  async save() {
+    // Saves can overlap when several files finish at once, so we write one at a time
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(() => writeJsonFile(this.file, { version: 1, ...this.data }));
+    await this.pendingSave;
+  }
+}
+
+/*---- Concurrency ----*/
+
+/**
+ * Run a function on each item, with at most `concurrency` running at once
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} the results, in the same order as the items
+ */
+export async function mapConcurrently(items, concurrency, fn) {
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
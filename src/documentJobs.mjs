@@ -0,0 +1,112 @@
+/*--------------------------------------------------------------------
+ *  Document translation jobs
+ *
+ *  Keeps the handles of documents we've uploaded to DeepL in a file,
+ *  so a translation can still be checked and downloaded after the
+ *  client disconnects or the server restarts.
+ *-------------------------------------------------------------------*/
+
+import os from 'node:os';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+
+export const defaultJobsFile = path.join(os.homedir(), '.deepl-mcp-server', 'document-jobs.json');
+
+// DeepL deletes translated documents some time after they're done, so we forget old jobs too
+const maxJobAgeMs = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} DocumentJob
+ * @property {string} jobId - the DeepL document id, which we also use as our job id
+ * @property {string} documentKey - needed with the document id to access the document
+ * @property {string} inputFile
+ * @property {string | null} sourceLangCode
+ * @property {string} targetLangCode
+ * @property {string} [apiKeyName] - the API key the document was uploaded with
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} status - the last status DeepL reported
+ * @property {number} [billedCharacters]
+ * @property {string} [outputFile] - where the translation was downloaded to, once it has been
+ */
+
+export class DocumentJobStore {
+  /**
+   * @param {string | null} file - where to save jobs, or null to only keep them in memory
+   */
+  constructor(file) {
+    this.file = file === null ? null : path.resolve(file);
+    /** @type {Promise<Map<string, DocumentJob>> | null} */
+    this.loading = null;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * @param {DocumentJob} job
+   */
+  async add(job) {
+    const jobs = await this.load();
+    jobs.set(job.jobId, job);
+    await this.save();
+  }
+
+  /**
+   * @param {string} jobId
+   * @returns {Promise<DocumentJob>}
+   */
+  async get(jobId) {
+    const job = (await this.load()).get(jobId);
+    if (!job) {
+      throw new Error(`Unknown document job: ${jobId}. It may have expired, or been uploaded by a different server.`);
+    }
+    return job;
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {Partial<DocumentJob>} changes
+   * @returns {Promise<DocumentJob>}
+   */
+  async update(jobId, changes) {
+    const job = await this.get(jobId);
+    Object.assign(job, changes);
+    await this.save();
+    return job;
+  }
+
+  /**
+   * Record the characters a finished job was billed for, unless that has been done already
+   * @param {string} jobId
+   * @param {number} billedCharacters
+   * @returns {Promise<boolean>} whether this call recorded them, and so should count them against the budget
+   */
+  async recordBilling(jobId, billedCharacters) {
+    const job = await this.get(jobId);
+    // Checked and set without waiting in between, so two calls checking on the same job can't both count it
+    if (job.billedCharacters !== undefined) {
+      return false;
+    }
+    job.billedCharacters = billedCharacters;
+    await this.save();
+    return true;
+  }
+
+  async load() {
+    this.loading ??= (this.file ? readJsonFile(this.file, []) : Promise.resolve([])).then(stored => new Map(
+      (Array.isArray(stored) ? stored : [])
+        .filter(job => Date.now() - Date.parse(job.createdAt) < maxJobAgeMs)
+        .map(job => [job.jobId, job])
+    ));
+    return this.loading;
+  }
+
+  async save() {
+    const jobs = await this.load();
+    if (!this.file) {
+      return;
+    }
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(() => writeJsonFile(this.file, [...jobs.values()]));
+    await this.pendingSave;
+  }
+}
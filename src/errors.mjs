@@ -0,0 +1,201 @@
+/*--------------------------------------------------------------------
+ *  Errors
+ *
+ *  Sorts the errors our tools run into by what went wrong, so that an
+ *  MCP client can tell a mistake in its request from a used-up quota
+ *  or an overloaded DeepL, and knows whether trying again could help.
+ *-------------------------------------------------------------------*/
+
+import * as deepl from 'deepl-node';
+import { logger } from './logging.mjs';
+
+/**
+ * @typedef {'invalid_input' | 'glossary_not_found' | 'file_access' | 'budget_exceeded' | 'quota_exceeded' | 'authorization'
+ *   | 'rate_limited' | 'connection' | 'service_unavailable' | 'document_translation' | 'document_not_ready'
+ *   | 'deepl_error' | 'internal'} ErrorCategory
+ */
+
+/** @type {Record<ErrorCategory, { retryable: boolean, guidance: string }>} */
+const categories = {
+  invalid_input: {
+    retryable: false,
+    guidance: 'Correct the arguments as the message explains, then try again. Repeating the same request will fail the same way.'
+  },
+  glossary_not_found: {
+    retryable: false,
+    guidance: "Use list-glossaries to find the right glossary id or name and the language pairs it has dictionaries for, or translate without a glossary."
+  },
+  file_access: {
+    retryable: false,
+    guidance: 'Check the file path. Files must exist to be read, and must be inside the directories the server allows. Use ifOutputExists to replace or rename an existing output file.'
+  },
+  budget_exceeded: {
+    retryable: false,
+    guidance: "This server's character budget is used up. Don't retry: ask the user to raise the budget or wait for it to reset. Cached translations and tools that don't translate still work."
+  },
+  quota_exceeded: {
+    retryable: false,
+    guidance: "The DeepL account's character quota for this billing period is used up. Don't retry: ask the user to raise their DeepL usage limit or wait for the next billing period. Use get-usage to see the quota."
+  },
+  authorization: {
+    retryable: false,
+    guidance: "DeepL rejected the server's API key, or the account doesn't allow this feature. Don't retry: the server's API key needs to be fixed."
+  },
+  rate_limited: {
+    retryable: true,
+    guidance: 'DeepL is receiving too many requests. Wait a few seconds, then try again, with fewer requests at once.'
+  },
+  connection: {
+    retryable: true,
+    guidance: "The server couldn't reach DeepL. Try again in a little while. If it keeps happening, the server's network or proxy settings may be wrong."
+  },
+  service_unavailable: {
+    retryable: true,
+    guidance: 'DeepL is temporarily unavailable. Try again in a little while.'
+  },
+  document_translation: {
+    retryable: false,
+    guidance: "DeepL couldn't translate the document. Check that it's a valid, unprotected file of a supported type. Retrying the same file is unlikely to help."
+  },
+  document_not_ready: {
+    retryable: true,
+    guidance: 'The document is still being translated. Check on it with get-document-status, and download it once it is done.'
+  },
+  deepl_error: {
+    retryable: false,
+    guidance: 'DeepL returned an error. Check the message for what to change before trying again.'
+  },
+  internal: {
+    retryable: false,
+    guidance: 'This is a bug in the DeepL MCP server, not a problem with the request. Please report it.'
+  }
+};
+
+export const errorCategories = /** @type {ErrorCategory[]} */ (Object.keys(categories));
+
+/**
+ * An error whose category we know where we throw it
+ */
+export class ToolError extends Error {
+  /**
+   * @param {ErrorCategory} category
+   * @param {string} message
+   * @param {ErrorOptions} [options]
+   */
+  constructor(category, message, options) {
+    super(message, options);
+    this.name = 'ToolError';
+    this.category = category;
+  }
+}
+
+/**
+ * Work out what kind of error this is. We look through the error's causes for the first one whose kind we know,
+ * since our tools wrap errors to say what they were doing, as in "Translation failed: ...".
+ * @param {unknown} error
+ * @returns {{ category: ErrorCategory, retryable: boolean, guidance: string }}
+ */
+export function classifyError(error) {
+  const category = categoryOf(error);
+  return { category, ...categories[category] };
+}
+
+/**
+ * Turn an error into an MCP tool result, so that the client gets its category and what to do about it
+ * @param {unknown} error
+ * @returns {import('@modelcontextprotocol/sdk/types.js').CallToolResult}
+ */
+export function toolErrorResult(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  const { category, retryable, guidance } = classifyError(error);
+  if (category === 'internal') {
+    logger.error(`Unexpected error in tool: ${message}`, error instanceof Error ? { stack: error.stack } : {});
+  }
+
+  return {
+    isError: true,
+    content: [
+      { type: 'text', text: message },
+      { type: 'text', text: `Error category: ${category}${retryable ? ' (temporary)' : ''}. ${guidance}` }
+    ],
+    _meta: { errorCategory: category, retryable }
+  };
+}
+
+/**
+ * @param {unknown} error
+ * @returns {ErrorCategory}
+ */
+function categoryOf(error) {
+  /** @type {unknown} */
+  let current = error;
+  while (current instanceof Error) {
+    if (current instanceof ToolError) {
+      return current.category;
+    }
+    if (current instanceof deepl.DeepLError) {
+      return deeplErrorCategory(current);
+    }
+    if (!(current.cause instanceof Error)) {
+      break;
+    }
+    current = current.cause;
+  }
+
+  if (typeof current?.['code'] === 'string' && /^E[A-Z]+$/.test(current['code'])) {
+    return 'file_access';
+  }
+  if (current instanceof TypeError || current instanceof ReferenceError || current instanceof RangeError) {
+    return 'internal';
+  }
+  // Our own checks on a tool's arguments throw plain errors
+  return 'invalid_input';
+}
+
+// deepl-node checks some arguments itself before sending a request, but reports what's wrong with them
+// as a plain DeepLError rather than an ArgumentError, like "texts parameter must be a non-empty string"
+const deeplArgumentErrorPattern = new RegExp([
+  'must be a non-empty string', 'must not be empty', 'must be specified', 'is required if using a glossary', 'is deprecated',
+  'option should be', 'are mutually exclusive', 'tab character in entry', '^Duplicate source term', 'is not a valid term',
+  'contains invalid character'
+].join('|'));
+
+/**
+ * @param {deepl.DeepLError} error
+ * @returns {ErrorCategory}
+ */
+function deeplErrorCategory(error) {
+  if (error instanceof deepl.QuotaExceededError) {
+    return 'quota_exceeded';
+  }
+  if (error instanceof deepl.TooManyRequestsError) {
+    return 'rate_limited';
+  }
+  if (error instanceof deepl.AuthorizationError) {
+    return 'authorization';
+  }
+  if (error instanceof deepl.GlossaryNotFoundError) {
+    return 'glossary_not_found';
+  }
+  if (error instanceof deepl.DocumentNotReadyError) {
+    return 'document_not_ready';
+  }
+  if (error instanceof deepl.DocumentTranslationError) {
+    return 'document_translation';
+  }
+  if (error instanceof deepl.ConnectionError) {
+    return 'connection';
+  }
+  if (error instanceof deepl.ArgumentError) {
+    return 'invalid_input';
+  }
+
+  // deepl-node reports other HTTP errors as plain DeepLErrors, so we go by the message
+  if (/^Service unavailable|^Unexpected status code: 5\d\d/.test(error.message)) {
+    return 'service_unavailable';
+  }
+  if (/^Bad request/.test(error.message) || deeplArgumentErrorPattern.test(error.message)) {
+    return 'invalid_input';
+  }
+  return 'deepl_error';
+}
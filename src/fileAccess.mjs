@@ -0,0 +1,200 @@
+/*--------------------------------------------------------------------
+ *  File access
+ *
+ *  Checks the file paths that tools are given, so that they can only
+ *  read and write inside the directories we've been configured to
+ *  allow, and don't silently overwrite existing files.
+ *-------------------------------------------------------------------*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { ToolError } from './errors.mjs';
+
+export const overwritePolicies = /** @type {const} */ (['fail', 'rename', 'overwrite']);
+
+// File extensions of the document formats DeepL can translate.
+// See https://developers.deepl.com/docs/api-reference/document
+export const supportedDocumentExtensions = [
+  '.docx', '.doc', '.pptx', '.xlsx', '.pdf', '.htm', '.html', '.txt', '.xlf', '.xliff', '.srt', '.jpg', '.jpeg', '.png'
+];
+
+/**
+ * Resolves file paths for tools, and rejects any that fall outside the allowed directories.
+ * Paths are resolved through symlinks and `..` segments before they're checked.
+ * If no allowed directories are configured, any path is allowed.
+ */
+export class FileSandbox {
+  /**
+   * @param {object} options
+   * @param {string[]} [options.allowedDirs] - directories that tools may read from and write to
+   * @param {'fail' | 'rename' | 'overwrite'} [options.overwritePolicy] - what to do by default when an output file already exists
+   */
+  constructor({ allowedDirs = [], overwritePolicy = 'fail' } = {}) {
+    if (!overwritePolicies.includes(overwritePolicy)) {
+      throw new Error(`Invalid overwrite policy: ${overwritePolicy}. Use one of: ${overwritePolicies.join(', ')}`);
+    }
+
+    this.allowedDirs = allowedDirs.map(dir => {
+      try {
+        return fs.realpathSync(path.resolve(dir));
+      } catch (error) {
+        throw new Error(`Allowed directory ${dir} can't be used: ${error.message}`);
+      }
+    });
+    this.overwritePolicy = overwritePolicy;
+  }
+
+  /**
+   * Resolve the path of a file to read, and check that it exists and is allowed
+   * @param {string} file
+   * @returns {Promise<string>} the real path of the file
+   */
+  async resolveInput(file) {
+    let realPath;
+    try {
+      realPath = await fs.promises.realpath(path.resolve(file));
+    } catch (error) {
+      throw new ToolError('file_access', `Input file ${file} can't be read: ${error.code === 'ENOENT' ? 'it does not exist' : error.message}`);
+    }
+
+    this.assertAllowed(file, realPath);
+    return realPath;
+  }
+
+  /**
+   * Resolve the path of a file to write, check that it's allowed, and apply the overwrite policy if it already exists.
+   * This doesn't remove an existing file: call `prepareForWrite()` just before writing.
+   * @param {string} file
+   * @param {'fail' | 'rename' | 'overwrite'} [overwritePolicy] - overrides the sandbox's default policy
+   * @returns {Promise<string>} the path to write to, which is a different one if the policy is "rename"
+   */
+  async resolveOutput(file, overwritePolicy = this.overwritePolicy) {
+    const resolved = path.resolve(file);
+
+    // The file may not exist yet, so we resolve its directory instead
+    let realDir;
+    try {
+      realDir = await fs.promises.realpath(path.dirname(resolved));
+    } catch (error) {
+      throw new ToolError('file_access', `Output directory for ${file} can't be used: ${error.code === 'ENOENT' ? 'it does not exist' : error.message}`);
+    }
+
+    const realPath = path.join(realDir, path.basename(resolved));
+    this.assertAllowed(file, realPath);
+
+    // A symlink, even one to a file that doesn't exist, counts as an existing file: writing through it
+    // could write outside the allowed directories. Overwriting removes the link itself
+    const existing = await linkStats(realPath);
+    if (!existing) {
+      return realPath;
+    }
+
+    switch (overwritePolicy) {
+      case 'overwrite':
+        return realPath;
+      case 'rename':
+        return uniquePath(realPath);
+      default:
+        throw new ToolError('file_access', `Output file ${file} already exists${existing.isSymbolicLink() ? ' as a symbolic link' : ''}. Choose another output file, or ask to overwrite it or to rename the new file.`);
+    }
+  }
+
+  /**
+   * Create a directory to write output files in, and its parents, if they're allowed
+   * @param {string} dir
+   * @returns {Promise<string>} the real path of the directory
+   */
+  async ensureDirectory(dir) {
+    // Check the deepest part of the path that already exists, since that's where any symlinks are
+    let existing = path.resolve(dir);
+    const missing = [];
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+
+    const realPath = path.join(await fs.promises.realpath(existing), ...missing);
+    this.assertAllowed(dir, realPath);
+
+    try {
+      await fs.promises.mkdir(realPath, { recursive: true });
+    } catch (error) {
+      throw new ToolError('file_access', `Output directory ${dir} can't be created: ${error.message}`);
+    }
+    return realPath;
+  }
+
+  /**
+   * Remove an existing output file which we're allowed to overwrite. We remove it rather than
+   * writing through it, in case it's a symlink to somewhere outside the allowed directories,
+   * or to a file that doesn't exist yet.
+   * @param {string} realPath - a path returned by `resolveOutput()`
+   * @param {'fail' | 'rename' | 'overwrite'} [overwritePolicy]
+   */
+  async prepareForWrite(realPath, overwritePolicy = this.overwritePolicy) {
+    if (overwritePolicy === 'overwrite') {
+      await fs.promises.rm(realPath, { force: true });
+    }
+  }
+
+  /**
+   * @param {string} file - the path as given, for error messages
+   * @param {string} realPath
+   */
+  assertAllowed(file, realPath) {
+    if (this.allowedDirs.length === 0) {
+      return;
+    }
+
+    const isInside = this.allowedDirs.some(dir => {
+      const relative = path.relative(dir, realPath);
+      const isOutside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+      return !isOutside;
+    });
+
+    if (!isInside) {
+      throw new ToolError('file_access', `Access to ${file} is not allowed. Files must be inside one of these directories: ${this.allowedDirs.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Check that DeepL can translate a document, based on its file extension
+ * @param {string} file
+ */
+export function assertSupportedDocument(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!supportedDocumentExtensions.includes(extension)) {
+    throw new Error(`DeepL can't translate ${extension ? `${extension} files` : 'files without an extension'}. Supported file types: ${supportedDocumentExtensions.join(', ')}`);
+  }
+}
+
+/**
+ * Find a path that doesn't exist yet, by adding a numbered suffix: "report_de.pdf" becomes "report_de-1.pdf"
+ * @param {string} file
+ */
+async function uniquePath(file) {
+  const { dir, name, ext } = path.parse(file);
+  for (let i = 1; ; i++) {
+    const candidate = path.join(dir, `${name}-${i}${ext}`);
+    if (!await linkStats(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Get the stats of a path without following a symlink at the end of it, so that a dangling symlink is found too
+ * @param {string} file
+ * @returns {Promise<fs.Stats | null>} null if nothing is there
+ */
+async function linkStats(file) {
+  try {
+    return await fs.promises.lstat(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new ToolError('file_access', `Output file ${file} can't be checked: ${error.message}`);
+  }
+}
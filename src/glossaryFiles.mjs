@@ -0,0 +1,298 @@
+/*--------------------------------------------------------------------
+ *  Glossary files
+ *
+ *  Reads and writes glossaries as CSV, TSV and TBX files, so terms can
+ *  move between terminology spreadsheets or tools and DeepL, and checks
+ *  the terms in a file before they're uploaded.
+ *-------------------------------------------------------------------*/
+
+import path from 'node:path';
+import { parseCsv, formatCsv } from './csv.mjs';
+import { escapeXml, unescapeXml } from './placeholders.mjs';
+
+export const glossaryFileExtensions = ['.csv', '.tsv', '.tbx'];
+
+/**
+ * @typedef {'csv' | 'tsv' | 'tbx'} GlossaryFileFormat
+ */
+
+/**
+ * @typedef {object} GlossaryTerm
+ * @property {string} sourceLang
+ * @property {string} targetLang
+ * @property {string} source
+ * @property {string} target
+ * @property {string} location - where the term is in the file, e.g. "row 4", for reporting problems
+ */
+
+/**
+ * @typedef {object} GlossaryIssue
+ * @property {'empty' | 'invalid' | 'conflict' | 'duplicate'} type
+ * @property {string} sourceLang
+ * @property {string} targetLang
+ * @property {string} term - the source term, which may be empty
+ * @property {string[]} locations
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} GlossaryFileDictionary
+ * @property {string} sourceLangCode
+ * @property {string} targetLangCode
+ * @property {Record<string, string>} entries
+ */
+
+/**
+ * Work out a glossary file's format from its extension
+ * @param {string} file
+ * @returns {GlossaryFileFormat}
+ */
+export function glossaryFileFormat(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!glossaryFileExtensions.includes(extension)) {
+    throw new Error(`Glossaries can't be read from or written to ${extension ? `${extension} files` : 'files without an extension'}. Supported file types: ${glossaryFileExtensions.join(', ')}`);
+  }
+  return /** @type {GlossaryFileFormat} */ (extension.slice(1));
+}
+
+/**
+ * Read the terms in a glossary file. CSV and TSV files have a term and its translation on each row, optionally
+ * followed by their languages, as in DeepL's own format: "Hello,Hallo,en,de". TBX files have concepts with terms
+ * in several languages, so we read them in the direction we're given.
+ * @param {string} content
+ * @param {GlossaryFileFormat} format
+ * @param {object} [options]
+ * @param {string | null} [options.sourceLang] - the language of rows without languages, or which language of a TBX file to translate from
+ * @param {string | null} [options.targetLang] - the language of rows without languages, or which language of a TBX file to translate into
+ * @returns {GlossaryTerm[]}
+ */
+export function parseGlossaryFile(content, format, { sourceLang = null, targetLang = null } = {}) {
+  return format === 'tbx'
+    ? parseTbx(content, { sourceLang, targetLang })
+    : parseGlossaryCsv(content, { delimiter: format === 'csv' ? ',' : '\t', sourceLang, targetLang });
+}
+
+/**
+ * @param {string} content
+ * @param {object} options
+ * @param {string} options.delimiter
+ * @param {string | null} options.sourceLang
+ * @param {string | null} options.targetLang
+ * @returns {GlossaryTerm[]}
+ */
+function parseGlossaryCsv(content, { delimiter, sourceLang, targetLang }) {
+  const rows = parseCsv(content, delimiter);
+  const header = rows[0]?.map(cell => cell.trim().toLowerCase());
+  const firstRow = header?.[0] === 'source' && header[1] === 'target' ? 2 : 1;
+
+  const terms = [];
+  rows.slice(firstRow - 1).forEach((row, i) => {
+    const cells = row.map(cell => cell.trim());
+    if (cells.every(cell => cell === '')) {
+      return;
+    }
+
+    const location = `row ${firstRow + i}`;
+    const rowSourceLang = cells[2] || sourceLang;
+    const rowTargetLang = cells[3] || targetLang;
+    if (!rowSourceLang || !rowTargetLang) {
+      throw new Error(`The file doesn't say which languages the terms in ${location} are in. Give the source and target languages, or add them to each row after the terms, as in "Hello${delimiter}Hallo${delimiter}en${delimiter}de".`);
+    }
+    terms.push({ sourceLang: rowSourceLang, targetLang: rowTargetLang, source: cells[0] ?? '', target: cells[1] ?? '', location });
+  });
+  return terms;
+}
+
+/**
+ * Read a TBX file, either TBX-Basic (<martif> with <termEntry> and <langSet>) or TBX v3 (<tbx> with <conceptEntry>
+ * and <langSec>). Each term in the source language becomes an entry, translated by the first term in the target language.
+ * @param {string} content
+ * @param {object} options
+ * @param {string | null} options.sourceLang - defaults to the file's language
+ * @param {string | null} options.targetLang - defaults to all the file's other languages
+ * @returns {GlossaryTerm[]}
+ */
+function parseTbx(content, { sourceLang, targetLang }) {
+  const root = content.match(/<(martif|tbx)\b([^>]*)>/);
+  if (!root) {
+    throw new Error('Invalid TBX: there is no <martif> or <tbx> element');
+  }
+  sourceLang ??= xmlAttribute(root[2], 'xml:lang') || null;
+  if (!sourceLang) {
+    throw new Error("The TBX file doesn't say which language its terms translate from. Give the source language.");
+  }
+
+  const terms = [];
+  let index = 0;
+  for (const [, , attributes, body] of content.matchAll(/<(termEntry|conceptEntry)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+    index++;
+    const location = `term entry ${xmlAttribute(attributes, 'id') || index}`;
+    const languages = [...body.matchAll(/<(langSet|langSec)\b([^>]*)>([\s\S]*?)<\/\1>/g)].map(([, , langAttributes, langBody]) => ({
+      lang: xmlAttribute(langAttributes, 'xml:lang'),
+      terms: [...langBody.matchAll(/<term\b[^>]*>([\s\S]*?)<\/term>/g)].map(([, term]) => termText(term))
+    }));
+
+    const sourceTerms = languages.filter(({ lang }) => isSameLanguage(lang, sourceLang)).flatMap(language => language.terms);
+    if (sourceTerms.length === 0) {
+      continue;
+    }
+    for (const { lang, terms: targetTerms } of languages) {
+      if (isSameLanguage(lang, sourceLang) || (targetLang && !isSameLanguage(lang, targetLang))) {
+        continue;
+      }
+      for (const source of sourceTerms) {
+        terms.push({ sourceLang, targetLang: lang, source, target: targetTerms[0] ?? '', location });
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Check a file's terms, and gather them into one dictionary per language pair. Their languages must already be
+ * normalized, so that e.g. "EN" and "en" end up in the same dictionary.
+ *
+ * Terms which are empty, contain line breaks, or have different translations in the same dictionary are issues
+ * which stop the glossary from being uploaded. Terms which appear twice with the same translation are only
+ * reported, since dropping the duplicates doesn't lose anything.
+ * @param {GlossaryTerm[]} terms
+ * @returns {{ dictionaries: GlossaryFileDictionary[], issues: GlossaryIssue[] }}
+ */
+export function checkGlossaryTerms(terms) {
+  /** @type {Map<string, { sourceLang: string, targetLang: string, variants: Map<string, Array<{ target: string, location: string }>> }>} */
+  const pairs = new Map();
+  /** @type {GlossaryIssue[]} */
+  const issues = [];
+
+  for (const { sourceLang, targetLang, source, target, location } of terms) {
+    if (sourceLang === targetLang) {
+      throw new Error(`The terms in ${location} translate from ${sourceLang} into ${targetLang}. A glossary dictionary must have different source and target languages.`);
+    }
+
+    const pairKey = `${sourceLang}>${targetLang}`;
+    if (!pairs.has(pairKey)) {
+      pairs.set(pairKey, { sourceLang, targetLang, variants: new Map() });
+    }
+    const pair = pairs.get(pairKey);
+
+    if (!source || !target) {
+      const what = source ? `the translation of "${source}"` : `the ${sourceLang} term${target ? ` translated as "${target}"` : ''}`;
+      issues.push({ type: 'empty', sourceLang, targetLang, term: source, locations: [location], message: `${location}: ${what} is empty` });
+    } else if (/[\p{Cc}\p{Zl}\p{Zp}]/u.test(source + target)) {
+      issues.push({
+        type: 'invalid', sourceLang, targetLang, term: source, locations: [location],
+        message: `${location}: "${source}" or its translation contains a line break or control character, which glossary terms can't have`
+      });
+    } else {
+      pair.variants.set(source, [...pair.variants.get(source) ?? [], { target, location }]);
+    }
+  }
+
+  const dictionaries = [];
+  for (const { sourceLang, targetLang, variants } of pairs.values()) {
+    const entries = {};
+    for (const [source, translations] of variants) {
+      entries[source] = translations[0].target;
+      if (translations.length === 1) {
+        continue;
+      }
+
+      const locations = translations.map(({ location }) => location);
+      const targets = [...new Set(translations.map(({ target }) => target))];
+      issues.push(targets.length > 1
+        ? {
+          type: 'conflict', sourceLang, targetLang, term: source, locations,
+          message: `"${source}" (${sourceLang} to ${targetLang}) has different translations: ${translations.map(({ target, location }) => `"${target}" in ${location}`).join(', ')}`
+        }
+        : {
+          type: 'duplicate', sourceLang, targetLang, term: source, locations,
+          message: `"${source}" (${sourceLang} to ${targetLang}) appears ${translations.length} times, in ${locations.join(', ')}. Only one entry is kept.`
+        });
+    }
+    if (Object.keys(entries).length > 0) {
+      dictionaries.push({ sourceLangCode: sourceLang, targetLangCode: targetLang, entries });
+    }
+  }
+  return { dictionaries, issues };
+}
+
+/**
+ * Write glossary dictionaries as a file. CSV and TSV files use DeepL's format, with the languages on each row.
+ * In TBX files, the entries for the same source term are grouped into one concept with all of its translations.
+ * @param {GlossaryFileFormat} format
+ * @param {GlossaryFileDictionary[]} dictionaries
+ * @param {object} [options]
+ * @param {string} [options.title] - for the TBX header, e.g. the glossary's name
+ */
+export function formatGlossaryFile(format, dictionaries, { title = 'Glossary' } = {}) {
+  if (format !== 'tbx') {
+    const rows = dictionaries.flatMap(({ sourceLangCode, targetLangCode, entries }) =>
+      Object.entries(entries).map(([source, target]) => [source, target, sourceLangCode, targetLangCode]));
+    return formatCsv(rows, format === 'csv' ? ',' : '\t');
+  }
+
+  /** @type {Map<string, { sourceLang: string, source: string, targets: Map<string, string> }>} */
+  const concepts = new Map();
+  for (const { sourceLangCode, targetLangCode, entries } of dictionaries) {
+    for (const [source, target] of Object.entries(entries)) {
+      const key = `${sourceLangCode}\u0000${source}`;
+      if (!concepts.has(key)) {
+        concepts.set(key, { sourceLang: sourceLangCode, source, targets: new Map() });
+      }
+      concepts.get(key).targets.set(targetLangCode, target);
+    }
+  }
+
+  const langSet = (/** @type {string} */ lang, /** @type {string} */ term) =>
+    `        <langSet xml:lang="${escapeXml(lang)}"><tig><term>${escapeXml(term)}</term></tig></langSet>`;
+  const termEntries = [...concepts.values()].map(({ sourceLang, source, targets }, i) => [
+    `      <termEntry id="c${i + 1}">`,
+    langSet(sourceLang, source),
+    ...[...targets].map(([lang, term]) => langSet(lang, term)),
+    '      </termEntry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<martif type="TBX-Basic" xml:lang="${escapeXml(dictionaries[0]?.sourceLangCode ?? 'en')}">`,
+    '  <martifHeader>',
+    `    <fileDesc><titleStmt><title>${escapeXml(title)}</title></titleStmt><sourceDesc><p>Exported from DeepL</p></sourceDesc></fileDesc>`,
+    '  </martifHeader>',
+    '  <text>',
+    '    <body>',
+    ...termEntries,
+    '    </body>',
+    '  </text>',
+    '</martif>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * The text of a TBX term, without any inline markup
+ * @param {string} xml
+ */
+function termText(xml) {
+  return unescapeXml(xml
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/<[^>]+>/g, '')
+  ).trim();
+}
+
+/**
+ * @param {string} attributes
+ * @param {string} name
+ */
+function xmlAttribute(attributes, name) {
+  return attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))?.slice(1).find(value => value !== undefined) ?? '';
+}
+
+/**
+ * Glossaries aren't region-specific, so "en-GB" in a file is the same language as "en"
+ * @param {string} a
+ * @param {string} b
+ */
+function isSameLanguage(a, b) {
+  const base = (/** @type {string} */ code) => code.split(/[-_]/)[0].toLowerCase();
+  return base(a) === base(b);
+}
@@ -0,0 +1,351 @@
+/*--------------------------------------------------------------------
+ *  HTTP transport for the DeepL MCP server
+ *
+ *  Serves MCP over Streamable HTTP at /mcp, and over the legacy
+ *  HTTP+SSE transport at /sse and /messages for older clients.
+ *  Each client session gets its own MCP server instance, which is
+ *  closed when the session ends.
+ *-------------------------------------------------------------------*/
+
+import { createServer as createHttpServer } from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { logger } from "./logging.mjs";
+
+// Largest JSON-RPC request body we accept, in bytes
+const maxBodySize = 4 * 1024 * 1024;
+
+// The names a client on this machine can use for a server listening on a loopback address
+const loopbackHostNames = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * An error caused by the client's request, which we report back with the given HTTP status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Start an HTTP server which serves MCP to any number of clients
+ * @param {object} options
+ * @param {() => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} options.createServer - creates an MCP server for a new session
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {string} [options.authToken] - if set, clients must send it as a bearer token. Needed unless host is a loopback address
+ * @param {string[]} [options.allowedHosts] - the Host headers we accept, with or without a port. Defaults to the
+ *   loopback names when listening on a loopback address, and to any host otherwise
+ * @param {string[]} [options.allowedOrigins] - the Origin headers we accept from browsers. Defaults to the allowed hosts
+ * @returns {Promise<import('node:http').Server>}
+ */
+export async function startHttpServer({ createServer, host, port, authToken, allowedHosts, allowedOrigins }) {
+  if (!authToken && !isLoopbackHost(host)) {
+    throw new Error(`An auth token is needed to listen on ${host}, which isn't a loopback address. Set MCP_AUTH_TOKEN or --auth-token.`);
+  }
+
+  /** @type {RequestSources} */
+  let allowed;
+  /** @type {Map<string, StreamableHTTPServerTransport>} */
+  const streamableTransports = new Map();
+  /** @type {Map<string, SSEServerTransport>} */
+  const sseTransports = new Map();
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host ?? 'localhost'}`);
+
+      // The health endpoint doesn't require authentication, so load balancers and container runtimes can check it
+      if (url.pathname === '/health' && req.method === 'GET') {
+        return sendJson(res, 200, {
+          status: 'ok',
+          sessions: streamableTransports.size + sseTransports.size
+        });
+      }
+
+      // Check where the request comes from, so that web pages can't reach us through DNS rebinding
+      assertAllowedSource(req, allowed);
+
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendJson(res, 401, jsonRpcError('Unauthorized: send a valid bearer token in the Authorization header'));
+      }
+
+      switch (url.pathname) {
+        case '/mcp':
+          return await handleStreamableRequest(req, res, { createServer, streamableTransports, allowed });
+        case '/sse':
+          return await handleSseConnection(req, res, { createServer, sseTransports, allowed });
+        case '/messages':
+          return await handleSseMessage(req, res, url, { sseTransports });
+        default:
+          return sendJson(res, 404, jsonRpcError('Not found'));
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendJson(res, error.status, jsonRpcError(error.message));
+      }
+
+      logger.error(`Error handling HTTP request: ${error.message}`, { stack: error.stack });
+      if (!res.headersSent) {
+        sendJson(res, 500, jsonRpcError('Internal server error'));
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => resolve(undefined));
+  });
+  allowed = allowedRequestSources(host, /** @type {import('node:net').AddressInfo} */ (httpServer.address()).port, allowedHosts, allowedOrigins);
+
+  httpServer.on('close', () => {
+    for (const transport of [...streamableTransports.values(), ...sseTransports.values()]) {
+      transport.close().catch(() => undefined);
+    }
+  });
+
+  return httpServer;
+}
+
+/*--------------------------------------------------------------------
+ *  Streamable HTTP
+ *-------------------------------------------------------------------*/
+
+async function handleStreamableRequest(req, res, { createServer, streamableTransports, allowed }) {
+  const sessionId = /** @type {string | undefined} */ (req.headers['mcp-session-id']);
+  const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+  if (sessionId) {
+    const transport = streamableTransports.get(sessionId);
+    if (!transport) {
+      return sendJson(res, 404, jsonRpcError(`Unknown session: ${sessionId}`));
+    }
+    return await transport.handleRequest(req, res, body);
+  }
+
+  // Without a session id, the only thing a client can do is start a new session
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    return sendJson(res, 400, jsonRpcError('Bad request: no valid session id provided'));
+  }
+
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      streamableTransports.set(id, transport);
+    },
+    ...dnsRebindingProtection(allowed)
+  });
+
+  await connectSession(createServer, transport, () => {
+    if (transport.sessionId) {
+      streamableTransports.delete(transport.sessionId);
+    }
+  });
+  await transport.handleRequest(req, res, body);
+}
+
+/*--------------------------------------------------------------------
+ *  Legacy HTTP+SSE
+ *-------------------------------------------------------------------*/
+
+async function handleSseConnection(req, res, { createServer, sseTransports, allowed }) {
+  if (req.method !== 'GET') {
+    return sendJson(res, 405, jsonRpcError('Method not allowed'));
+  }
+
+  const transport = new SSEServerTransport('/messages', res, dnsRebindingProtection(allowed));
+  sseTransports.set(transport.sessionId, transport);
+
+  await connectSession(createServer, transport, () => {
+    sseTransports.delete(transport.sessionId);
+  });
+}
+
+async function handleSseMessage(req, res, url, { sseTransports }) {
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, jsonRpcError('Method not allowed'));
+  }
+
+  const sessionId = url.searchParams.get('sessionId');
+  const transport = sessionId && sseTransports.get(sessionId);
+  if (!transport) {
+    return sendJson(res, 404, jsonRpcError(`Unknown session: ${sessionId}`));
+  }
+
+  const body = await readJsonBody(req);
+  await transport.handlePostMessage(req, res, body);
+}
+
+/*--------------------------------------------------------------------
+ *  Sessions
+ *-------------------------------------------------------------------*/
+
+/**
+ * Connect a new MCP server to a session's transport. When the transport closes, because the client
+ * ended the session or disconnected, or because we're shutting down, the server is closed too
+ * @param {() => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} createServer
+ * @param {StreamableHTTPServerTransport | SSEServerTransport} transport
+ * @param {() => void} onClose - forgets the session
+ */
+async function connectSession(createServer, transport, onClose) {
+  const server = createServer();
+  let closed = false;
+
+  // Closing the server closes the transport again, so only the first close counts
+  transport.onclose = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    onClose();
+    server.close().catch((error) => {
+      logger.warning(`Error closing an MCP session: ${error.message}`);
+    });
+  };
+
+  await server.connect(transport);
+}
+
+/*--------------------------------------------------------------------
+ *  Where requests come from
+ *-------------------------------------------------------------------*/
+
+/**
+ * @typedef {object} RequestSources
+ * @property {string[] | null} hosts - the Host headers we accept, or null for any
+ * @property {string[]} origins - the Origin headers we accept. Requests without one, which don't come from browsers, are accepted too
+ */
+
+/**
+ * @param {string} host
+ */
+export function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || host === '[::1]' || /^127(?:\.\d{1,3}){3}$/.test(host);
+}
+
+/**
+ * Work out which Host and Origin headers to accept. Host names without a port are accepted with our port too,
+ * as clients send it unless it's the default for the protocol
+ * @param {string} host - the address we listen on
+ * @param {number} port - the port we listen on
+ * @param {string[]} [allowedHosts]
+ * @param {string[]} [allowedOrigins]
+ * @returns {RequestSources}
+ */
+function allowedRequestSources(host, port, allowedHosts, allowedOrigins) {
+  const names = allowedHosts?.length ? allowedHosts : isLoopbackHost(host) ? loopbackHostNames : null;
+  const hosts = names && names.flatMap(name => /:\d+$/.test(name) ? [name] : [name, `${name}:${port}`]);
+  const origins = allowedOrigins?.length
+    ? allowedOrigins
+    : (hosts ?? []).flatMap(name => [`http://${name}`, `https://${name}`]);
+  return { hosts, origins };
+}
+
+/**
+ * The SDK's transports check the Host and Origin headers of the requests they handle too
+ * @param {RequestSources} allowed
+ */
+function dnsRebindingProtection({ hosts, origins }) {
+  return {
+    enableDnsRebindingProtection: true,
+    allowedHosts: hosts ?? undefined,
+    allowedOrigins: origins
+  };
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @param {RequestSources} allowed
+ */
+function assertAllowedSource(req, { hosts, origins }) {
+  const host = req.headers.host;
+  if (hosts && (!host || !hosts.includes(host))) {
+    throw new HttpError(403, `Forbidden: Host header ${host ?? '(none)'} is not allowed. Allowed hosts: ${hosts.join(', ')}`);
+  }
+
+  const origin = req.headers.origin;
+  if (origin && !origins.includes(origin)) {
+    throw new HttpError(403, `Forbidden: Origin ${origin} is not allowed`);
+  }
+}
+
+/*--------------------------------------------------------------------
+ *  Helper functions
+ *-------------------------------------------------------------------*/
+
+/**
+ * Check the request's bearer token against ours, in constant time
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} [authToken]
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+  if (!match) {
+    return false;
+  }
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<unknown>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      throw new HttpError(413, `Request body is larger than ${maxBodySize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Parse error: request body is not valid JSON');
+  }
+}
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {string} message
+ */
+function jsonRpcError(message) {
+  return {
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  };
+}
@@ -0,0 +1,706 @@
+/*--------------------------------------------------------------------
+ *  i18n resource files
+ *
+ *  Reads the strings to translate from app localization files, and
+ *  writes translated files of the same format. Translated files are
+ *  built from the source file, so they keep its keys, nesting,
+ *  comments and ordering.
+ *-------------------------------------------------------------------*/
+
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import YAML from 'yaml';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+
+// Records which source text each translated string was made from, so that we can tell when the source changes
+const stateFileName = '.deepl-i18n-state.json';
+
+/**
+ * @typedef {object} I18nEntry
+ * @property {string} key - identifies the string within the file, e.g. "menu.file.open"
+ * @property {string} text - the text to translate
+ */
+
+/**
+ * @typedef {object} ExistingTranslation
+ * @property {string} text - the translated text
+ * @property {string} [source] - the source text it was translated from, if the file records it
+ * @property {boolean} [needsReview] - whether the translation is marked as needing review, like gettext's "fuzzy" flag
+ */
+
+/**
+ * @typedef {object} I18nFormat
+ * @property {string} name
+ * @property {boolean} xml - whether the text of entries is XML, rather than plain text
+ * @property {(content: string, options: { locale?: string | null }) => I18nEntry[]} entries - the strings to translate in a source file
+ * @property {(content: string, options: { locale?: string | null }) => Map<string, ExistingTranslation>} translations - the translations in an existing target file
+ * @property {(content: string, translations: Map<string, string>, options: { sourceLocale?: string | null, targetLocale: string }) => string} write -
+ *   build a target file from the source file, using the translations we have. Strings without a translation are left as they are.
+ */
+
+/*---- JSON ----*/
+
+/** @type {I18nFormat} */
+const jsonFormat = {
+  name: 'json',
+  xml: false,
+
+  entries(content) {
+    const entries = [];
+    walkJson(parseJson(content), [], joinKeys((key, text) => entries.push({ key, text })));
+    return entries;
+  },
+
+  translations(content) {
+    const translations = new Map();
+    walkJson(parseJson(content), [], joinKeys((key, text) => translations.set(key, { text })));
+    return translations;
+  },
+
+  write(content, translations) {
+    const translate = (value, keyPath) => {
+      if (typeof value === 'string') {
+        return translations.get(keyPath.join('.')) ?? value;
+      }
+      if (Array.isArray(value)) {
+        return value.map((item, i) => translate(item, [...keyPath, String(i)]));
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, translate(item, [...keyPath, name])]));
+      }
+      return value;
+    };
+
+    const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? 2;
+    const trailingNewline = content.endsWith('\n') ? '\n' : '';
+    return JSON.stringify(translate(parseJson(content), []), null, indent) + trailingNewline;
+  }
+};
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {string[]} keyPath
+ * @param {(keyPath: string[], text: string) => void} visit
+ */
+function walkJson(value, keyPath, visit) {
+  if (typeof value === 'string') {
+    visit(keyPath, value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => walkJson(item, [...keyPath, String(i)], visit));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([name, item]) => walkJson(item, [...keyPath, name], visit));
+  }
+}
+
+/*---- YAML ----*/
+
+// Rails-style files have the locale as their only top-level key, e.g. "en:". We leave it out of the keys
+// we report, and change it to the target locale in the files we write.
+
+/** @type {I18nFormat} */
+const yamlFormat = {
+  name: 'yaml',
+  xml: false,
+
+  entries(content, { locale }) {
+    const entries = [];
+    const { root } = yamlRoot(parseYaml(content), locale);
+    walkYaml(root, [], joinKeys((key, node) => entries.push({ key, text: node.value })));
+    return entries;
+  },
+
+  translations(content, { locale }) {
+    const translations = new Map();
+    const { root } = yamlRoot(parseYaml(content), locale);
+    walkYaml(root, [], joinKeys((key, node) => translations.set(key, { text: node.value })));
+    return translations;
+  },
+
+  write(content, translations, { sourceLocale, targetLocale }) {
+    const document = parseYaml(content);
+    const { root, localeKey } = yamlRoot(document, sourceLocale);
+
+    walkYaml(root, [], joinKeys((key, node) => {
+      if (translations.has(key)) {
+        node.value = translations.get(key);
+      }
+    }));
+    if (localeKey) {
+      localeKey.value = targetLocale;
+    }
+
+    return document.toString({ lineWidth: 0 });
+  }
+};
+
+/**
+ * @param {string} content
+ */
+function parseYaml(content) {
+  const document = YAML.parseDocument(content);
+  if (document.errors.length) {
+    throw new Error(`Invalid YAML: ${document.errors[0].message}`);
+  }
+  return document;
+}
+
+/**
+ * Find the node that holds the strings, skipping a top-level locale key
+ * @param {YAML.Document} document
+ * @param {string | null | undefined} locale
+ */
+function yamlRoot(document, locale) {
+  const root = document.contents;
+  if (locale && YAML.isMap(root) && root.items.length === 1) {
+    const [pair] = root.items;
+    if (YAML.isScalar(pair.key) && isSameLocale(String(pair.key.value), locale)) {
+      return { root: pair.value, localeKey: pair.key };
+    }
+  }
+  return { root, localeKey: null };
+}
+
+/**
+ * @param {unknown} node
+ * @param {string[]} keyPath
+ * @param {(keyPath: string[], node: YAML.Scalar<string>) => void} visit
+ */
+function walkYaml(node, keyPath, visit) {
+  if (YAML.isMap(node)) {
+    for (const pair of node.items) {
+      const name = YAML.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+      walkYaml(pair.value, [...keyPath, name], visit);
+    }
+  } else if (YAML.isSeq(node)) {
+    node.items.forEach((item, i) => walkYaml(item, [...keyPath, String(i)], visit));
+  } else if (YAML.isScalar(node) && typeof node.value === 'string') {
+    visit(keyPath, /** @type {YAML.Scalar<string>} */ (node));
+  }
+}
+
+/**
+ * Join the key paths of nested files into keys like "menu.file.open". A name with a dot in it could give
+ * another string's key, as "menu.file": { "open": … } and "menu": { "file.open": … } both give "menu.file.open",
+ * so we refuse such files rather than mix up their translations.
+ * @template T
+ * @param {(key: string, value: T) => void} visit
+ * @returns {(keyPath: string[], value: T) => void}
+ */
+function joinKeys(visit) {
+  /** @type {Map<string, string[]>} */
+  const keyPaths = new Map();
+  return (keyPath, value) => {
+    const key = keyPath.join('.');
+    const other = keyPaths.get(key);
+    if (other) {
+      throw new Error(`The strings at ${JSON.stringify(other)} and ${JSON.stringify(keyPath)} both have the key "${key}", so their translations can't be told apart. Rename one of them.`);
+    }
+    keyPaths.set(key, keyPath);
+    visit(key, value);
+  };
+}
+
+/*---- gettext .po ----*/
+
+// The number of plural forms, and the formula to choose between them, for each language.
+// See https://www.gnu.org/software/gettext/manual/html_node/Plural-forms.html
+const pluralForms = {
+  ar: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+  cs: 'nplurals=3; plural=(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2);',
+  fr: 'nplurals=2; plural=(n > 1);',
+  id: 'nplurals=1; plural=0;',
+  ja: 'nplurals=1; plural=0;',
+  ko: 'nplurals=1; plural=0;',
+  lt: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  lv: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2);',
+  pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  'pt-br': 'nplurals=2; plural=(n > 1);',
+  ro: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);',
+  ru: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  sk: 'nplurals=3; plural=(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2);',
+  sl: 'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);',
+  th: 'nplurals=1; plural=0;',
+  uk: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  vi: 'nplurals=1; plural=0;',
+  zh: 'nplurals=1; plural=0;'
+};
+const defaultPluralForms = 'nplurals=2; plural=(n != 1);';
+
+// The suffix for the key of a plural string
+const pluralKeySuffix = ' (plural)';
+
+/**
+ * @typedef {object} PoBlock
+ * @property {string[]} lines
+ * @property {string[]} comments
+ * @property {string[]} sourceLines - the msgctxt, msgid and msgid_plural lines, as they are in the file
+ * @property {string | undefined} msgctxt
+ * @property {string | undefined} msgid
+ * @property {string | undefined} msgidPlural
+ * @property {string[]} msgstr - msgstr, or msgstr[0], msgstr[1]... for plurals
+ */
+
+/** @type {I18nFormat} */
+const poFormat = {
+  name: 'po',
+  xml: false,
+
+  entries(content) {
+    return parsePo(content).flatMap(block => {
+      if (!block.msgid) {
+        return [];
+      }
+      const key = poKey(block);
+      const entries = [{ key, text: block.msgid }];
+      if (block.msgidPlural !== undefined) {
+        entries.push({ key: key + pluralKeySuffix, text: block.msgidPlural });
+      }
+      return entries;
+    });
+  },
+
+  translations(content) {
+    const translations = new Map();
+    for (const block of parsePo(content)) {
+      if (!block.msgid) {
+        continue;
+      }
+      const key = poKey(block);
+      const needsReview = block.comments.some(line => /^#,.*\bfuzzy\b/.test(line));
+      if (block.msgstr[0]) {
+        translations.set(key, { text: block.msgstr[0], needsReview });
+      }
+      const plural = block.msgstr[1] ?? block.msgstr[0];
+      if (block.msgidPlural !== undefined && plural) {
+        translations.set(key + pluralKeySuffix, { text: plural, needsReview });
+      }
+    }
+    return translations;
+  },
+
+  write(content, translations, { targetLocale }) {
+    const plurals = pluralForms[targetLocale.toLowerCase()] ?? pluralForms[targetLocale.split(/[-_]/)[0].toLowerCase()] ?? defaultPluralForms;
+    const pluralCount = Number(plurals.match(/nplurals=(\d+)/)[1]);
+
+    return splitPoBlocks(content).map(lines => {
+      const block = parsePoBlock(lines);
+      if (block.msgid === undefined) {
+        return lines.join('\n');
+      }
+
+      if (block.msgid === '') {
+        const header = setPoHeader(setPoHeader(block.msgstr[0] ?? '', 'Language', targetLocale.replace('-', '_')), 'Plural-Forms', plurals);
+        return [...block.comments, ...block.sourceLines, ...poString('msgstr', header)].join('\n');
+      }
+
+      const key = poKey(block);
+      const singular = translations.get(key);
+      const plural = translations.get(key + pluralKeySuffix);
+      const isTranslated = singular !== undefined && (block.msgidPlural === undefined || plural !== undefined);
+
+      // Translations we've made are no longer fuzzy
+      const comments = isTranslated
+        ? block.comments
+          .map(line => line.startsWith('#,') ? line.replace(/,?\s*fuzzy\b/, '').replace(/^#,\s*$/, '') : line)
+          .filter(Boolean)
+        : block.comments;
+
+      let msgstrLines;
+      if (block.msgidPlural === undefined) {
+        msgstrLines = poString('msgstr', singular ?? '');
+      } else {
+        // Languages with one plural form use the plural text for it
+        msgstrLines = Array.from({ length: pluralCount }, (_, i) => {
+          const text = isTranslated ? (i === 0 && pluralCount > 1 ? singular : plural) : '';
+          return poString(`msgstr[${i}]`, text);
+        }).flat();
+      }
+
+      return [...comments, ...block.sourceLines, ...msgstrLines].join('\n');
+    }).join('\n');
+  }
+};
+
+/**
+ * Split a .po file into blocks of lines, keeping the blank lines between them as empty blocks
+ * @param {string} content
+ * @returns {string[][]}
+ */
+function splitPoBlocks(content) {
+  const blocks = [];
+  let current = null;
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim() === '') {
+      current = null;
+      blocks.push([line]);
+    } else {
+      if (!current) {
+        current = [];
+        blocks.push(current);
+      }
+      current.push(line);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * @param {string} content
+ */
+function parsePo(content) {
+  return splitPoBlocks(content).map(parsePoBlock);
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {PoBlock}
+ */
+function parsePoBlock(lines) {
+  /** @type {PoBlock} */
+  const block = { lines, comments: [], sourceLines: [], msgctxt: undefined, msgid: undefined, msgidPlural: undefined, msgstr: [] };
+  let current = null;
+
+  const append = (keyword, value) => {
+    if (keyword === 'msgctxt') {
+      block.msgctxt = (block.msgctxt ?? '') + value;
+    } else if (keyword === 'msgid') {
+      block.msgid = (block.msgid ?? '') + value;
+    } else if (keyword === 'msgid_plural') {
+      block.msgidPlural = (block.msgidPlural ?? '') + value;
+    } else {
+      const index = Number(keyword.match(/\[(\d+)\]/)?.[1] ?? 0);
+      block.msgstr[index] = (block.msgstr[index] ?? '') + value;
+    }
+  };
+
+  for (const line of lines) {
+    const keywordMatch = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+"(.*)"\s*$/);
+    const continuationMatch = line.match(/^\s*"(.*)"\s*$/);
+
+    if (line.startsWith('#') || line.trim() === '') {
+      block.comments.push(line);
+    } else if (keywordMatch) {
+      current = keywordMatch[1];
+      append(current, unescapePo(keywordMatch[2]));
+      if (!current.startsWith('msgstr')) {
+        block.sourceLines.push(line);
+      }
+    } else if (continuationMatch && current) {
+      append(current, unescapePo(continuationMatch[1]));
+      if (!current.startsWith('msgstr')) {
+        block.sourceLines.push(line);
+      }
+    } else {
+      throw new Error(`Invalid .po line: ${line}`);
+    }
+  }
+
+  return block;
+}
+
+/**
+ * @param {PoBlock} block
+ */
+function poKey(block) {
+  return block.msgctxt !== undefined ? `${block.msgctxt}|${block.msgid}` : block.msgid;
+}
+
+/**
+ * Format a .po string. Text with line breaks is split over several lines, as gettext does.
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {string[]}
+ */
+function poString(keyword, text) {
+  const lines = text.split(/(?<=\n)(?!$)/);
+  if (lines.length === 1) {
+    return [`${keyword} "${escapePo(text)}"`];
+  }
+  return [`${keyword} ""`, ...lines.map(line => `"${escapePo(line)}"`)];
+}
+
+/**
+ * Set a field of a .po file's header, adding it if it isn't there
+ * @param {string} header
+ * @param {string} name
+ * @param {string} value
+ */
+function setPoHeader(header, name, value) {
+  const pattern = new RegExp(`^${name}:.*$`, 'm');
+  if (pattern.test(header)) {
+    return header.replace(pattern, `${name}: ${value}`);
+  }
+  return `${header}${header && !header.endsWith('\n') ? '\n' : ''}${name}: ${value}\n`;
+}
+
+/**
+ * @param {string} text
+ */
+function escapePo(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+}
+
+/**
+ * @param {string} text
+ */
+function unescapePo(text) {
+  return text.replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r' })[char] ?? char);
+}
+
+/*---- XLIFF ----*/
+
+// We edit XLIFF files as text rather than parsing and reserializing them, so that everything
+// we don't translate stays exactly as it was. Both XLIFF 1.2 (<trans-unit>) and 2.x (<unit>, <segment>) are supported.
+
+/** @type {I18nFormat} */
+const xliffFormat = {
+  name: 'xliff',
+  xml: true,
+
+  entries(content) {
+    return xliffSegments(content).map(({ key, source }) => ({ key, text: source }));
+  },
+
+  translations(content) {
+    const translations = new Map();
+    for (const { key, source, target } of xliffSegments(content)) {
+      if (target) {
+        translations.set(key, { text: target, source });
+      }
+    }
+    return translations;
+  },
+
+  write(content, translations, { targetLocale }) {
+    const isVersion2 = isXliff2(content);
+    const replaceSegment = (key, segment) => {
+      if (!translations.has(key)) {
+        return segment;
+      }
+      const translation = translations.get(key);
+
+      const targetPattern = /<target\b([^>]*?)(?:\/>|>[\s\S]*?<\/target>)/;
+      if (targetPattern.test(segment)) {
+        return segment.replace(targetPattern, (_, attributes) => `<target${attributes.replace(/\s*\/$/, '')}>${translation}</target>`);
+      }
+
+      // Put the new target on its own line after the source, indented like the source
+      return segment.replace(/([ \t]*)<source\b[^>]*?(?:\/>|>[\s\S]*?<\/source>)/, (source, indent) =>
+        `${source}\n${indent}<target>${translation}</target>`);
+    };
+
+    let output;
+    if (isVersion2) {
+      output = content.replace(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g, (unit, attributes, body) => {
+        const id = xmlAttribute(attributes, 'id');
+        let index = 0;
+        const segmentCount = (body.match(/<segment\b/g) ?? []).length;
+        return unit.replace(/<segment\b[^>]*>[\s\S]*?<\/segment>/g, segment =>
+          replaceSegment(segmentKey(id, index++, segmentCount), segment));
+      });
+      output = output.replace(/<xliff\b[^>]*>/, tag => setXmlAttribute(tag, 'trgLang', targetLocale));
+    } else {
+      output = content.replace(/<trans-unit\b([^>]*)>[\s\S]*?<\/trans-unit>/g, (unit, attributes) =>
+        replaceSegment(xmlAttribute(attributes, 'id'), unit));
+      output = output.replace(/<file\b[^>]*>/g, tag => setXmlAttribute(tag, 'target-language', targetLocale));
+    }
+    return output;
+  }
+};
+
+/**
+ * @param {string} content
+ */
+function isXliff2(content) {
+  return /<xliff\b[^>]*\bversion="2/.test(content);
+}
+
+/**
+ * Find the translatable segments of an XLIFF file, and their source and target XML
+ * @param {string} content
+ * @returns {Array<{ key: string, source: string, target: string | null }>}
+ */
+function xliffSegments(content) {
+  if (!/<xliff\b/.test(content)) {
+    throw new Error('Invalid XLIFF: there is no <xliff> element');
+  }
+
+  const segments = [];
+  const read = (key, xml) => {
+    const source = xml.match(/<source\b[^>]*?(?:\/>|>([\s\S]*?)<\/source>)/);
+    const target = xml.match(/<target\b[^>]*?(?:\/>|>([\s\S]*?)<\/target>)/);
+    if (source?.[1]?.trim()) {
+      segments.push({ key, source: source[1], target: target?.[1] ?? null });
+    }
+  };
+
+  if (isXliff2(content)) {
+    for (const [, attributes, body] of content.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+      if (xmlAttribute(attributes, 'translate') === 'no') {
+        continue;
+      }
+      const id = xmlAttribute(attributes, 'id');
+      const unitSegments = [...body.matchAll(/<segment\b[^>]*>([\s\S]*?)<\/segment>/g)];
+      unitSegments.forEach(([, segment], i) => read(segmentKey(id, i, unitSegments.length), segment));
+    }
+  } else {
+    for (const [, attributes, body] of content.matchAll(/<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g)) {
+      if (xmlAttribute(attributes, 'translate') !== 'no') {
+        read(xmlAttribute(attributes, 'id'), body);
+      }
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * @param {string} unitId
+ * @param {number} index
+ * @param {number} count
+ */
+function segmentKey(unitId, index, count) {
+  return count > 1 ? `${unitId}#${index + 1}` : unitId;
+}
+
+/**
+ * @param {string} attributes
+ * @param {string} name
+ */
+function xmlAttribute(attributes, name) {
+  return attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? '';
+}
+
+/**
+ * Set an attribute on an opening tag, adding it if it isn't there
+ * @param {string} tag
+ * @param {string} name
+ * @param {string} value
+ */
+function setXmlAttribute(tag, name, value) {
+  const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, `$1${value}$2`);
+  }
+  return tag.replace(/\s*(\/?>)$/, ` ${name}="${value}"$1`);
+}
+
+/*---- Translation state ----*/
+
+/**
+ * Read the hashes of the source texts that an output file's strings were translated from
+ * @param {string} outputFile
+ * @returns {Promise<Record<string, string>>} keyed on the key of each string
+ */
+export async function readI18nState(outputFile) {
+  const state = await readJsonFile(path.join(path.dirname(outputFile), stateFileName), {});
+  return state?.[path.basename(outputFile)] ?? {};
+}
+
+/**
+ * @param {string} outputFile
+ * @param {Record<string, string>} hashes
+ */
+export async function writeI18nState(outputFile, hashes) {
+  const stateFile = path.join(path.dirname(outputFile), stateFileName);
+  const state = await readJsonFile(stateFile, {});
+  await writeJsonFile(stateFile, { ...state, [path.basename(outputFile)]: hashes });
+}
+
+/**
+ * @param {string} text
+ */
+export function sourceHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/*---- Formats and file names ----*/
+
+const formatsByExtension = {
+  '.json': jsonFormat,
+  '.yaml': yamlFormat,
+  '.yml': yamlFormat,
+  '.po': poFormat,
+  '.pot': poFormat,
+  '.xlf': xliffFormat,
+  '.xliff': xliffFormat
+};
+
+export const supportedI18nExtensions = Object.keys(formatsByExtension);
+
+/**
+ * Choose the format of an i18n file from its extension
+ * @param {string} file
+ * @returns {I18nFormat}
+ */
+export function i18nFormatFor(file) {
+  const extension = path.extname(file).toLowerCase();
+  const format = formatsByExtension[extension];
+  if (!format) {
+    throw new Error(`Can't translate ${extension ? `${extension} files` : 'files without an extension'} as i18n files. Supported file types: ${supportedI18nExtensions.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Format a language code as locale files usually do, e.g. "pt-br" as "pt-BR" and "zh-hans" as "zh-Hans"
+ * @param {string} code
+ * @param {string} [separator]
+ */
+export function localeCode(code, separator = '-') {
+  const [language, ...rest] = code.split(/[-_]/);
+  const subtags = rest.map(subtag => subtag.length === 2 ? subtag.toUpperCase() : subtag[0].toUpperCase() + subtag.slice(1).toLowerCase());
+  return [language.toLowerCase(), ...subtags].join(separator);
+}
+
+/**
+ * @param {string} candidate - e.g. a file or directory name
+ * @param {string} locale
+ */
+function isSameLocale(candidate, locale) {
+  return candidate.toLowerCase().replace('_', '-') === locale.toLowerCase().replace('_', '-');
+}
+
+/**
+ * Work out where to write the translation of an i18n file. If the source language appears in its path,
+ * as in "locales/en.json", "locales/en/messages.po" or "messages.en.yaml", we replace it with the target
+ * language. Otherwise we add the target language to the file name, as for documents.
+ * @param {string} inputFile
+ * @param {string | null} sourceLangCode
+ * @param {string} targetLangCode
+ */
+export function defaultI18nOutputFile(inputFile, sourceLangCode, targetLangCode) {
+  const { dir, name, ext } = path.parse(inputFile);
+  const outputExt = ext.toLowerCase() === '.pot' ? '.po' : ext;
+
+  if (sourceLangCode) {
+    const sourceLanguage = sourceLangCode.split(/[-_]/)[0].toLowerCase();
+    const matchesSource = (part) => new RegExp(`^${sourceLanguage}(?:[-_][a-z0-9]+)?$`, 'i').test(part);
+    const replacement = (part) => localeCode(targetLangCode, part.includes('_') ? '_' : '-');
+
+    const nameParts = name.split('.');
+    const lastPart = nameParts[nameParts.length - 1];
+    if (matchesSource(lastPart)) {
+      nameParts[nameParts.length - 1] = replacement(lastPart);
+      return path.join(dir, nameParts.join('.') + outputExt);
+    }
+
+    const dirParts = dir.split(path.sep);
+    for (let i = dirParts.length - 1; i >= 0; i--) {
+      if (matchesSource(dirParts[i])) {
+        dirParts[i] = replacement(dirParts[i]);
+        return path.join(dirParts.join(path.sep) || path.sep, name + outputExt);
+      }
+    }
+  }
+
+  return path.join(dir, `${name}_${localeCode(targetLangCode)}${outputExt}`);
+}
@@ -5,205 +5,915 @@
  *-------------------------------------------------------------------*/
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
 import * as deepl from 'deepl-node';
-
-const DEEPL_API_KEY = process.env.DEEPL_API_KEY;
-const deeplClientOptions = {
-  appInfo: {
-    appName: 'DeepL-MCP',
-    appVersion: '0.1.3-beta.0',
-  },
-};
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startHttpServer, isLoopbackHost } from './http.mjs';
+import { ServerConfig, parseCommandLine, formalityTypes, serverVersion, splitList } from './config.mjs';
+import { ToolError, toolErrorResult } from './errors.mjs';
+import { withRetries } from './retry.mjs';
+import { ApiKeyPool, keyPolicies } from './apiKeys.mjs';
+import { MockDeepLServer } from './mockDeepL.mjs';
+import { CharacterBudget } from './budget.mjs';
+import { logger } from './logging.mjs';
+import { ToolMetrics, startMetricsServer } from './metrics.mjs';
+import { ToolCallLog } from './toolCalls.mjs';
+import { TranslationCache } from './cache.mjs';
+import { DocumentJobStore } from './documentJobs.mjs';
+import { FileSandbox, assertSupportedDocument, overwritePolicies, supportedDocumentExtensions } from './fileAccess.mjs';
+import { LanguageCatalog } from './languages.mjs';
+import { wordDiff, formatWordDiff } from './wordDiff.mjs';
+import { findMissingGlossaryTerms, findTokenMismatches, diffSimilarity, sideBySideTable } from './qualityChecks.mjs';
+import { protectPlaceholders } from './placeholders.mjs';
+import { protectMarkdown, protectPlainText, compilePlaceholderPatterns, protectedTags, textFormats } from './protectedText.mjs';
+import {
+  TranslationMemory, parseTmx, parseTranslationsCsv, splitSegments, translationMemoryExtensions, normalizeLanguage
+} from './translationMemory.mjs';
+import { glossaryFileExtensions, glossaryFileFormat, parseGlossaryFile, checkGlossaryTerms, formatGlossaryFile } from './glossaryFiles.mjs';
+import {
+  i18nFormatFor, supportedI18nExtensions, defaultI18nOutputFile, localeCode, readI18nState, writeI18nState, sourceHash
+} from './i18nFiles.mjs';
+import { subtitleExtensions, subtitleFormatFor, parseSubtitles, splitIntoSentences, translatedCueLines } from './subtitles.mjs';
+import {
+  findFiles, fileHash, assertValidLayout, layoutPath, mapConcurrently, TranslationManifest, manifestFileName, defaultOutputLayout
+} from './directoryTranslation.mjs';
+import {
+  languagesOutput, translationOutput, batchTranslationOutput, translationCheckOutput, rephraseOutput, writingStylesOutput, writingTonesOutput,
+  usageOutput, cacheStatsOutput, clearCacheOutput, documentTranslationOutput, documentUploadOutput, documentStatusOutput, directoryTranslationOutput,
+  i18nFileTranslationOutput, subtitleTranslationOutput, translationMemoryImportOutput, translationMemoryAddOutput,
+  glossarySchema, glossariesOutput, glossaryEntriesOutput, deletedGlossaryOutput, glossaryExportOutput, glossaryImportOutput
+} from './outputSchemas.mjs';
+
+const { commandLine, serverConfig } = loadServerConfig();
+logger.configure({ level: serverConfig.logLevel, format: serverConfig.logFormat });
+
+// The DeepL API accepts at most this many texts in a single translation request
+const maxTextsPerRequest = 50;
+
+// Inline tags of XLIFF 1.2 and 2.x, which shouldn't split sentences
+const xliffInlineTags = ['g', 'x', 'bx', 'ex', 'ph', 'bpt', 'ept', 'it', 'mrk', 'pc', 'sc', 'ec', 'sm', 'em'];
+
+// How often to check on a document translation, in ms. This is the interval deepl-node uses.
+const documentPollInterval = 5000;
+
+// How many document translations translate-directory runs at once, by default and at most
+const defaultDirectoryConcurrency = 3;
+const maxDirectoryConcurrency = 10;
 
 // Descriptive text for reuse in our tools
 const languageCodeDescription = "language code, in standard ISO-639-1 format (e.g. 'en-US', 'de', 'fr')";
 const glossaryEntriesGuidance = "This does not fetch any glossary entries. Use the get-glossary-dictionary-entries tool to fetch entries."
+const ifOutputExistsDescription = "What to do if the output file already exists: 'fail' with an error, 'rename' the new file by adding a number to its name, or 'overwrite' the existing file. Defaults to the server's configured policy, usually 'fail'.";
+const glossaryGuidance = "To use a glossary, give its id or its name. If you don't give a source language, it's taken from the glossary, if the glossary has just one dictionary into the target language.";
+const glossaryEntriesSchema = z.record(z.string(), z.string()).describe("Glossary entries, as an object mapping each source term to its target term (e.g. { \"Hello\": \"Hallo\" })");
 
 
 /*--------------------------------------------------------------------
  *  Set up DeepL things
  *-------------------------------------------------------------------*/
 
-const deeplClient = new deepl.DeepLClient(DEEPL_API_KEY, deeplClientOptions);
+// In mock mode we talk to a local fake of the DeepL API, so we only keep its pseudo-translations and document jobs in memory
+const mockDeepL = serverConfig.mock ? await MockDeepLServer.start() : null;
+
+// Each request goes to one of the configured API keys, so the rest of the server can use the pool's client as if there was one key
+const keyPool = new ApiKeyPool(serverConfig.apiKeys.map(({ name, apiKey, serverUrl }) => ({
+  name,
+  apiKey,
+  client: withRetries(new deepl.DeepLClient(apiKey, {
+    ...serverConfig.deeplClientOptions(serverUrl),
+    ...(mockDeepL && { serverUrl: mockDeepL.url })
+  }), serverConfig.retryPolicy)
+})), serverConfig.keyPolicy);
+const deeplClient = keyPool.client;
+
+// Shared by all sessions, so a budget covers everything this server sends to DeepL
+const characterBudget = new CharacterBudget(serverConfig.characterBudget);
+await characterBudget.load();
+const translationCache = mockDeepL ? new TranslationCache({ inMemory: true }) : new TranslationCache(serverConfig.cache);
+const documentJobs = new DocumentJobStore(mockDeepL ? null : serverConfig.documentJobsFile);
+const translationMemory = new TranslationMemory(serverConfig.translationMemoryFile);
+const fileSandbox = new FileSandbox({ allowedDirs: serverConfig.allowedDirs, overwritePolicy: serverConfig.overwritePolicy });
+const toolMetrics = new ToolMetrics(serverConfig.metricsFile);
+const toolCallLog = new ToolCallLog({ metrics: toolMetrics, logTexts: serverConfig.logTexts });
 
 // Import WritingStyle and WritingTone enums from DeepL, and transform each to arrays of strings
 const writingStyles = /** @type {[string, ...string[]]} */ (Object.values(deepl.WritingStyle));
 const writingTones = /** @type {[string, ...string[]]} */ (Object.values(deepl.WritingTone));
 
-const formalityTypes = /** @type {const} */ (['less', 'more', 'default', 'prefer_less', 'prefer_more']);
+const tagHandlingModes = /** @type {const} */ (['html', 'xml']);
+const sentenceSplittingModes = /** @type {const} */ (['on', 'off', 'nonewlines']);
+// The languages DeepL Write can rephrase into.
+// See https://developers.deepl.com/api-reference/improve-text
+const writeLanguages = ['de', 'en-GB', 'en-US', 'es', 'fr', 'it', 'pt-BR', 'pt-PT'];
+const modelTypes = /** @type {const} */ (['quality_optimized', 'latency_optimized', 'prefer_quality_optimized']);
+
+// Fetched when they're first needed, so the server can start even if DeepL can't be reached
+const languages = new LanguageCatalog(deeplClient, { ttlSeconds: serverConfig.languagesTtl, countryDefaults: serverConfig.countryDefaults });
+const sourceLanguages = languages.source;
+const targetLanguages = languages.target;
+
+/*--------------------------------------------------------------------
+ *  Create MCP server
+ *-------------------------------------------------------------------*/
+
+// The names of all our tools, including any that are disabled, collected as they're registered
+const toolNames = new Set();
 
 /**
- * Class to handle a list of languages and associated ISO-639 codes.
- * We normalize all language codes to lowercase
- * so that lowercase/uppercase differences don't inspire mistakes.
- * 
- * @property {Array<{name: string, code: string}>} list
- * @property {string} codesList - Comma-separated list of all language codes
+ * Create an MCP server with all our tools registered.
+ * Over stdio we create just one. Over HTTP we create one for each client session.
  */
+function createServer() {
+  const server = new McpServer({
+    name: "deepl",
+    version: serverVersion
+  }, {
+    capabilities: { logging: {} }
+  });
+
+  registerTools(server);
+  registerResources(server);
+  registerPrompts(server);
+  return server;
+}
 
-class LanguagesList {
-  static countryDefaults = {
-    'en': 'en-US',
-    'pt': 'pt-BR',
-    "zh": "zh-Hans"
-  }
+/**
+ * Send our log messages to the server's client. The SDK drops those below the level the client has set with
+ * logging/setLevel. Messages about a tool call only go to the client which made it. We only listen to the log while
+ * a client is connected, so a server which never is, like the one main() creates to check the tool names, isn't kept around.
+ * @param {McpServer} server
+ * @returns {import('./logging.mjs').LogListener}
+ */
+function forwardLogMessages(server) {
+  /** @type {import('./logging.mjs').LogListener} */
+  const listener = ({ level, ...data }) => {
+    if (server.isConnected()) {
+      server.sendLoggingMessage({ level, logger: 'deepl-mcp-server', data }, server.server.transport?.sessionId)
+        .catch(() => undefined);
+    }
+  };
+  /** @type {(() => void) | undefined} */
+  let removeListener;
+  server.server.oninitialized = () => {
+    removeListener = logger.addListener(listener);
+  };
+  server.server.onclose = () => removeListener?.();
+  return listener;
+}
 
-  constructor(list, direction = null) {    
-    this.list = list;
-    this.codesList = list.map(lang => lang.code).join(', ');
-    this.direction = direction;
-  }
 
-  static async create(direction) {
-    if (direction != 'source' && direction !== 'target') {
-      throw new Error('LanguagesList needs to be called with "target" or "source"');
+/*--------------------------------------------------------------------
+ *  Server tools
+ *-------------------------------------------------------------------*/
+
+/**
+ * @param {McpServer} server
+ */
+function registerTools(server) {
+  // With a default target language configured, tools don't need to be given one
+  const defaultTargetLang = serverConfig.defaultTargetLang;
+  const targetLangCodeSchema = defaultTargetLang
+    ? z.string().optional().describe(`target ${languageCodeDescription}. Defaults to ${defaultTargetLang}`)
+    : z.string().describe('target ' + languageCodeDescription);
+  const targetLangCodesSchema = defaultTargetLang
+    ? z.array(z.string()).min(1).optional().describe(`target language codes, each a ${languageCodeDescription}. Defaults to [${defaultTargetLang}]`)
+    : z.array(z.string()).min(1).describe('target language codes, each a ' + languageCodeDescription);
+
+  // With several API keys, the tools which use a key's quota or make glossaries can be told which key to use
+  const apiKeyOption = keyPool.size > 1
+    ? {
+      apiKeyName: z.enum(/** @type {[string, ...string[]]} */ ([...keyPool.names, ...keyPolicies])).optional().describe(
+        `Which of the server's API keys to use: ${keyPool.names.map(name => `"${name}"`).join(', ')}, or a policy for choosing one: "in-order" (the first key with quota left), "round-robin" (taking turns), or "most-remaining" (the key with the most characters left). Defaults to the server's policy, "${serverConfig.keyPolicy}". Requests that use a glossary always use the key that owns it`
+      ),
     }
+    : {};
+
+  const logListener = forwardLogMessages(server);
+
+  // Tools can be switched off in the server config. Errors are returned with their category,
+  // so the client can tell whether to fix its request, try again later, or give up. Each call is logged and counted
+  const registerTool = (name, config, callback) => {
+    toolNames.add(name);
+    if (serverConfig.isToolEnabled(name)) {
+      server.registerTool(name, config, async (...args) => toolCallLog.run(name, config.inputSchema ? args[0] : {}, logListener, async () => {
+        try {
+          return await keyPool.run(args[0]?.apiKeyName, () => characterBudget.run(() => callback(...args)));
+        } catch (error) {
+          return toolErrorResult(error);
+        } finally {
+          await translationCache.flush();
+        }
+      }));
+    }
+  };
 
-    const method = direction === 'source' ? 'getSourceLanguages' : 'getTargetLanguages';
-    const langs = await deeplClient[method]();
-    const lowerCaseLangs = langs.map(({ name, code }) => ({ name, code: code.toLowerCase() }));
-    const instance = new LanguagesList(lowerCaseLangs, direction);
-    return instance;
-  }
+  registerTool(
+    "get-source-languages",
+    {
+      description: "Get list of available source languages for translation",
+      outputSchema: languagesOutput,
+    },
+    getSourceLanguages
+  );
 
-  /**
-   * Given an ISO-639 language code, throw an error if it's not in our codes list
-   * @param {string} code
-   * 
-   * At present, our client libraries don't accept two-letter language codes for target_lang
-   * for cases where we support _locales_ - a language code plus country code, like "en-US".
-   * For example, if you specify `target_lang="en"`, you'll get an error. We want "en-US" or "en-UK".
-   * But in this server we don't want to reject such `target_lang`'s, because AI clients
-   * often want to send them.
-   * 
-   * So we're changing the `validate()` method to `normalize()`. We will still throw an error if
-   * we're passed an invalid code. But if we're passed a code that requires a country code as well,
-   * like "pt", we'll return the default, like "pt-BR".
-   */
-  normalize(code) {
-    const lowerCode = code.toLowerCase();
-    let countryDefault;
+  registerTool(
+    "get-target-languages",
+    {
+      description: "Get list of available target languages for translation",
+      outputSchema: languagesOutput,
+    },
+    getTargetLanguages
+  );
 
-    // For target languages, if a language requires a country code (like pt-BR), return that
-    if (this.direction === 'target' && (countryDefault = LanguagesList.countryDefaults[lowerCode])) {
-      return countryDefault;
-    }
+  registerTool(
+    "translate-text",
+    {
+      description: `Translate text to a target language using DeepL API. Sentences that have an approved translation in the local translation memory are taken from it instead. ${glossaryGuidance}`,
+      inputSchema: {
+        text: z.string().describe("Text to translate"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        targetLangCode: targetLangCodeSchema,
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        tagHandling: z.enum(tagHandlingModes).optional().describe("Treat the text as HTML or XML, so that tags are kept intact and only the text between them is translated"),
+        ignoreTags: z.array(z.string()).optional().describe("Tags whose content should not be translated. Requires tagHandling"),
+        nonSplittingTags: z.array(z.string()).optional().describe("XML tags that should not split sentences, e.g. inline formatting tags. Requires tagHandling 'xml'"),
+        splittingTags: z.array(z.string()).optional().describe("XML tags that always split sentences. Requires tagHandling 'xml'"),
+        outlineDetection: z.boolean().optional().describe("Set to false to turn off DeepL's automatic detection of the XML structure, so that only splittingTags split sentences. Requires tagHandling 'xml'"),
+        context: z.string().optional().describe("Additional text that helps DeepL translate the text, e.g. the paragraph a short string comes from. The context is not translated, and not billed"),
+        preserveFormatting: z.boolean().optional().describe("If true, DeepL won't correct formatting, like punctuation or upper and lower case at the start and end of sentences"),
+        splitSentences: z.enum(sentenceSplittingModes).optional().describe("How to split the text into sentences: 'on' (the default) splits on punctuation and newlines, 'nonewlines' only on punctuation, and 'off' treats the whole text as one sentence"),
+        modelType: z.enum(modelTypes).optional().describe("Which translation model to use: 'quality_optimized' for the best quality, 'latency_optimized' for the fastest response, or 'prefer_quality_optimized' for the best quality where it's available"),
+        useTranslationMemory: z.boolean().optional().describe("Set to false to have DeepL translate everything, even sentences that have an approved translation in the translation memory"),
+        minMatchScore: z.number().min(0.5).max(1).optional().describe("How closely a sentence must match one in the translation memory for its approved translation to be used, from 0.5 to 1. Defaults to 1, for exact matches only. A lower score, like 0.9, also uses near-exact matches, which are marked in the result and should be checked"),
+        textFormat: z.enum(textFormats).optional().describe("'markdown' to translate Markdown, keeping its syntax, code spans and blocks, URLs, link targets and placeholders like {name} or %s as they are. Defaults to 'plain'. Can't be used with tagHandling, and doesn't use the translation memory"),
+        protectPlaceholders: z.boolean().optional().describe("Set to true to keep the URLs, markup tags and placeholders like {name}, {{count}}, ${var} or %s in plain text as they are. Markdown always has them protected. Can't be used with tagHandling"),
+        placeholderPatterns: z.array(z.string()).optional().describe("More placeholders to keep as they are, as JavaScript regular expressions, like ':[a-z_]+' or '\\$[A-Z_]+'. Implies protectPlaceholders"),
+        ...apiKeyOption,
+      },
+      outputSchema: translationOutput,
+    },
+    translateText
+  );
 
-    // Otherwise, ensure that the language code we're passed is supported
-    if (!this.list.some(lang => lang.code === lowerCode)) {
-      throw new Error(`Invalid language code: ${lowerCode}. Available codes: ${this.codesList}`);
-    }
+  registerTool(
+    "translate-text-batch",
+    {
+      description: `Translate several texts into one or more target languages in a single call, using DeepL API. Use this instead of calling translate-text repeatedly, e.g. when localizing a set of UI strings into several locales. Results are keyed by the index of each input text, then by target language code. Blank texts are returned as they are. ${glossaryGuidance}`,
+      inputSchema: {
+        texts: z.array(z.string()).min(1).describe("Texts to translate"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        targetLangCodes: targetLangCodesSchema,
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        ...apiKeyOption,
+      },
+      outputSchema: batchTranslationOutput,
+    },
+    translateTextBatch
+  );
 
-    return lowerCode;
-  }
+  registerTool(
+    "check-translation",
+    {
+      description: "Check a translation for problems a reviewer should look at: glossary terms it doesn't use, and numbers, URLs and placeholders which were lost, changed or added. Optionally translates it back into the source language, to compare with the source text side by side. Use it on translate-text results whose accuracy matters. Give a glossary to check its terms; without one, the server's default glossary is used if it has one.",
+      inputSchema: {
+        sourceText: z.string().min(1).describe("The text that was translated"),
+        translation: z.string().min(1).describe("Its translation"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}. Needed to back-translate, unless the glossary has only one dictionary into the target language`),
+        targetLangCode: z.string().describe(`The translation's ${languageCodeDescription}`),
+        glossaryId: z.string().optional().describe("ID of a glossary whose terms the translation should use"),
+        glossaryName: z.string().optional().describe("Name of a glossary whose terms the translation should use, instead of its ID"),
+        backTranslate: z.boolean().optional().describe("If true, also translate the translation back into the source language and compare it with the source text. DeepL bills the characters of the translation"),
+        ...apiKeyOption,
+      },
+      outputSchema: translationCheckOutput,
+    },
+    checkTranslation
+  );
+
+  registerTool(
+    "get-usage",
+    {
+      description: "Get this billing period's DeepL API usage and limits for characters, documents, and team documents, plus the character budget this server enforces locally, if one is set. Use this before translating large amounts of text.",
+      outputSchema: usageOutput,
+    },
+    getUsage
+  );
+
+  registerTool(
+    "get-cache-stats",
+    {
+      description: "Get statistics about the local translation cache: whether it's enabled, where it's stored, how many entries it holds, and how many cache hits and misses there have been since the server started",
+      outputSchema: cacheStatsOutput,
+    },
+    getCacheStats
+  );
+
+  registerTool(
+    "clear-cache",
+    {
+      description: "Remove all entries from the local translation cache, so that later translations and rephrasings are requested from DeepL again",
+      outputSchema: clearCacheOutput,
+    },
+    clearCache
+  );
+
+  registerTool(
+    "get-writing-styles",
+    {
+      description: "Get list of writing styles the DeepL API can use while rephrasing text",
+      outputSchema: writingStylesOutput,
+    },
+    getWritingStyles
+  );
+
+  registerTool(
+    "get-writing-tones",
+    {
+      description: "Get list of writing tones the DeepL API can use while rephrasing text",
+      outputSchema: writingTonesOutput,
+    },
+    getWritingTones
+  );
+
+  registerTool(
+    "rephrase-text",
+    {
+      description: "Rephrase text using DeepL API, in the same language or in a given language variant. Give either one text, or several texts (e.g. paragraphs) to rephrase them all at once. Ask for a diff to see which words DeepL changed.",
+      inputSchema: {
+        text: z.string().optional().describe("Text to rephrase"),
+        texts: z.array(z.string()).min(1).optional().describe("Several texts to rephrase, instead of text"),
+        targetLangCode: z.string().optional().describe(`Language to rephrase into, one of: ${writeLanguages.join(', ')}. Leave empty to keep the language of the text`),
+        style: z.enum(writingStyles).optional().describe("Writing style for rephrasing"),
+        tone: z.enum(writingTones).optional().describe("Writing tone for rephrasing"),
+        showDiff: z.boolean().optional().describe("If true, also return a word-level diff between each original and rephrased text"),
+        ...apiKeyOption,
+      },
+      outputSchema: rephraseOutput,
+    },
+    rephraseText
+  );
+
+  registerTool(
+    "translate-document",
+    {
+      description: `Translate a document file using DeepL API, and wait until the translation is finished. For large documents, consider upload-document, get-document-status and download-document instead. ${glossaryGuidance}`,
+      inputSchema: {
+        inputFile: z.string().describe("Path to the input document file to translate"),
+        outputFile: z.string().optional().describe("Path where the translated document will be saved (if not provided, will be auto-generated)"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        targetLangCode: targetLangCodeSchema,
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        ifOutputExists: z.enum(overwritePolicies).optional().describe(ifOutputExistsDescription),
+        ...apiKeyOption,
+      },
+      outputSchema: documentTranslationOutput,
+    },
+    translateDocument
+  );
+
+  registerTool(
+    "upload-document",
+    {
+      description: `Upload a document file to be translated using DeepL API, without waiting for the translation to finish. Returns a job id. Use get-document-status to check on the translation, and download-document to save it once it's done. Job ids are kept even if the server restarts. ${glossaryGuidance}`,
+      inputSchema: {
+        inputFile: z.string().describe("Path to the input document file to translate"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        targetLangCode: targetLangCodeSchema,
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        ...apiKeyOption,
+      },
+      outputSchema: documentUploadOutput,
+    },
+    uploadDocument
+  );
+
+  registerTool(
+    "get-document-status",
+    {
+      description: "Check on a document translation started with upload-document. Returns its status (queued, translating, done, or error), the estimated seconds remaining, and the characters billed once it's done.",
+      inputSchema: {
+        jobId: z.string().describe("Job id returned by upload-document"),
+      },
+      outputSchema: documentStatusOutput,
+    },
+    getDocumentStatus
+  );
+
+  registerTool(
+    "download-document",
+    {
+      description: "Save a finished document translation, started with upload-document, to a file. Use get-document-status first to check that it's done.",
+      inputSchema: {
+        jobId: z.string().describe("Job id returned by upload-document"),
+        outputFile: z.string().optional().describe("Path where the translated document will be saved (if not provided, will be auto-generated)"),
+        ifOutputExists: z.enum(overwritePolicies).optional().describe(ifOutputExistsDescription),
+      },
+      outputSchema: documentTranslationOutput,
+    },
+    downloadDocument
+  );
+
+  registerTool(
+    "translate-directory",
+    {
+      description: `Translate all the documents in a directory and its subdirectories into one or more target languages, running a few document translations at a time, and wait until they're finished. Progress is saved in a manifest file in the output directory, so running the same translation again skips files that are already translated and haven't changed, retries files that failed, and picks up translations that were interrupted. ${glossaryGuidance}`,
+      inputSchema: {
+        inputDir: z.string().describe("Path to the directory of documents to translate"),
+        outputDir: z.string().describe("Path to the directory to save translations in. It's created if it doesn't exist. It may be the input directory, with an outputLayout like '{dir}/{name}_{lang}{ext}'"),
+        targetLangCodes: targetLangCodesSchema,
+        include: z.array(z.string()).min(1).optional().describe(`Glob patterns of the files to translate, relative to the input directory, e.g. ['**/*.docx', 'slides/*.pptx']. A pattern without a '/' matches files in any subdirectory. Defaults to all the document types DeepL can translate: ${supportedDocumentExtensions.join(', ')}`),
+        exclude: z.array(z.string()).optional().describe("Glob patterns of files or directories to skip, e.g. ['drafts/**', '*.pdf']. Hidden files and directories are always skipped"),
+        outputLayout: z.string().optional().describe(`Where each translation goes, relative to the output directory. Use {lang} for the target language code, {path} for the file's path relative to the input directory, and {dir}, {name} and {ext} for its parts (e.g. '{lang}/{dir}/{name}{ext}' or '{dir}/{name}.{lang}{ext}'). Defaults to '${defaultOutputLayout}'`),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        concurrency: z.number().int().min(1).max(maxDirectoryConcurrency).optional().describe(`How many documents to translate at once. Defaults to ${defaultDirectoryConcurrency}`),
+        ifOutputExists: z.enum(overwritePolicies).optional().describe(`What to do if an output file already exists and wasn't written by an earlier run of this translation: 'fail' that file with an error, 'rename' the new file by adding a number to its name, or 'overwrite' the existing file. Defaults to the server's configured policy, usually 'fail'. Files written by an earlier run are always overwritten when their source file changes.`),
+        ...apiKeyOption,
+      },
+      outputSchema: directoryTranslationOutput,
+    },
+    translateDirectory
+  );
+
+  registerTool(
+    "translate-i18n-file",
+    {
+      description: `Translate an app localization file (${supportedI18nExtensions.join(', ')}) into one or more target languages, writing a translated file of the same format for each. Keys, nesting, comments and ordering are kept, and placeholders (ICU MessageFormat, printf, {{mustache}}) and markup tags are protected, while ICU plural and select branches are translated. If a target file already exists, only strings that are missing, marked fuzzy, or whose source text has changed are translated. ${glossaryGuidance}`,
+      inputSchema: {
+        inputFile: z.string().describe("Path to the source locale file"),
+        targetLangCodes: targetLangCodesSchema,
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection. Giving it lets us name the output files after the source file, e.g. "locales/en.json" to "locales/de.json"`),
+        outputFile: z.string().optional().describe("Path where each translated file will be saved, with {lang} in place of the target language code (e.g. 'locales/{lang}.json'). If not provided, it's generated from the input file name"),
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        ...apiKeyOption,
+      },
+      outputSchema: i18nFileTranslationOutput,
+    },
+    translateI18nFile
+  );
+
+  registerTool(
+    "translate-subtitles",
+    {
+      description: `Translate a subtitle file (${subtitleExtensions.join(', ')}) and save the translation as a file of the same format. Cue numbers, timestamps, cue settings and styling tags are kept. Cues are translated a sentence at a time, so sentences that run over several cues translate correctly, and each translation is shared out again between the sentence's cues in proportion to their original text. ${glossaryGuidance}`,
+      inputSchema: {
+        inputFile: z.string().describe("Path to the SRT or WebVTT file to translate"),
+        outputFile: z.string().optional().describe("Path where the translated subtitles will be saved (if not provided, will be auto-generated)"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+        targetLangCode: targetLangCodeSchema,
+        formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
+        glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
+        glossaryName: z.string().optional().describe("Name of glossary to use for translation, instead of its ID"),
+        ifOutputExists: z.enum(overwritePolicies).optional().describe(ifOutputExistsDescription),
+        ...apiKeyOption,
+      },
+      outputSchema: subtitleTranslationOutput,
+    },
+    translateSubtitles
+  );
+
+  registerTool(
+    "import-translation-memory",
+    {
+      description: `Import approved translations into the local translation memory from a file (${translationMemoryExtensions.join(', ')}), so that translate-text reuses them instead of translating those sentences again. A CSV or TSV file either has a header row of language codes, like "en,de,fr", whose first column is the source language unless sourceLangCode says otherwise, or has two columns, a text and its translation, in which case give sourceLangCode and targetLangCode. A translation already in the memory for the same text and language pair is replaced.`,
+      inputSchema: {
+        inputFile: z.string().describe("Path to the TMX, CSV or TSV file"),
+        sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}. For a TMX file, defaults to the file's source language`),
+        targetLangCode: z.string().optional().describe(`target ${languageCodeDescription}, to import only the translations into this language. Defaults to all of the file's languages`),
+      },
+      outputSchema: translationMemoryImportOutput,
+    },
+    importTranslationMemory
+  );
+
+  registerTool(
+    "add-to-translation-memory",
+    {
+      description: "Add approved translations to the local translation memory, e.g. once a reviewer has corrected a translation, so that translate-text reuses them. A translation already in the memory for the same text and language pair is replaced.",
+      inputSchema: {
+        sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
+        targetLangCode: z.string().describe(`target ${languageCodeDescription}`),
+        entries: z.array(z.object({
+          source: z.string().min(1).describe("A sentence or string in the source language"),
+          target: z.string().min(1).describe("Its approved translation"),
+        })).min(1).describe("The approved translations"),
+      },
+      outputSchema: translationMemoryAddOutput,
+    },
+    addToTranslationMemory
+  );
+
+  registerTool(
+    "list-glossaries",
+    {
+      description: "Get a list of all glossaries with metadata for each - name, dictionaries available, and creation time. " + glossaryEntriesGuidance,
+      outputSchema: glossariesOutput,
+    },
+    listGlossaries
+  );
+
+  registerTool(
+    "get-glossary-info",
+    {
+      description: "Given an id, get metadata about the glossary with that id - its name, available dictionaries, and creation time. " + glossaryEntriesGuidance,
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary")
+      },
+      outputSchema: glossarySchema,
+    },
+    getGlossary
+  );
+
+  registerTool(
+    "get-glossary-dictionary-entries",
+    {
+      description: "Retrieve all the entries from a given glossary dictionary. (A glossary consists one of one or more dictionaries, each of which contains entries for a specific language pair, in one direction. For example, one dictionary could contain entries for translations from German to English, and another dictionary could contain entries for translations from English to German.) To retrieve all entries for a glossary with multiple dictionaries, use the get-glossary-info or list-glossaries tool to find out what dictionaries it contains, then use this tool for each dictionary.",
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary"),
+        sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
+        targetLangCode: z.string().describe(`target ${languageCodeDescription}`)
+      },
+      outputSchema: glossaryEntriesOutput,
+    },
+    getGlossaryDictionaryEntries
+  );
+
+  registerTool(
+    "create-glossary",
+    {
+      description: "Create a new glossary with one or more dictionaries. Each dictionary contains entries for one language pair, in one direction. Returns the new glossary's id, name, dictionaries, and creation time.",
+      inputSchema: {
+        name: z.string().describe("Name of the new glossary"),
+        dictionaries: z.array(z.object({
+          sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
+          targetLangCode: z.string().describe(`target ${languageCodeDescription}`),
+          entries: glossaryEntriesSchema,
+        })).min(1).describe("Dictionaries to create in the glossary, one per language pair and direction"),
+        ...apiKeyOption,
+      },
+      outputSchema: glossarySchema,
+    },
+    createGlossary
+  );
+
+  registerTool(
+    "update-glossary-dictionary",
+    {
+      description: "Add entries to a glossary dictionary, or replace all of its entries. If the glossary has no dictionary for the given language pair yet, one is created. By default, the given entries are merged into the existing ones, replacing the target term of any source term that already exists.",
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary"),
+        sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
+        targetLangCode: z.string().describe(`target ${languageCodeDescription}`),
+        entries: glossaryEntriesSchema,
+        replaceAll: z.boolean().optional().describe("If true, remove all existing entries in the dictionary and keep only the given ones"),
+      },
+      outputSchema: glossarySchema,
+    },
+    updateGlossaryDictionary
+  );
+
+  registerTool(
+    "rename-glossary",
+    {
+      description: "Change the name of a glossary. " + glossaryEntriesGuidance,
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary"),
+        name: z.string().describe("New name for the glossary"),
+      },
+      outputSchema: glossarySchema,
+    },
+    renameGlossary
+  );
+
+  registerTool(
+    "delete-glossary-dictionary",
+    {
+      description: "Delete a single dictionary, for one language pair and direction, from a glossary. The rest of the glossary is left unchanged.",
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary"),
+        sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
+        targetLangCode: z.string().describe(`target ${languageCodeDescription}`)
+      },
+      outputSchema: glossarySchema,
+    },
+    deleteGlossaryDictionary
+  );
+
+  registerTool(
+    "delete-glossary",
+    {
+      description: "Delete a glossary and all of its dictionaries. This cannot be undone.",
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary")
+      },
+      outputSchema: deletedGlossaryOutput,
+    },
+    deleteGlossary
+  );
+
+  registerTool(
+    "export-glossary",
+    {
+      description: `Save the entries of a glossary to a file, to edit them in a spreadsheet or terminology tool or to keep a copy. The file type is chosen by the output file's extension: ${glossaryFileExtensions.join(', ')}. CSV and TSV files have one entry per row, followed by its languages, as in "Hello,Hallo,en,de". By default all of the glossary's dictionaries are exported.`,
+      inputSchema: {
+        glossaryId: z.string().describe("The unique identifier of the glossary"),
+        outputFile: z.string().describe(`Path of the file to write, ending in ${glossaryFileExtensions.join(', ')}`),
+        sourceLangCode: z.string().optional().describe(`To export just one dictionary, its source ${languageCodeDescription}`),
+        targetLangCode: z.string().optional().describe(`To export just one dictionary, its target ${languageCodeDescription}`),
+        ifOutputExists: z.enum(overwritePolicies).optional().describe(ifOutputExistsDescription),
+      },
+      outputSchema: glossaryExportOutput,
+    },
+    exportGlossary
+  );
+
+  registerTool(
+    "import-glossary",
+    {
+      description: `Create a glossary from a ${glossaryFileExtensions.join(', ')} file, or add its entries to an existing glossary. CSV and TSV files have a term and its translation on each row, optionally followed by their languages, as in "Hello,Hallo,en,de". TBX files have terms in several languages, and are read from the source language into each of the others. The file is checked before anything is uploaded: empty terms, and terms with different translations, stop the import, and are listed so they can be corrected. Use dryRun to only check the file.`,
+      inputSchema: {
+        inputFile: z.string().describe("Path of the file to import"),
+        glossaryId: z.string().optional().describe("The unique identifier of a glossary to add the entries to. Give this or name"),
+        name: z.string().optional().describe("Name of a new glossary to create from the file. Give this or glossaryId"),
+        sourceLangCode: z.string().optional().describe(`Source ${languageCodeDescription}. Needed for CSV or TSV rows that don't give their languages, and for TBX files that don't say which language they translate from`),
+        targetLangCode: z.string().optional().describe(`Target ${languageCodeDescription}. Needed for CSV or TSV rows that don't give their languages. For a TBX file, only import the translations into this language`),
+        replaceAll: z.boolean().optional().describe("When adding to an existing glossary, replace all the entries of each dictionary in the file, rather than merging the file's entries into them"),
+        dryRun: z.boolean().optional().describe("If true, only check the file and report its dictionaries and any problems, without uploading anything"),
+        ...apiKeyOption,
+      },
+      outputSchema: glossaryImportOutput,
+    },
+    importGlossary
+  );
 }
 
-const sourceLanguages = await LanguagesList.create('source');
-const targetLanguages = await LanguagesList.create('target');
 
 /*--------------------------------------------------------------------
- *  Create MCP server
+ *  Server resources
  *-------------------------------------------------------------------*/
 
-const server = new McpServer({
-  name: "deepl",
-  version: "1.0.0"
-});
+/**
+ * Publish the language lists as resources, so clients can read them without a tool call
+ * @param {McpServer} server
+ */
+function registerResources(server) {
+  server.registerResource(
+    "source-languages",
+    "deepl://languages/source",
+    {
+      title: "DeepL source languages",
+      description: "Languages DeepL can translate from, with their language codes",
+      mimeType: "application/json"
+    },
+    uri => jsonResource(uri, sourceLanguages.list())
+  );
+
+  server.registerResource(
+    "target-languages",
+    "deepl://languages/target",
+    {
+      title: "DeepL target languages",
+      description: "Languages DeepL can translate into, with their language codes",
+      mimeType: "application/json"
+    },
+    uri => jsonResource(uri, targetLanguages.list())
+  );
+
+  server.registerResource(
+    "formality-languages",
+    "deepl://languages/target/formality",
+    {
+      title: "DeepL target languages with formality",
+      description: "Target languages which support the formality option",
+      mimeType: "application/json"
+    },
+    uri => jsonResource(uri, targetLanguages.formalityList())
+  );
+
+  server.registerResource(
+    "glossary-language-pairs",
+    "deepl://languages/glossary-pairs",
+    {
+      title: "DeepL glossary language pairs",
+      description: "Pairs of source and target languages which glossary dictionaries can be made for",
+      mimeType: "application/json"
+    },
+    uri => jsonResource(uri, languages.glossaryPairs.get())
+  );
+}
+
+/**
+ * @param {URL} uri
+ * @param {Promise<unknown>} data
+ */
+async function jsonResource(uri, data) {
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: "application/json",
+      text: JSON.stringify(await data, null, 2)
+    }]
+  };
+}
 
 
 /*--------------------------------------------------------------------
- *  Server tools
+ *  Server prompts
  *-------------------------------------------------------------------*/
 
-server.tool(
-  "get-source-languages",
-  "Get list of available source languages for translation",
-  getSourceLanguages
-);
-
-server.tool(
-  "get-target-languages",
-  "Get list of available target languages for translation",
-  getTargetLanguages
-);
-
-server.tool(
-  "translate-text",
-  "Translate text to a target language using DeepL API. When the translation includes a glossary, you must specify the source language as well as the target language. If the user requests a glossary by name instead of by id, you can use the list-glossaries tool to get a name for each id.",
-  {
-    text: z.string().describe("Text to translate"),
-    sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
-    targetLangCode: z.string().describe('target ' + languageCodeDescription),
-    formality: z.enum(formalityTypes).optional().describe("Controls whether translations should lean toward informal or formal language"),
-    glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
-  },
-  translateText
-);
-
-server.tool(
-  "get-writing-styles",
-  "Get list of writing styles the DeepL API can use while rephrasing text",
-  getWritingStyles
-);
-
-server.tool(
-  "get-writing-tones",
-  "Get list of writing tones the DeepL API can use while rephrasing text",
-  getWritingTones
-);
-
-server.tool(
-  "rephrase-text",
-  "Rephrase text in the same language using DeepL API",
-  {
-    text: z.string().describe("Text to rephrase"),
-    style: z.enum(writingStyles).optional().describe("Writing style for rephrasing"),
-    tone: z.enum(writingTones).optional().describe("Writing tone for rephrasing")
-  },
-  rephraseText
-);
-
-server.tool(
-  "translate-document",
-  "Translate a document file using DeepL API",
-  {
-    inputFile: z.string().describe("Path to the input document file to translate"),
-    outputFile: z.string().optional().describe("Path where the translated document will be saved (if not provided, will be auto-generated)"),
-    sourceLangCode: z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
-    targetLangCode: z.string().describe('target ' + languageCodeDescription),
-    formality: z.enum(['less', 'more', 'default', 'prefer_less', 'prefer_more']).optional().describe("Controls whether translations should lean toward informal or formal language"),
-    glossaryId: z.string().optional().describe("ID of glossary to use for translation"),
-  },
-  translateDocument
-);
-
-server.tool(
-  "list-glossaries",
-  "Get a list of all glossaries with metadata for each - name, dictionaries available, and creation time. " + glossaryEntriesGuidance,
-  listGlossaries
-);
-
-server.tool(
-  "get-glossary-info",
-  "Given an id, get metadata about the glossary with that id - its name, available dictionaries, and creation time. " + glossaryEntriesGuidance,
-  {
-    glossaryId: z.string().describe("The unique identifier of the glossary")
-  },
-  getGlossary
-);
-
-server.tool(
-  "get-glossary-dictionary-entries",
-  "Retrieve all the entries from a given glossary dictionary. (A glossary consists one of one or more dictionaries, each of which contains entries for a specific language pair, in one direction. For example, one dictionary could contain entries for translations from German to English, and another dictionary could contain entries for translations from English to German.) To retrieve all entries for a glossary with multiple dictionaries, use the get-glossary-info or list-glossaries tool to find out what dictionaries it contains, then use this tool for each dictionary.",
-  {
-    glossaryId: z.string().describe("The unique identifier of the glossary"),
-    sourceLangCode: z.string().describe(`source ${languageCodeDescription}`),
-    targetLangCode: z.string().describe(`target ${languageCodeDescription}`)
-  },
-  getGlossaryDictionaryEntries
-);
+/**
+ * Register prompt templates for common localization tasks. Their arguments offer
+ * completions from the live language and glossary lists.
+ * @param {McpServer} server
+ */
+function registerPrompts(server) {
+  server.registerPrompt(
+    "localize-strings",
+    {
+      title: "Localize UI strings",
+      description: "Translate a set of UI strings into several locales, optionally with a glossary",
+      argsSchema: {
+        strings: z.string().describe("The strings to localize, one per line"),
+        targetLangCodes: completable(
+          z.string().describe("Comma-separated target language codes (e.g. 'de, fr, ja')"),
+          completeLanguageCodeList(targetLanguages)
+        ),
+        sourceLangCode: completable(
+          z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+          completeLanguageCode(sourceLanguages)
+        ),
+        glossaryName: completable(
+          z.string().optional().describe("Name of a glossary to use"),
+          completeGlossaryName
+        )
+      }
+    },
+    ({ strings, targetLangCodes, sourceLangCode, glossaryName }) => promptMessage([
+      `Localize these UI strings${sourceLangCode ? ` from ${sourceLangCode}` : ''} into ${targetLangCodes}:`,
+      '',
+      strings,
+      '',
+      `Translate them all at once with the translate-text-batch tool, passing each line as one of the texts${glossaryName ? ` and glossaryName "${glossaryName}"` : ''}. Use translate-text only to retranslate a single string.`,
+      ...(glossaryName ? [`If the glossary doesn't cover one of the languages, the tool says which language pairs it has. Use get-glossary-dictionary-entries to see its terms if you need to.`] : []),
+      'Keep placeholders (like {name}, %s or {{count}}), HTML tags and leading or trailing whitespace exactly as they are.',
+      'Reply with a table that has one row per string and one column per locale, and point out any string whose translation looks much longer than the original, since it may not fit in the UI.'
+    ])
+  );
+
+  server.registerPrompt(
+    "review-translation",
+    {
+      title: "Review a translation",
+      description: "Check an existing translation against its source text, for accuracy, omissions, and terminology",
+      argsSchema: {
+        sourceText: z.string().describe("The original text"),
+        translation: z.string().describe("The translation to review"),
+        targetLangCode: completable(
+          z.string().describe('target ' + languageCodeDescription),
+          completeLanguageCode(targetLanguages)
+        ),
+        sourceLangCode: completable(
+          z.string().optional().describe(`source ${languageCodeDescription}, or leave empty for auto-detection`),
+          completeLanguageCode(sourceLanguages)
+        ),
+        glossaryName: completable(
+          z.string().optional().describe("Name of a glossary whose terms the translation should use"),
+          completeGlossaryName
+        )
+      }
+    },
+    ({ sourceText, translation, targetLangCode, sourceLangCode, glossaryName }) => promptMessage([
+      `Review this ${targetLangCode} translation of a${sourceLangCode ? ` ${sourceLangCode}` : ''} source text.`,
+      '',
+      'Source text:',
+      sourceText,
+      '',
+      'Translation:',
+      translation,
+      '',
+      `First, get a reference translation with the translate-text tool${glossaryName ? `, using glossaryName "${glossaryName}"` : ''}.`,
+      ...(glossaryName ? [`Then use list-glossaries and get-glossary-dictionary-entries to fetch the terms of the "${glossaryName}" glossary for this language pair, and check that the translation uses them.`] : []),
+      'Compare the translation with the source and the reference, and list each problem you find: mistranslations, omissions, additions, wrong terminology, and grammar or style errors. Quote the passage, explain the problem, and suggest a correction.',
+      'Don\'t report differences from the reference that are only a matter of preference. Finish with a corrected version of the whole translation, or say that it needs no changes.'
+    ])
+  );
+
+  server.registerPrompt(
+    "rewrite-text",
+    {
+      title: "Rewrite text in a style or tone",
+      description: "Rephrase text in a given writing style or tone, optionally into a different language variant",
+      argsSchema: {
+        text: z.string().describe("The text to rewrite"),
+        style: completable(
+          z.string().optional().describe("Writing style, e.g. 'business' or 'academic'"),
+          value => completeFrom(writingStyles, value)
+        ),
+        tone: completable(
+          z.string().optional().describe("Writing tone, e.g. 'friendly' or 'diplomatic'"),
+          value => completeFrom(writingTones, value)
+        ),
+        targetLangCode: completable(
+          z.string().optional().describe(`Language to rewrite into, one of: ${writeLanguages.join(', ')}`),
+          value => completeFrom(writeLanguages, value)
+        )
+      }
+    },
+    ({ text, style, tone, targetLangCode }) => {
+      if (style && tone) {
+        throw new Error('DeepL can rephrase with a writing style or a tone, but not both. Choose one.');
+      }
+
+      const how = style ? `writing style "${style}"` : tone ? `tone "${tone}"` : null;
+      return promptMessage([
+        `Rewrite this text${how ? ` in the ${how}` : ''}${targetLangCode ? `, in ${targetLangCode}` : ''}:`,
+        '',
+        text,
+        '',
+        `Use the rephrase-text tool${how ? ` with ${style ? `style "${style}"` : `tone "${tone}"`}` : ''}${targetLangCode ? ` and targetLangCode "${targetLangCode}"` : ''}, and showDiff set to true.`,
+        'Reply with the rewritten text, followed by a short summary of what changed.'
+      ]);
+    }
+  );
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {import('@modelcontextprotocol/sdk/types.js').GetPromptResult}
+ */
+function promptMessage(lines) {
+  return {
+    messages: [{
+      role: "user",
+      content: { type: "text", text: lines.join('\n') }
+    }]
+  };
+}
+
+/**
+ * The options that start with what's been typed so far, ignoring case
+ * @param {string[]} options
+ * @param {string | undefined} value
+ */
+function completeFrom(options, value = '') {
+  return options.filter(option => option.toLowerCase().startsWith(value.toLowerCase()));
+}
+
+/**
+ * Complete a language code from a language list, matching language names too
+ * @param {import('./languages.mjs').LanguagesList} languagesList
+ */
+function completeLanguageCode(languagesList) {
+  return async (value = '') => {
+    const lowerValue = value.toLowerCase();
+    return (await languagesList.list())
+      .filter(lang => lang.code.startsWith(lowerValue) || lang.name.toLowerCase().startsWith(lowerValue))
+      .map(lang => lang.code);
+  };
+}
+
+/**
+ * Complete the last code in a comma-separated list of language codes
+ * @param {import('./languages.mjs').LanguagesList} languagesList
+ */
+function completeLanguageCodeList(languagesList) {
+  const completeCode = completeLanguageCode(languagesList);
+  return async (value = '') => {
+    const separator = value.lastIndexOf(',');
+    const done = value.slice(0, separator + 1);
+    const codes = await completeCode(value.slice(separator + 1).trim());
+    return codes.map(code => `${done}${done ? ' ' : ''}${code}`);
+  };
+}
+
+/**
+ * Complete a glossary name. Completions are only suggestions, so if DeepL
+ * can't be reached we just don't offer any.
+ * @param {string | undefined} value
+ */
+async function completeGlossaryName(value = '') {
+  try {
+    const glossaries = await deeplClient.listMultilingualGlossaries();
+    return completeFrom([...new Set(glossaries.map(glossary => glossary.name))], value);
+  } catch (error) {
+    return [];
+  }
+}
 
 
 /*--------------------------------------------------------------------
@@ -212,190 +922,1149 @@ server.tool(
 
 async function getSourceLanguages() {
   try {
-    return mcpContentifyText(sourceLanguages.list.map(JSON.stringify)); 
+    const list = await sourceLanguages.list();
+    return mcpStructuredResult({ languages: list }, list.map(JSON.stringify));
   } catch (error) {
-    throw new Error(`Failed to get source languages: ${error.message}`);
+    throw new Error(`Failed to get source languages: ${error.message}`, { cause: error });
   }
 }
 
 async function getTargetLanguages() {
   try {
-    return mcpContentifyText(targetLanguages.list.map(JSON.stringify));
+    const list = await targetLanguages.list();
+    return mcpStructuredResult({ languages: list }, list.map(JSON.stringify));
   } catch (error) {
-    throw new Error(`Failed to get target languages: ${error.message}`);
+    throw new Error(`Failed to get target languages: ${error.message}`, { cause: error });
   }
 }
 
 // The type assertion below asserts that the API will return a single result, not an array of results
-async function translateText ({ text, sourceLangCode = null, targetLangCode, formality, glossaryId }) {
+async function translateText ({
+  text, sourceLangCode = null, targetLangCode, formality, glossaryId, glossaryName, useTranslationMemory = true, minMatchScore = 1,
+  textFormat = 'plain', protectPlaceholders = false, placeholderPatterns = [], apiKeyName, ...advancedOptions
+}) {
+  // apiKeyName has already chosen the key for this call, and isn't an option for DeepL or part of the cache key
   if (sourceLangCode) {
-    sourceLanguages.normalize(sourceLangCode);
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
   }
   
-  targetLangCode = targetLanguages.normalize(targetLangCode);
+  targetLangCode = await targetLanguages.normalize(targetLangCode ?? serverConfig.defaultTargetLang);
+  assertValidTextOptions(advancedOptions);
+  const isProtected = textFormat === 'markdown' || protectPlaceholders || placeholderPatterns.length > 0;
+  if (isProtected && advancedOptions.tagHandling) {
+    throw new Error("Markdown and placeholder protection turn the text into XML themselves, so they can't be used with tagHandling.");
+  }
+  const patterns = compilePlaceholderPatterns(placeholderPatterns);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes: [targetLangCode] }));
+  formality = await formalityFor(targetLangCode, formality);
+
+  if (isProtected) {
+    return translateProtectedText(text, { textFormat, patterns, sourceLangCode, targetLangCode, formality, glossaryId, advancedOptions });
+  }
+
+  // Markup isn't split into sentences, since tags can span them
+  const segments = useTranslationMemory
+    ? await findInTranslationMemory(text, { sourceLangCode, targetLangCode, minMatchScore, splitText: !advancedOptions.tagHandling })
+    : null;
+  if (segments) {
+    return translateWithMemory(segments, { sourceLangCode, targetLangCode, formality, glossaryId, advancedOptions });
+  }
+
+  const cacheKey = TranslationCache.key({
+    kind: 'translate', text, sourceLangCode, targetLangCode: targetLangCode.toLowerCase(), formality, glossaryId, ...advancedOptions
+  });
+  const cached = await translationCache.get(cacheKey);
+  if (cached) {
+    return mcpStructuredResult({
+      text: cached.text,
+      detectedSourceLang: cached.detectedSourceLang,
+      targetLang: targetLangCode,
+      billedCharacters: 0,
+      modelTypeUsed: cached.modelTypeUsed,
+      cached: true
+    }, [
+      cached.text,
+      `Detected source language: ${cached.detectedSourceLang}`,
+      `Target language used: ${targetLangCode}`,
+      'Reused from translation cache, no characters billed'
+    ]);
+  }
+
+  characterBudget.assertAvailable(text.length);
 
   try {
-    const options = { formality };
+    const options = { formality, ...advancedOptions };
     if (glossaryId) {
       options.glossary = glossaryId;
     }
 
     const result = await deeplClient.translateText(text, sourceLangCode, targetLangCode, options);
     const translation = /** @type {import('deepl-node').TextResult} */ (result);
+    recordBilledCharacters(translation.billedCharacters);
+    await translationCache.set(cacheKey, {
+      text: translation.text,
+      detectedSourceLang: translation.detectedSourceLang,
+      modelTypeUsed: translation.modelTypeUsed
+    }, { glossaryId });
 
-    return mcpContentifyText([
+    const results = [
       translation.text,
       `Detected source language: ${translation.detectedSourceLang}`,
-      `Target language used: ${targetLangCode}`
-    ]);
-
-  } catch (error) {
-    throw new Error(`Translation failed: ${error.message}`);
-  }
-}
+      `Target language used: ${targetLangCode}`,
+      `Characters billed: ${translation.billedCharacters}`
+    ];
+    if (translation.modelTypeUsed) {
+      results.push(`Model type used: ${translation.modelTypeUsed}`);
+    }
 
-// The type assertion below asserts that the API will return a single result, not an array of results
-async function rephraseText({ text, style, tone }) {
-  try {
-    const result = await deeplClient.rephraseText(text, null, style, tone);
-    const translation = /** @type {import('deepl-node').WriteResult} */ (result);
-    return mcpContentifyText(translation.text);
+    return mcpStructuredResult({
+      text: translation.text,
+      detectedSourceLang: translation.detectedSourceLang,
+      targetLang: targetLangCode,
+      billedCharacters: translation.billedCharacters,
+      modelTypeUsed: translation.modelTypeUsed,
+      cached: false
+    }, results);
 
   } catch (error) {
-    throw new Error(`Rephrasing failed: ${error.message}`);
+    throw new Error(`Translation failed: ${error.message}`, { cause: error });
   }
 }
 
-async function getWritingStyles() {
-  try {
-    return mcpContentifyText(writingStyles);
-  } catch (error) {
-    throw new Error(`Failed to get writing styles and tones: ${error.message}`);
+// We send one request per target language, with as many texts as DeepL accepts in each
+async function translateTextBatch ({ texts, sourceLangCode = null, targetLangCodes, formality, glossaryId, glossaryName }) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
   }
-}
 
-async function getWritingTones() {
+  targetLangCodes = await normalizeTargetLangCodes(targetLangCodes ?? [serverConfig.defaultTargetLang]);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes }));
+
+  // DeepL refuses empty texts, so blank ones are passed through as they are
+  const indexesToTranslate = texts.flatMap((text, index) => text.trim() ? [index] : []);
+  const totalLength = indexesToTranslate.reduce((sum, index) => sum + texts[index].length, 0);
+  characterBudget.assertAvailable(totalLength * targetLangCodes.length);
+
   try {
-    return mcpContentifyText(writingTones);
+    const options = {};
+    if (glossaryId) {
+      options.glossary = glossaryId;
+    }
+
+    const results = texts.map(text => text.trim() ? {} : Object.fromEntries(targetLangCodes.map(code => [code, { text }])));
+    const billedCharacters = {};
+
+    for (const targetLangCode of targetLangCodes) {
+      billedCharacters[targetLangCode] = 0;
+
+      for (let start = 0; start < indexesToTranslate.length; start += maxTextsPerRequest) {
+        const chunk = indexesToTranslate.slice(start, start + maxTextsPerRequest);
+        const translations = await deeplClient.translateText(
+          chunk.map(index => texts[index]),
+          /** @type {import('deepl-node').SourceLanguageCode} */ (sourceLangCode),
+          /** @type {import('deepl-node').TargetLanguageCode} */ (targetLangCode),
+          { ...options, formality: await formalityFor(targetLangCode, formality) }
+        );
+
+        translations.forEach((translation, i) => {
+          results[chunk[i]][targetLangCode] = {
+            text: translation.text,
+            detectedSourceLang: translation.detectedSourceLang
+          };
+          billedCharacters[targetLangCode] += translation.billedCharacters;
+        });
+        recordBilledCharacters(translations.reduce((sum, translation) => sum + translation.billedCharacters, 0));
+      }
+    }
+
+    return mcpStructuredResult({ results, billedCharacters, targetLangs: targetLangCodes }, [
+      JSON.stringify({ results, billedCharacters }, null, 2),
+      `Target languages used: ${targetLangCodes.join(', ')}`
+    ]);
+
   } catch (error) {
-    throw new Error(`Failed to get writing styles and tones: ${error.message}`);
+    throw new Error(`Batch translation failed: ${error.message}`, { cause: error });
   }
 }
 
-async function translateDocument ({ inputFile, outputFile, sourceLangCode, targetLangCode, formality, glossaryId }) {
+// The type assertion below asserts that the API will return a single result, not an array of results
+async function checkTranslation({ sourceText, translation, sourceLangCode = null, targetLangCode, glossaryId, glossaryName, backTranslate = false }) {
   if (sourceLangCode) {
-    sourceLanguages.normalize(sourceLangCode);
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
   }
-  
-  targetLangCode = targetLanguages.normalize(targetLangCode);
+  targetLangCode = await targetLanguages.normalize(targetLangCode);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes: [targetLangCode] }));
 
-  // Generate output file name if not provided
-  if (!outputFile) {
-    const path = await import('path');
-    const parsedPath = path.parse(inputFile);
-    const langCodeSet1 = targetLangCode.split('-')[0]; // Get language code without region (e.g., 'en' from 'en-US')
-    outputFile = path.join(parsedPath.dir, `${parsedPath.name}_${langCodeSet1}${parsedPath.ext}`);
+  if (backTranslate && !sourceLangCode) {
+    throw new Error('To back-translate, give sourceLangCode, the language to translate the translation back into.');
+  }
+  if (backTranslate) {
+    characterBudget.assertAvailable(translation.length);
   }
 
   try {
-    const options = { formality };
+    const tokenMismatches = findTokenMismatches(sourceText, translation);
+
+    let missingGlossaryTerms = [];
     if (glossaryId) {
-      options.glossary = glossaryId;
+      // Dictionaries aren't region-specific, so "en-US" uses the dictionary into "en"
+      const { entries } = await deeplClient.getMultilingualGlossaryDictionaryEntries(
+        glossaryId, sourceLangCode.split('-')[0], targetLangCode.split('-')[0]
+      );
+      missingGlossaryTerms = findMissingGlossaryTerms(sourceText, translation, entries.entries());
     }
 
-    const result = await deeplClient.translateDocument(
-      inputFile,
-      outputFile,
-      sourceLangCode ? /** @type {import('deepl-node').SourceLanguageCode} */(sourceLangCode) : null,
-      /** @type {import('deepl-node').TargetLanguageCode} */(targetLangCode),
-      options
-    );
+    let backTranslation;
+    let billedCharacters = 0;
+    if (backTranslate) {
+      const result = await deeplClient.translateText(
+        translation,
+        /** @type {import('deepl-node').SourceLanguageCode} */ (await sourceLanguages.normalize(targetLangCode.split('-')[0])),
+        /** @type {import('deepl-node').TargetLanguageCode} */ (await targetLanguages.normalize(sourceLangCode))
+      );
+      billedCharacters = result.billedCharacters;
+      recordBilledCharacters(billedCharacters);
+      const diff = wordDiff(sourceText, result.text);
+      backTranslation = { text: result.text, similarity: diffSimilarity(diff), diff: formatWordDiff(diff) };
+    }
 
-    return mcpContentifyText([
-      `Document translated successfully! Status: ${result.status}`,
-      `Target language used: ${targetLangCode}`,
-      `Characters billed: ${result.billedCharacters}`,
-      `Output file: ${outputFile}`
-    ]);
+    const problemCount = missingGlossaryTerms.length + tokenMismatches.length;
+    const tokenNames = { number: 'Number', url: 'URL', placeholder: 'Placeholder' };
+    const times = (/** @type {number} */ count) => `${count} time${count === 1 ? '' : 's'}`;
+    const results = [
+      problemCount ? `${problemCount} possible problem${problemCount === 1 ? '' : 's'} found` : 'No problems found',
+      ...missingGlossaryTerms.map(({ sourceTerm, targetTerm }) => `Glossary term not used: "${sourceTerm}" should be translated as "${targetTerm}"`),
+      ...tokenMismatches.map(({ type, value, sourceCount, translationCount }) =>
+        `${tokenNames[type]} ${value} is in the source text ${times(sourceCount)}, and in the translation ${times(translationCount)}`
+      )
+    ];
+    if (backTranslation) {
+      results.push(
+        `Back-translation similarity: ${backTranslation.similarity}`,
+        sideBySideTable(['Source', 'Translation', 'Back-translation'], [sourceText, translation, backTranslation.text]),
+        `Differences from the source text: ${backTranslation.diff}`
+      );
+    }
+
+    return mcpStructuredResult({
+      sourceLang: sourceLangCode ?? undefined,
+      targetLang: targetLangCode,
+      passed: problemCount === 0,
+      glossaryId,
+      missingGlossaryTerms,
+      tokenMismatches,
+      backTranslation,
+      billedCharacters
+    }, results);
   } catch (error) {
-    throw new Error(`Document translation failed: ${error.message}`);
+    throw new Error(`Translation check failed: ${error.message}`, { cause: error });
   }
 }
 
-async function listGlossaries() {
-  try {
-    const glossaries = await deeplClient.listMultilingualGlossaries();
+async function rephraseText({ text, texts, targetLangCode, style, tone, showDiff = false }) {
+  if ((text === undefined) === (texts === undefined)) {
+    throw new Error('Give either text or texts to rephrase, but not both.');
+  }
+  if (targetLangCode) {
+    targetLangCode = normalizeWriteLangCode(targetLangCode);
+  }
 
-    if (glossaries.length === 0) {
-      return mcpContentifyText("No glossaries found");
+  const inputs = texts ?? [text];
+  const cacheKeys = inputs.map(input => TranslationCache.key({ kind: 'rephrase', text: input, targetLangCode, style, tone }));
+  const results = await Promise.all(cacheKeys.map(async key => {
+    const cached = await translationCache.get(key);
+    return cached ? { ...cached, cached: true } : null;
+  }));
+
+  const uncachedIndexes = inputs.map((_, i) => i).filter(i => !results[i]);
+  characterBudget.assertAvailable(uncachedIndexes.reduce((sum, i) => sum + inputs[i].length, 0));
+
+  try {
+    for (let start = 0; start < uncachedIndexes.length; start += maxTextsPerRequest) {
+      const indexes = uncachedIndexes.slice(start, start + maxTextsPerRequest);
+      const chunk = indexes.map(i => inputs[i]);
+      const rephrasings = await deeplClient.rephraseText(chunk, targetLangCode ?? null, style, tone);
+
+      // DeepL doesn't report billed characters for rephrasing, so we count the text we sent
+      recordBilledCharacters(chunk.reduce((sum, input) => sum + input.length, 0));
+
+      for (const [n, rephrasing] of rephrasings.entries()) {
+        const i = indexes[n];
+        const result = {
+          text: rephrasing.text,
+          detectedSourceLang: rephrasing.detectedSourceLang,
+          targetLang: rephrasing.targetLang
+        };
+        await translationCache.set(cacheKeys[i], result);
+        results[i] = { ...result, cached: false };
+      }
     }
 
-    const results = glossaries.map(glossary => JSON.stringify({
-      id: glossary.glossaryId,
-      name: glossary.name,
-      dictionaries: glossary.dictionaries,
-      creationTime: glossary.creationTime
-    }, null, 2));
+    const output = results.map((result, i) => ({
+      ...result,
+      diff: showDiff ? formatWordDiff(wordDiff(inputs[i], result.text)) : undefined
+    }));
+
+    const lines = output.flatMap((result, i) => [
+      ...(texts ? [`Text ${i + 1}:`] : []),
+      result.text,
+      ...(result.diff !== undefined ? [`Changes: ${result.diff}`] : []),
+      ...(result.cached ? ['Reused from translation cache, no characters billed'] : [])
+    ]);
+
+    return mcpStructuredResult({
+      text: texts ? undefined : output[0].text,
+      results: output
+    }, lines);
 
-    return mcpContentifyText(results);
   } catch (error) {
-    throw new Error(`Failed to list glossaries: ${error.message}`);
+    throw new Error(`Rephrasing failed: ${error.message}`, { cause: error });
   }
 }
 
-async function getGlossary({ glossaryId }) {
+async function getUsage() {
   try {
-    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+    const usages = await keyPool.usage();
+    if (usages.every(({ error }) => error)) {
+      throw usages[0].error;
+    }
 
+    const describeDetail = (detail) => detail ? { count: detail.count, limit: detail.limit } : null;
+    const keys = usages.map(({ name, type, usage, error }) => ({
+      name,
+      type,
+      character: describeDetail(usage?.character),
+      document: describeDetail(usage?.document),
+      teamDocument: describeDetail(usage?.teamDocument),
+      ...(error && { error: error.message })
+    }));
+
+    // Add up the keys' usage, for those that have each type of usage
+    const total = (type) => keys.reduce((sum, key) => key[type]
+      ? { count: (sum?.count ?? 0) + key[type].count, limit: (sum?.limit ?? 0) + key[type].limit }
+      : sum, null);
     const result = {
-      id: glossary.glossaryId,
-      name: glossary.name,
-      dictionaries: glossary.dictionaries,
-      creationTime: glossary.creationTime
+      character: total('character'),
+      document: total('document'),
+      teamDocument: total('teamDocument'),
+      keys,
+      localCharacterBudget: characterBudget.describe()
     };
 
-    return mcpContentifyText(JSON.stringify(result, null, 2));
+    return mcpStructuredResult(result);
   } catch (error) {
-    throw new Error(`Failed to get glossary: ${error.message}`);
+    throw new Error(`Failed to get usage: ${error.message}`, { cause: error });
   }
 }
 
-async function getGlossaryDictionaryEntries({ glossaryId, sourceLangCode, targetLangCode }) {
+async function getCacheStats() {
   try {
-    if (!sourceLangCode || !targetLangCode) {
-      throw new Error('To access a glossary dictionary, you must specify its source and target languages');
-    }
+    const stats = await translationCache.stats();
+    return mcpStructuredResult(stats);
+  } catch (error) {
+    throw new Error(`Failed to get cache stats: ${error.message}`, { cause: error });
+  }
+}
 
-    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+async function clearCache() {
+  try {
+    if (!translationCache.enabled) {
+      return mcpStructuredResult(
+        { enabled: false, removedEntries: 0 },
+        "The translation cache is not enabled. Set DEEPL_CACHE_DIR or --cache-dir to enable it."
+      );
+    }
 
-    const entriesResult = await deeplClient.getMultilingualGlossaryDictionaryEntries(
-      glossaryId,
-      sourceLangCode,
-      targetLangCode
+    const count = await translationCache.clear();
+    return mcpStructuredResult(
+      { enabled: true, removedEntries: count },
+      `Removed ${count} entries from the translation cache`
     );
+  } catch (error) {
+    throw new Error(`Failed to clear cache: ${error.message}`, { cause: error });
+  }
+}
 
-    const results = [
-      `Glossary: ${glossary.name}`,
-      `Language pair: ${sourceLangCode} → ${targetLangCode}`,
-      '',
-      'Entries:',
-      JSON.stringify(entriesResult.entries, null, 2)
-    ];
+async function getWritingStyles() {
+  try {
+    return mcpStructuredResult({ styles: writingStyles }, writingStyles);
+  } catch (error) {
+    throw new Error(`Failed to get writing styles and tones: ${error.message}`, { cause: error });
+  }
+}
 
-    return mcpContentifyText(results);
+async function getWritingTones() {
+  try {
+    return mcpStructuredResult({ tones: writingTones }, writingTones);
   } catch (error) {
-    throw new Error(`Failed to get glossary dictionary entries: ${error.message}`);
+    throw new Error(`Failed to get writing styles and tones: ${error.message}`, { cause: error });
   }
 }
 
+async function translateDocument ({ inputFile, outputFile, sourceLangCode, targetLangCode, formality, glossaryId, glossaryName, ifOutputExists }, extra) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  }
+  
+  targetLangCode = await targetLanguages.normalize(targetLangCode ?? serverConfig.defaultTargetLang);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes: [targetLangCode] }));
 
-/*--------------------------------------------------------------------
- *  Helper functions
- *-------------------------------------------------------------------*/
+  // Check the files before uploading anything, so we don't pay for a translation we can't save
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  assertSupportedDocument(inputFile);
 
-/**
- * Helper function which wraps a string or strings in the object structure MCP expects
- * @param {string | string[]} param
+  // Generate output file name if not provided
+  if (!outputFile) {
+    outputFile = defaultOutputFile(inputFile, targetLangCode);
+  }
+  outputFile = await fileSandbox.resolveOutput(outputFile, ifOutputExists);
+
+  // We can't know a document's length before DeepL bills it, so we only check that some budget is left
+  characterBudget.assertAvailable();
+
+  try {
+    const job = await startDocumentJob({ inputFile, sourceLangCode, targetLangCode, formality, glossaryId });
+    const status = await waitForDocumentJob(job, extra);
+
+    await fileSandbox.prepareForWrite(outputFile, ifOutputExists);
+    await keyPool.clientFor(job.apiKeyName).downloadDocument(documentHandle(job), outputFile);
+    await documentJobs.update(job.jobId, { outputFile });
+
+    return mcpStructuredResult({
+      jobId: job.jobId,
+      status: status.status,
+      targetLang: targetLangCode,
+      billedCharacters: status.billedCharacters,
+      outputFile
+    }, [
+      `Document translated successfully! Status: ${status.status}`,
+      `Target language used: ${targetLangCode}`,
+      `Characters billed: ${status.billedCharacters}`,
+      `Output file: ${outputFile}`
+    ]);
+  } catch (error) {
+    throw new Error(`Document translation failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function uploadDocument ({ inputFile, sourceLangCode, targetLangCode, formality, glossaryId, glossaryName }) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  }
+
+  targetLangCode = await targetLanguages.normalize(targetLangCode ?? serverConfig.defaultTargetLang);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes: [targetLangCode] }));
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  assertSupportedDocument(inputFile);
+  characterBudget.assertAvailable();
+
+  try {
+    const job = await startDocumentJob({ inputFile, sourceLangCode, targetLangCode, formality, glossaryId });
+
+    return mcpStructuredResult({ jobId: job.jobId, targetLang: targetLangCode }, [
+      `Document uploaded for translation. Job id: ${job.jobId}`,
+      `Target language used: ${targetLangCode}`,
+      'Use get-document-status to check on the translation, and download-document to save it once it is done.'
+    ]);
+  } catch (error) {
+    throw new Error(`Document upload failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function getDocumentStatus({ jobId }) {
+  try {
+    const job = await documentJobs.get(jobId);
+    const status = await refreshDocumentJob(job);
+
+    const results = [`Status: ${status.status}`];
+    if (status.secondsRemaining !== undefined) {
+      results.push(`Seconds remaining: ${status.secondsRemaining}`);
+    }
+    if (status.billedCharacters !== undefined) {
+      results.push(`Characters billed: ${status.billedCharacters}`);
+    }
+    if (!status.ok()) {
+      results.push(`Error: ${status.errorMessage ?? 'unknown error'}`);
+    }
+    if (job.outputFile) {
+      results.push(`Already downloaded to: ${job.outputFile}`);
+    }
+
+    return mcpStructuredResult({
+      jobId: job.jobId,
+      status: status.status,
+      secondsRemaining: status.secondsRemaining,
+      billedCharacters: status.billedCharacters,
+      errorMessage: status.ok() ? undefined : (status.errorMessage ?? 'unknown error'),
+      outputFile: job.outputFile
+    }, results);
+  } catch (error) {
+    throw new Error(`Failed to get document status: ${error.message}`, { cause: error });
+  }
+}
+
+async function downloadDocument({ jobId, outputFile, ifOutputExists }) {
+  try {
+    const job = await documentJobs.get(jobId);
+    const status = await refreshDocumentJob(job);
+
+    if (!status.ok()) {
+      throw new ToolError('document_translation', `the translation failed: ${status.errorMessage ?? 'unknown error'}`);
+    }
+    if (!status.done()) {
+      throw new ToolError('document_not_ready', `the translation is not done yet. Status: ${status.status}, seconds remaining: ${status.secondsRemaining ?? 'unknown'}`);
+    }
+
+    if (!outputFile) {
+      outputFile = defaultOutputFile(job.inputFile, job.targetLangCode);
+    }
+    outputFile = await fileSandbox.resolveOutput(outputFile, ifOutputExists);
+
+    await fileSandbox.prepareForWrite(outputFile, ifOutputExists);
+    await keyPool.clientFor(job.apiKeyName).downloadDocument(documentHandle(job), outputFile);
+    await documentJobs.update(job.jobId, { outputFile });
+
+    return mcpStructuredResult({
+      jobId: job.jobId,
+      status: status.status,
+      targetLang: job.targetLangCode,
+      billedCharacters: status.billedCharacters,
+      outputFile
+    }, [
+      `Document downloaded successfully!`,
+      `Target language used: ${job.targetLangCode}`,
+      `Characters billed: ${status.billedCharacters}`,
+      `Output file: ${outputFile}`
+    ]);
+  } catch (error) {
+    throw new Error(`Document download failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function translateDirectory({
+  inputDir, outputDir, targetLangCodes, include, exclude = [], outputLayout = defaultOutputLayout, sourceLangCode = null,
+  formality, glossaryId, glossaryName, concurrency = defaultDirectoryConcurrency, ifOutputExists
+}, extra) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  }
+
+  targetLangCodes = await normalizeTargetLangCodes(targetLangCodes ?? [serverConfig.defaultTargetLang]);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes }));
+  assertValidLayout(outputLayout, targetLangCodes.length);
+
+  inputDir = await fileSandbox.resolveInput(inputDir);
+  if (!(await fs.stat(inputDir)).isDirectory()) {
+    throw new Error(`${inputDir} is not a directory`);
+  }
+  outputDir = await fileSandbox.ensureDirectory(outputDir);
+
+  const manifest = await TranslationManifest.load(path.join(outputDir, manifestFileName), inputDir);
+
+  // Without include patterns, we take every file DeepL can translate, whatever the case of its extension
+  const files = include
+    ? await findFiles(inputDir, { include, exclude })
+    : (await findFiles(inputDir, { include: ['**'], exclude }))
+      .filter(file => supportedDocumentExtensions.includes(path.extname(file).toLowerCase()));
+
+  const tasks = files.flatMap(relativePath => targetLangCodes.map(targetLangCode => ({
+    relativePath,
+    inputFile: path.join(inputDir, relativePath),
+    targetLangCode,
+    outputFile: path.join(outputDir, layoutPath(outputLayout, relativePath, targetLangCode))
+  })));
+
+  // If the output directory is inside the input directory, our own translations mustn't be translated again
+  const outputFiles = new Set([...manifest.outputFiles(), ...tasks.map(task => task.outputFile)]);
+  const todo = tasks.filter(task => !outputFiles.has(task.inputFile));
+
+  const seenOutputs = new Set();
+  for (const task of todo) {
+    if (seenOutputs.has(task.outputFile)) {
+      throw new Error(`The output layout gives two translations the same output file, ${task.outputFile}. Use {path} rather than {name} in the layout.`);
+    }
+    seenOutputs.add(task.outputFile);
+  }
+
+  characterBudget.assertAvailable();
+
+  try {
+    const progressToken = extra?._meta?.progressToken;
+    let finished = 0;
+
+    const results = await mapConcurrently(todo, concurrency, async task => {
+      const result = await translateDirectoryFile(task, manifest, { sourceLangCode, formality, glossaryId, ifOutputExists });
+
+      if (progressToken !== undefined) {
+        await extra.sendNotification({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: ++finished,
+            total: todo.length,
+            message: `${task.relativePath} (${task.targetLangCode}): ${result.status}`
+          }
+        });
+      }
+      return result;
+    });
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const summary = {
+      inputDir,
+      outputDir,
+      manifestFile: manifest.file,
+      translatedCount: count('translated'),
+      unchangedCount: count('unchanged'),
+      failedCount: count('failed'),
+      billedCharacters: results.reduce((sum, result) => sum + (result.billedCharacters ?? 0), 0),
+      files: results
+    };
+
+    return mcpStructuredResult(summary, [
+      `Translated ${summary.translatedCount} documents, skipped ${summary.unchangedCount} that were already translated, and ${summary.failedCount} failed`,
+      `Characters billed: ${summary.billedCharacters}`,
+      `Manifest: ${summary.manifestFile}`,
+      ...results
+        .filter(result => result.status === 'failed')
+        .map(result => `Failed: ${result.inputFile} (${result.targetLang}): ${result.error}`)
+    ]);
+  } catch (error) {
+    throw new Error(`Directory translation failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function translateI18nFile({ inputFile, targetLangCodes, sourceLangCode = null, outputFile, formality, glossaryId, glossaryName }) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  }
+
+  targetLangCodes = await normalizeTargetLangCodes(targetLangCodes ?? [serverConfig.defaultTargetLang]);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes }));
+
+  if (outputFile && targetLangCodes.length > 1 && !outputFile.includes('{lang}')) {
+    throw new Error('To translate into several languages, put {lang} in outputFile where the language code goes, e.g. "locales/{lang}.json".');
+  }
+
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  const format = i18nFormatFor(inputFile);
+  const sourceContent = await fs.readFile(inputFile, 'utf8');
+  const entries = format.entries(sourceContent, { locale: sourceLangCode });
+
+  // Work out what needs translating into each language before translating anything, so we can check the budget
+  const plans = [];
+  for (const targetLangCode of targetLangCodes) {
+    const targetLocale = localeCode(targetLangCode);
+    const file = await fileSandbox.resolveOutput(
+      outputFile ? outputFile.replaceAll('{lang}', targetLocale) : defaultI18nOutputFile(inputFile, sourceLangCode, targetLangCode),
+      'overwrite'
+    );
+    if (file === inputFile) {
+      throw new Error(`The translation into ${targetLangCode} would overwrite the input file ${inputFile}. Choose another output file.`);
+    }
+    plans.push({ targetLangCode, targetLocale, outputFile: file, ...await planI18nTranslation(format, entries, file, targetLocale) });
+  }
+
+  characterBudget.assertAvailable(plans.reduce(
+    (sum, plan) => sum + plan.toTranslate.reduce((planSum, entry) => planSum + entry.text.length, 0),
+    0
+  ));
+
+  try {
+    const files = [];
+    for (const plan of plans) {
+      const { translated, failed, billedCharacters } = await translateI18nEntries(plan.toTranslate, format, {
+        sourceLangCode, targetLangCode: plan.targetLangCode, formality, glossaryId
+      });
+
+      const hashes = { ...plan.hashes };
+      for (const entry of plan.toTranslate) {
+        // An empty hash never matches, so strings we failed to translate are retried next time
+        hashes[entry.key] = translated.has(entry.key) ? sourceHash(entry.text) : '';
+      }
+
+      const content = format.write(sourceContent, new Map([...plan.reused, ...translated]), {
+        sourceLocale: sourceLangCode, targetLocale: plan.targetLocale
+      });
+      await fileSandbox.prepareForWrite(plan.outputFile, 'overwrite');
+      await fs.writeFile(plan.outputFile, content);
+      await writeI18nState(plan.outputFile, hashes);
+
+      files.push({
+        targetLang: plan.targetLangCode,
+        outputFile: plan.outputFile,
+        translatedKeys: [...translated.keys()],
+        unchangedCount: plan.reused.size,
+        removedKeys: plan.removedKeys,
+        failedKeys: failed,
+        billedCharacters
+      });
+    }
+
+    const results = files.flatMap(file => [
+      `${file.outputFile} (${file.targetLang}): translated ${file.translatedKeys.length} strings, kept ${file.unchangedCount} existing translations, ${file.billedCharacters} characters billed`,
+      ...(file.translatedKeys.length ? [`  Translated: ${file.translatedKeys.join(', ')}`] : []),
+      ...(file.removedKeys.length ? [`  Removed, because they're no longer in the source file: ${file.removedKeys.join(', ')}`] : []),
+      ...file.failedKeys.map(({ key, error }) => `  Not translated: ${key} (${error})`)
+    ]);
+
+    return mcpStructuredResult({ inputFile, format: format.name, files }, results);
+  } catch (error) {
+    throw new Error(`i18n file translation failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function translateSubtitles({ inputFile, outputFile, sourceLangCode = null, targetLangCode, formality, glossaryId, glossaryName, ifOutputExists }) {
+  if (sourceLangCode) {
+    sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  }
+
+  targetLangCode = await targetLanguages.normalize(targetLangCode ?? serverConfig.defaultTargetLang);
+  ({ glossaryId, sourceLangCode } = await resolveGlossary({ glossaryId, glossaryName, sourceLangCode, targetLangCodes: [targetLangCode] }));
+
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  const format = subtitleFormatFor(inputFile);
+  outputFile = await fileSandbox.resolveOutput(outputFile || defaultOutputFile(inputFile, targetLangCode), ifOutputExists);
+  if (outputFile === inputFile) {
+    throw new Error(`The translation would overwrite the input file ${inputFile}. Choose another output file.`);
+  }
+
+  const subtitles = parseSubtitles(await fs.readFile(inputFile, 'utf8'), format);
+  // Tags and placeholders inside a sentence are protected like in translate-text; the styling around each cue is kept aside
+  const sentences = splitIntoSentences(subtitles.cues)
+    .map(sentence => ({ sentence, protectedText: protectPlainText(sentence.text) }))
+    .filter(({ protectedText }) => protectedText.segments.length);
+  characterBudget.assertAvailable(sentences.reduce((sum, { sentence }) => sum + sentence.text.length, 0));
+
+  try {
+    const options = { formality: await formalityFor(targetLangCode, formality), tagHandling: 'xml', nonSplittingTags: protectedTags };
+    if (glossaryId) {
+      options.glossary = glossaryId;
+    }
+
+    /** @type {Map<import('./subtitles.mjs').SubtitleSentence, string>} */
+    const translations = new Map();
+    const failedCues = [];
+    const charactersByLanguage = new Map();
+    let billedCharacters = 0;
+
+    for (let start = 0; start < sentences.length; start += maxTextsPerRequest) {
+      const chunk = sentences.slice(start, start + maxTextsPerRequest);
+      const results = await deeplClient.translateText(
+        chunk.map(({ protectedText }) => protectedText.segments[0]),
+        /** @type {import('deepl-node').SourceLanguageCode} */ (sourceLangCode),
+        /** @type {import('deepl-node').TargetLanguageCode} */ (targetLangCode),
+        /** @type {import('deepl-node').TranslateTextOptions} */ (options)
+      );
+
+      const chunkBilled = results.reduce((sum, result) => sum + result.billedCharacters, 0);
+      billedCharacters += chunkBilled;
+      recordBilledCharacters(chunkBilled);
+
+      results.forEach((result, i) => {
+        const { sentence, protectedText } = chunk[i];
+        const { text, issues } = protectedText.restore([result.text]);
+        if (issues.length) {
+          failedCues.push({
+            cues: [...new Set(sentence.units.map(unit => unit.cue + 1))],
+            error: issues.map(issue => `${issue.span} is ${issue.type === 'missing' ? 'missing' : 'repeated'}`).join('; ')
+          });
+          return;
+        }
+        translations.set(sentence, text);
+        charactersByLanguage.set(result.detectedSourceLang, (charactersByLanguage.get(result.detectedSourceLang) ?? 0) + sentence.text.length);
+      });
+    }
+
+    const cueLines = translatedCueLines(subtitles.cues, translations);
+    await fileSandbox.prepareForWrite(outputFile, ifOutputExists);
+    await fs.writeFile(outputFile, subtitles.write(cueLines));
+
+    const detectedSourceLang = [...charactersByLanguage].sort((a, b) => b[1] - a[1])[0]?.[0] ?? sourceLangCode ?? undefined;
+    const translatedCueCount = cueLines.filter(lines => lines).length;
+
+    return mcpStructuredResult({
+      inputFile,
+      outputFile,
+      format,
+      targetLang: targetLangCode,
+      ...(detectedSourceLang && { detectedSourceLang }),
+      cueCount: subtitles.cues.length,
+      translatedCueCount,
+      sentenceCount: sentences.length,
+      failedCues,
+      billedCharacters
+    }, [
+      `Subtitles translated: ${translatedCueCount} of ${subtitles.cues.length} cues, in ${sentences.length} sentences`,
+      `Target language used: ${targetLangCode}`,
+      `Characters billed: ${billedCharacters}`,
+      `Output file: ${outputFile}`,
+      ...failedCues.map(({ cues, error }) => `Not translated: cue${cues.length === 1 ? '' : 's'} ${cues.join(', ')} (${error})`)
+    ]);
+  } catch (error) {
+    throw new Error(`Subtitle translation failed: ${error.message}`, { cause: error });
+  }
+}
+
+async function importTranslationMemory({ inputFile, sourceLangCode = null, targetLangCode = null }) {
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  const extension = path.extname(inputFile).toLowerCase();
+  if (!translationMemoryExtensions.includes(extension)) {
+    throw new Error(`Translation memories can't be imported from ${extension ? `${extension} files` : 'files without an extension'}. Supported file types: ${translationMemoryExtensions.join(', ')}`);
+  }
+  for (const code of [sourceLangCode, targetLangCode]) {
+    if (code && !/^[a-z]{2,3}([-_][a-z0-9]+)*$/i.test(code)) {
+      throw new Error(`Invalid language code: ${code}`);
+    }
+  }
+
+  const format = /** @type {'tmx' | 'csv' | 'tsv'} */ (extension.slice(1));
+  const content = await fs.readFile(inputFile, 'utf8');
+  const translations = format === 'tmx'
+    ? parseTmx(content, { sourceLang: sourceLangCode, targetLang: targetLangCode })
+    : parseTranslationsCsv(content, { delimiter: format === 'csv' ? ',' : '\t', sourceLang: sourceLangCode, targetLang: targetLangCode });
+  if (translations.length === 0) {
+    throw new Error(`${inputFile} has no translations${targetLangCode ? ` into ${targetLangCode}` : ''} to import.`);
+  }
+
+  try {
+    const changes = await translationMemory.add(translations, inputFile);
+
+    const pairCounts = new Map();
+    for (const { sourceLang, targetLang } of translations) {
+      const pair = `${normalizeLanguage(sourceLang)}>${normalizeLanguage(targetLang)}`;
+      pairCounts.set(pair, (pairCounts.get(pair) ?? 0) + 1);
+    }
+    const languagePairs = [...pairCounts].map(([pair, count]) => {
+      const [sourceLang, targetLang] = pair.split('>');
+      return { sourceLang, targetLang, count };
+    });
+    const totalEntries = await translationMemory.size();
+
+    return mcpStructuredResult({ inputFile, format, ...changes, languagePairs, totalEntries }, [
+      `Imported ${translations.length} translations from ${inputFile}: ${changes.added} added, ${changes.updated} updated, ${changes.unchanged} already in the translation memory`,
+      `Language pairs: ${languagePairs.map(({ sourceLang, targetLang, count }) => `${sourceLang} to ${targetLang} (${count})`).join(', ')}`,
+      `The translation memory now holds ${totalEntries} translations`
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to import translation memory: ${error.message}`, { cause: error });
+  }
+}
+
+async function addToTranslationMemory({ sourceLangCode, targetLangCode, entries }) {
+  sourceLangCode = await sourceLanguages.normalize(sourceLangCode);
+  targetLangCode = await targetLanguages.normalize(targetLangCode);
+
+  try {
+    const changes = await translationMemory.add(
+      entries.map(({ source, target }) => ({ sourceLang: sourceLangCode, targetLang: targetLangCode, source, target })),
+      'added'
+    );
+    const totalEntries = await translationMemory.size();
+
+    return mcpStructuredResult({ ...changes, totalEntries }, [
+      `Added ${changes.added}, updated ${changes.updated}, and left ${changes.unchanged} unchanged ${sourceLangCode} to ${targetLangCode} translations`,
+      `The translation memory now holds ${totalEntries} translations`
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to add to translation memory: ${error.message}`, { cause: error });
+  }
+}
+
+async function listGlossaries() {
+  try {
+    const glossaries = await deeplClient.listMultilingualGlossaries();
+
+    if (glossaries.length === 0) {
+      return mcpStructuredResult({ glossaries: [] }, "No glossaries found");
+    }
+
+    const results = glossaries.map(describeGlossary);
+
+    return mcpStructuredResult(
+      { glossaries: results },
+      results.map(glossary => JSON.stringify(glossary, null, 2))
+    );
+  } catch (error) {
+    throw new Error(`Failed to list glossaries: ${error.message}`, { cause: error });
+  }
+}
+
+async function getGlossary({ glossaryId }) {
+  try {
+    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+    return mcpStructuredResult(describeGlossary(glossary));
+  } catch (error) {
+    throw new Error(`Failed to get glossary: ${error.message}`, { cause: error });
+  }
+}
+
+async function getGlossaryDictionaryEntries({ glossaryId, sourceLangCode, targetLangCode }) {
+  try {
+    if (!sourceLangCode || !targetLangCode) {
+      throw new Error('To access a glossary dictionary, you must specify its source and target languages');
+    }
+
+    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+
+    const entriesResult = await deeplClient.getMultilingualGlossaryDictionaryEntries(
+      glossaryId,
+      sourceLangCode,
+      targetLangCode
+    );
+
+    const entries = entriesResult.entries.entries();
+
+    const results = [
+      `Glossary: ${glossary.name}`,
+      `Language pair: ${sourceLangCode} → ${targetLangCode}`,
+      '',
+      'Entries:',
+      JSON.stringify(entries, null, 2)
+    ];
+
+    return mcpStructuredResult({
+      glossaryId: glossary.glossaryId,
+      name: glossary.name,
+      sourceLangCode,
+      targetLangCode,
+      entries
+    }, results);
+  } catch (error) {
+    throw new Error(`Failed to get glossary dictionary entries: ${error.message}`, { cause: error });
+  }
+}
+
+async function createGlossary({ name, dictionaries }) {
+  try {
+    const glossaryDicts = await Promise.all(dictionaries.map(async ({ sourceLangCode, targetLangCode, entries }) => ({
+      sourceLangCode: await normalizeGlossaryLangCode(sourceLangCode),
+      targetLangCode: await normalizeGlossaryLangCode(targetLangCode),
+      entries: new deepl.GlossaryEntries({ entries })
+    })));
+
+    const glossary = await deeplClient.createMultilingualGlossary(name, glossaryDicts);
+    return mcpStructuredResult(describeGlossary(glossary));
+  } catch (error) {
+    throw new Error(`Failed to create glossary: ${error.message}`, { cause: error });
+  }
+}
+
+async function updateGlossaryDictionary({ glossaryId, sourceLangCode, targetLangCode, entries, replaceAll = false }) {
+  try {
+    const glossaryDict = {
+      sourceLangCode: await normalizeGlossaryLangCode(sourceLangCode),
+      targetLangCode: await normalizeGlossaryLangCode(targetLangCode),
+      entries: new deepl.GlossaryEntries({ entries })
+    };
+
+    // Replacing returns only the dictionary's info, so we fetch the whole glossary afterwards
+    // to give the same shape of result as updating does
+    let glossary;
+    if (replaceAll) {
+      await deeplClient.replaceMultilingualGlossaryDictionary(glossaryId, glossaryDict);
+      glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+    } else {
+      glossary = await deeplClient.updateMultilingualGlossaryDictionary(glossaryId, glossaryDict);
+    }
+    await translationCache.forgetGlossary(glossaryId);
+
+    return mcpStructuredResult(describeGlossary(glossary));
+  } catch (error) {
+    throw new Error(`Failed to update glossary dictionary: ${error.message}`, { cause: error });
+  }
+}
+
+async function renameGlossary({ glossaryId, name }) {
+  try {
+    const glossary = await deeplClient.updateMultilingualGlossaryName(glossaryId, name);
+    return mcpStructuredResult(describeGlossary(glossary));
+  } catch (error) {
+    throw new Error(`Failed to rename glossary: ${error.message}`, { cause: error });
+  }
+}
+
+async function deleteGlossaryDictionary({ glossaryId, sourceLangCode, targetLangCode }) {
+  try {
+    sourceLangCode = await normalizeGlossaryLangCode(sourceLangCode);
+    targetLangCode = await normalizeGlossaryLangCode(targetLangCode);
+
+    await deeplClient.deleteMultilingualGlossaryDictionary(glossaryId, sourceLangCode, targetLangCode);
+    await translationCache.forgetGlossary(glossaryId);
+    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+
+    const result = describeGlossary(glossary);
+
+    return mcpStructuredResult(result, [
+      `Deleted dictionary ${sourceLangCode} → ${targetLangCode}`,
+      JSON.stringify(result, null, 2)
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to delete glossary dictionary: ${error.message}`, { cause: error });
+  }
+}
+
+async function deleteGlossary({ glossaryId }) {
+  try {
+    await deeplClient.deleteMultilingualGlossary(glossaryId);
+    await translationCache.forgetGlossary(glossaryId);
+    return mcpStructuredResult({ deletedGlossaryId: glossaryId }, `Deleted glossary ${glossaryId}`);
+  } catch (error) {
+    throw new Error(`Failed to delete glossary: ${error.message}`, { cause: error });
+  }
+}
+
+async function exportGlossary({ glossaryId, outputFile, sourceLangCode, targetLangCode, ifOutputExists }) {
+  if (Boolean(sourceLangCode) !== Boolean(targetLangCode)) {
+    throw new Error('To export one dictionary, give both its source and target languages. To export all of them, give neither.');
+  }
+  if (sourceLangCode) {
+    sourceLangCode = await normalizeGlossaryLangCode(sourceLangCode);
+    targetLangCode = await normalizeGlossaryLangCode(targetLangCode);
+  }
+  const format = glossaryFileFormat(outputFile);
+  outputFile = await fileSandbox.resolveOutput(outputFile, ifOutputExists);
+
+  try {
+    const glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+    const pairs = glossary.dictionaries
+      .map(dict => ({ sourceLangCode: dict.sourceLangCode.toLowerCase(), targetLangCode: dict.targetLangCode.toLowerCase() }))
+      .filter(pair => !sourceLangCode || (pair.sourceLangCode === sourceLangCode && pair.targetLangCode === targetLangCode));
+    if (pairs.length === 0) {
+      const pairsList = glossary.dictionaries.map(dict => `${dict.sourceLangCode} → ${dict.targetLangCode}`).join(', ');
+      throw sourceLangCode
+        ? new ToolError('glossary_not_found', `Glossary "${glossary.name}" (${glossary.glossaryId}) has no dictionary for ${sourceLangCode} → ${targetLangCode}. It has dictionaries for: ${pairsList || 'none'}.`)
+        : new Error(`Glossary "${glossary.name}" (${glossary.glossaryId}) has no dictionaries to export.`);
+    }
+
+    const dictionaries = [];
+    for (const pair of pairs) {
+      const { entries } = await deeplClient.getMultilingualGlossaryDictionaryEntries(glossaryId, pair.sourceLangCode, pair.targetLangCode);
+      dictionaries.push({ ...pair, entries: entries.entries() });
+    }
+
+    await fileSandbox.prepareForWrite(outputFile, ifOutputExists);
+    await fs.writeFile(outputFile, formatGlossaryFile(format, dictionaries, { title: glossary.name }));
+
+    const summary = dictionaries.map(({ sourceLangCode, targetLangCode, entries }) => ({
+      sourceLangCode, targetLangCode, entryCount: Object.keys(entries).length
+    }));
+    return mcpStructuredResult({ glossaryId: glossary.glossaryId, name: glossary.name, outputFile, format, dictionaries: summary }, [
+      `Exported glossary "${glossary.name}" to ${outputFile}`,
+      ...summary.map(({ sourceLangCode, targetLangCode, entryCount }) => `${sourceLangCode} → ${targetLangCode}: ${entryCount} entries`)
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to export glossary: ${error.message}`, { cause: error });
+  }
+}
+
+async function importGlossary({ inputFile, glossaryId, name, sourceLangCode = null, targetLangCode = null, replaceAll = false, dryRun = false }) {
+  if (Boolean(glossaryId) === Boolean(name)) {
+    throw new Error('Give either the glossaryId of a glossary to add the entries to, or a name for a new glossary, but not both.');
+  }
+  if (sourceLangCode) {
+    sourceLangCode = await normalizeGlossaryLangCode(sourceLangCode);
+  }
+  if (targetLangCode) {
+    targetLangCode = await normalizeGlossaryLangCode(targetLangCode);
+  }
+
+  inputFile = await fileSandbox.resolveInput(inputFile);
+  const format = glossaryFileFormat(inputFile);
+  const terms = parseGlossaryFile(await fs.readFile(inputFile, 'utf8'), format, { sourceLang: sourceLangCode, targetLang: targetLangCode });
+  if (terms.length === 0) {
+    throw new Error(`${inputFile} has no glossary entries${targetLangCode ? ` into ${targetLangCode}` : ''} to import.`);
+  }
+
+  // Check the file's languages against DeepL's, which also makes e.g. "EN" and "en-GB" the same dictionary's language
+  const langCodes = new Map();
+  for (const code of new Set(terms.flatMap(term => [term.sourceLang, term.targetLang]))) {
+    try {
+      langCodes.set(code, await normalizeGlossaryLangCode(code));
+    } catch (error) {
+      throw new Error(`${inputFile} has entries in a language glossaries can't use. ${error.message}`, { cause: error });
+    }
+  }
+  const { dictionaries, issues } = checkGlossaryTerms(terms.map(term => ({
+    ...term, sourceLang: langCodes.get(term.sourceLang), targetLang: langCodes.get(term.targetLang)
+  })));
+
+  const problems = issues.filter(issue => issue.type !== 'duplicate');
+  if (problems.length > 0 && !dryRun) {
+    const maxListed = 20;
+    throw new Error([
+      `${inputFile} was not imported, because ${problems.length === 1 ? 'one of its entries has a problem' : `${problems.length} of its entries have problems`}. Correct the file and import it again:`,
+      ...problems.slice(0, maxListed).map(issue => `- ${issue.message}`),
+      ...(problems.length > maxListed ? [`...and ${problems.length - maxListed} more. Use dryRun to list them all.`] : [])
+    ].join('\n'));
+  }
+
+  const summary = dictionaries.map(({ sourceLangCode, targetLangCode, entries }) => ({
+    sourceLangCode, targetLangCode, entryCount: Object.keys(entries).length
+  }));
+  const results = [
+    ...summary.map(({ sourceLangCode, targetLangCode, entryCount }) => `${sourceLangCode} → ${targetLangCode}: ${entryCount} entries`),
+    ...issues.map(issue => `${issue.type === 'duplicate' ? 'Note' : 'Problem'}: ${issue.message}`)
+  ];
+
+  if (dryRun) {
+    // Check that the glossary to update exists, so a dry run finds that mistake too
+    if (glossaryId) {
+      await getGlossaryById(glossaryId);
+    }
+    return mcpStructuredResult({ inputFile, format, dryRun, dictionaries: summary, issues }, [
+      `Checked ${inputFile} without importing it. ${problems.length === 0 ? 'It can be imported.' : `${problems.length} problems must be corrected before it can be imported.`}`,
+      ...results
+    ]);
+  }
+
+  try {
+    const glossaryDicts = dictionaries.map(({ sourceLangCode, targetLangCode, entries }) => ({
+      sourceLangCode, targetLangCode, entries: new deepl.GlossaryEntries({ entries })
+    }));
+
+    let glossary;
+    if (name) {
+      glossary = await deeplClient.createMultilingualGlossary(name, glossaryDicts);
+    } else {
+      for (const glossaryDict of glossaryDicts) {
+        if (replaceAll) {
+          await deeplClient.replaceMultilingualGlossaryDictionary(glossaryId, glossaryDict);
+        } else {
+          await deeplClient.updateMultilingualGlossaryDictionary(glossaryId, glossaryDict);
+        }
+      }
+      await translationCache.forgetGlossary(glossaryId);
+      glossary = await deeplClient.getMultilingualGlossary(glossaryId);
+    }
+
+    const result = describeGlossary(glossary);
+    return mcpStructuredResult({ inputFile, format, dryRun, glossary: result, dictionaries: summary, issues }, [
+      `${name ? 'Created' : 'Updated'} glossary "${result.name}" (${result.id}) from ${inputFile}`,
+      ...results
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to import glossary: ${error.message}`, { cause: error });
+  }
+}
+
+
+/*--------------------------------------------------------------------
+ *  Helper functions
+ *-------------------------------------------------------------------*/
+
+/**
+ * Count characters DeepL billed against our budget, and in the record of the tool call they were billed for
+ * @param {number | undefined} count
+ */
+function recordBilledCharacters(count) {
+  characterBudget.record(count);
+  toolCallLog.addBilledCharacters(count);
+}
+
+/**
+ * Helper function which wraps a string or strings in the object structure MCP expects
+ * @param {string | string[]} param
  */
 function mcpContentifyText(param) {
   if (typeof(param) != 'string' && !Array.isArray(param)) {
@@ -416,17 +2085,780 @@ function mcpContentifyText(param) {
   };
 }
 
+/**
+ * Helper function which returns a tool result as structured content, for clients which support it,
+ * and as text, for clients which don't
+ * @param {Record<string, unknown>} structuredContent
+ * @param {string | string[]} [text] - defaults to the structured content, formatted as JSON
+ */
+function mcpStructuredResult(structuredContent, text = JSON.stringify(structuredContent, null, 2)) {
+  return {
+    ...mcpContentifyText(text),
+    structuredContent
+  };
+}
+
+/**
+ * Reject combinations of text translation options which DeepL would ignore or reject,
+ * with a message the model can act on
+ * @param {object} options
+ */
+function assertValidTextOptions({ tagHandling, ignoreTags, nonSplittingTags, splittingTags, outlineDetection }) {
+  if (ignoreTags?.length && !tagHandling) {
+    throw new Error("ignoreTags only works with tagHandling. Set tagHandling to 'html' or 'xml'.");
+  }
+
+  const xmlOnlyOptions = Object.entries({ nonSplittingTags, splittingTags, outlineDetection })
+    .filter(([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0))
+    .map(([name]) => name);
+
+  if (xmlOnlyOptions.length && tagHandling !== 'xml') {
+    throw new Error(`${xmlOnlyOptions.join(' and ')} only work${xmlOnlyOptions.length === 1 ? 's' : ''} with tagHandling 'xml'.`);
+  }
+
+  if (outlineDetection === false && !splittingTags?.length) {
+    throw new Error("When outlineDetection is false, DeepL only splits sentences at splittingTags, so you must give at least one splitting tag.");
+  }
+}
+
+/**
+ * Pick out the glossary metadata we return from all our glossary tools
+ * @param {import('deepl-node').MultilingualGlossaryInfo} glossary
+ */
+function describeGlossary(glossary) {
+  const apiKeyName = keyPool.size > 1 ? keyPool.ownerOf(glossary.glossaryId) : undefined;
+  return {
+    id: glossary.glossaryId,
+    name: glossary.name,
+    dictionaries: glossary.dictionaries,
+    creationTime: new Date(glossary.creationTime).toISOString(),
+    ...(apiKeyName && { apiKeyName })
+  };
+}
+
+/**
+ * Normalize a list of target language codes. Normalizing can map two codes to the same
+ * language (e.g. "en" and "en-us"), so we remove duplicates.
+ * @param {string[]} codes
+ */
+async function normalizeTargetLangCodes(codes) {
+  const normalizedCodes = new Map();
+  for (const code of codes) {
+    const normalized = await targetLanguages.normalize(code);
+    if (!normalizedCodes.has(normalized.toLowerCase())) {
+      normalizedCodes.set(normalized.toLowerCase(), normalized);
+    }
+  }
+  return [...normalizedCodes.values()];
+}
+
+/**
+ * The formality to translate into a language with: the one we were given, or else the server's default.
+ * We only use a default of "less" or "more" for languages which support formality, since DeepL rejects it for others.
+ * @param {string} targetLangCode
+ * @param {string} [formality]
+ */
+async function formalityFor(targetLangCode, formality) {
+  const defaultFormality = serverConfig.defaultFormality;
+  if (formality || !defaultFormality) {
+    return formality;
+  }
+  if (defaultFormality !== 'less' && defaultFormality !== 'more') {
+    return defaultFormality;
+  }
+
+  const formalityLanguages = await targetLanguages.formalityList();
+  return formalityLanguages.some(lang => lang.code === targetLangCode.toLowerCase()) ? defaultFormality : undefined;
+}
+
+/**
+ * Find the glossary to translate with, by id or by name, and check that it has a dictionary for
+ * each language pair we're translating, so we can say which pairs it does have rather than pass on
+ * DeepL's error. If we weren't given a source language and just one of the glossary's source languages
+ * has dictionaries into all the target languages, we use that source language.
+ * If we're given no glossary, we use the server's default glossary, but only for language pairs it has dictionaries for.
+ * @param {object} params
+ * @param {string} [params.glossaryId]
+ * @param {string} [params.glossaryName]
+ * @param {string | null} [params.sourceLangCode]
+ * @param {string[]} params.targetLangCodes - normalized target language codes
+ * @param {boolean} [params.isDefault] - whether this is the default glossary, which we skip rather than fail if it doesn't fit
+ * @returns {Promise<{ glossaryId: string | undefined, sourceLangCode: string | null }>}
+ */
+async function resolveGlossary({ glossaryId, glossaryName, sourceLangCode = null, targetLangCodes, isDefault = false }) {
+  if (!glossaryId && !glossaryName) {
+    if (!serverConfig.defaultGlossary) {
+      return { glossaryId, sourceLangCode };
+    }
+    try {
+      return await resolveGlossary({ ...serverConfig.defaultGlossary, sourceLangCode, targetLangCodes, isDefault: true });
+    } catch (error) {
+      throw new Error(`The server's default glossary can't be used: ${error.message}`, { cause: error });
+    }
+  }
+  if (glossaryId && glossaryName) {
+    throw new Error('Give either glossaryId or glossaryName, not both.');
+  }
+
+  const glossary = glossaryId ? await getGlossaryById(glossaryId) : await findGlossaryByName(glossaryName);
+  const pairs = glossary.dictionaries.map(dict => ({
+    source: dict.sourceLangCode.toLowerCase(),
+    target: dict.targetLangCode.toLowerCase()
+  }));
+  const pairsList = pairs.map(({ source, target }) => `${source} → ${target}`).join(', ') || 'none';
+  const description = `Glossary "${glossary.name}" (${glossary.glossaryId})`;
+
+  // Dictionaries aren't region-specific, so "en-US" uses the dictionary into "en"
+  const targets = [...new Set(targetLangCodes.map(code => code.split('-')[0].toLowerCase()))];
+  const hasDictionaries = source => targets.every(target => pairs.some(pair => pair.source === source && pair.target === target));
+
+  if (sourceLangCode) {
+    const source = sourceLangCode.split('-')[0].toLowerCase();
+    if (!hasDictionaries(source)) {
+      if (isDefault) {
+        return { glossaryId: undefined, sourceLangCode };
+      }
+      const missing = targets.filter(target => !pairs.some(pair => pair.source === source && pair.target === target));
+      throw new ToolError('glossary_not_found', `${description} has no dictionary for ${missing.map(target => `${source} → ${target}`).join(', ')}. It has dictionaries for: ${pairsList}.`);
+    }
+    return { glossaryId: glossary.glossaryId, sourceLangCode };
+  }
+
+  const candidates = [...new Set(pairs.map(pair => pair.source))].filter(hasDictionaries);
+  if (isDefault && candidates.length !== 1) {
+    return { glossaryId: undefined, sourceLangCode };
+  }
+  if (candidates.length === 0) {
+    throw new ToolError('glossary_not_found', `${description} has no dictionary into ${targets.join(', ')}. It has dictionaries for: ${pairsList}.`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`${description} has dictionaries into ${targets.join(', ')} from ${candidates.join(', ')}. Please give the source language.`);
+  }
+
+  return { glossaryId: glossary.glossaryId, sourceLangCode: await sourceLanguages.normalize(candidates[0]) };
+}
+
+/**
+ * @param {string} glossaryId
+ */
+async function getGlossaryById(glossaryId) {
+  try {
+    return await deeplClient.getMultilingualGlossary(glossaryId);
+  } catch (error) {
+    throw new Error(`Failed to get glossary ${glossaryId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Find a glossary by its name, preferring an exact match to one that differs only in case
+ * @param {string} name
+ */
+async function findGlossaryByName(name) {
+  let glossaries;
+  try {
+    glossaries = await deeplClient.listMultilingualGlossaries();
+  } catch (error) {
+    throw new Error(`Failed to list glossaries: ${error.message}`, { cause: error });
+  }
+
+  let matches = glossaries.filter(glossary => glossary.name === name);
+  if (matches.length === 0) {
+    matches = glossaries.filter(glossary => glossary.name.toLowerCase() === name.toLowerCase());
+  }
+
+  if (matches.length === 0) {
+    const names = glossaries.map(glossary => `"${glossary.name}"`).join(', ') || 'none';
+    throw new ToolError('glossary_not_found', `There is no glossary named "${name}". Glossaries: ${names}.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`There are ${matches.length} glossaries named "${name}", with ids ${matches.map(glossary => glossary.glossaryId).join(', ')}. Please give the glossaryId instead.`);
+  }
+
+  return matches[0];
+}
+
+/**
+ * DeepL Write only rephrases into some languages and variants, so we check the code against those.
+ * Like translation target languages, "en" and "pt" get a default variant.
+ * @param {string} code
+ */
+function normalizeWriteLangCode(code) {
+  const lowerCode = code.toLowerCase();
+  const normalized = targetLanguages.countryDefaults[lowerCode] ?? writeLanguages.find(lang => lang.toLowerCase() === lowerCode);
+  if (!normalized || !writeLanguages.includes(normalized)) {
+    throw new Error(`DeepL can't rephrase into ${code}. Available codes: ${writeLanguages.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Look a text up in the translation memory: as a whole, and then sentence by sentence if it may be split
+ * @param {string} text
+ * @param {object} options
+ * @param {string | null} options.sourceLangCode
+ * @param {string} options.targetLangCode
+ * @param {number} options.minMatchScore
+ * @param {boolean} options.splitText
+ * @returns {Promise<Array<{ text: string, separator: string, match: import('./translationMemory.mjs').MemoryMatch | null }> | null>}
+ *   the text's segments and their matches, or null if nothing matched
+ */
+async function findInTranslationMemory(text, { sourceLangCode, targetLangCode, minMatchScore, splitText }) {
+  const lookup = (/** @type {string} */ segment) =>
+    translationMemory.lookup(segment, { sourceLang: sourceLangCode, targetLang: targetLangCode, minScore: minMatchScore });
+
+  const whole = await lookup(text);
+  if (whole) {
+    return [{ text: text.trimEnd(), separator: text.slice(text.trimEnd().length), match: whole }];
+  }
+  if (!splitText) {
+    return null;
+  }
+
+  const segments = await Promise.all(splitSegments(text).map(async segment => ({ ...segment, match: await lookup(segment.text) })));
+  return segments.some(segment => segment.match) ? segments : null;
+}
+
+/**
+ * Translate a text, some of whose segments have approved translations in the translation memory. DeepL translates
+ * the rest, with consecutive segments sent together so that DeepL sees them in context.
+ * @param {Array<{ text: string, separator: string, match: import('./translationMemory.mjs').MemoryMatch | null }>} segments
+ * @param {object} options
+ */
+async function translateWithMemory(segments, { sourceLangCode, targetLangCode, formality, glossaryId, advancedOptions }) {
+  const parts = [];
+  for (const segment of segments) {
+    const previous = parts.at(-1);
+    if (!segment.match && previous && !previous.match) {
+      previous.text += previous.separator + segment.text;
+      previous.separator = segment.separator;
+    } else {
+      parts.push({ ...segment });
+    }
+  }
+
+  // Parts that are only space, like the one between two sentences the memory has, are kept as they are,
+  // since DeepL refuses empty texts
+  const toTranslate = parts.filter(part => !part.match && part.text.trim());
+  characterBudget.assertAvailable(toTranslate.reduce((sum, part) => sum + part.text.trim().length, 0));
+
+  try {
+    /** @type {import('deepl-node').TextResult[]} */
+    let translations = [];
+    if (toTranslate.length) {
+      const options = { formality, ...advancedOptions };
+      if (glossaryId) {
+        options.glossary = glossaryId;
+      }
+      translations = await deeplClient.translateText(toTranslate.map(part => part.text.trim()), sourceLangCode, targetLangCode, options);
+    }
+    const billedCharacters = translations.reduce((sum, translation) => sum + translation.billedCharacters, 0);
+    recordBilledCharacters(billedCharacters);
+
+    const translationsByPart = new Map(toTranslate.map((part, i) => [part, translations[i].text]));
+    const translationOf = (/** @type {typeof parts[number]} */ part) => part.match?.entry.target ?? translationsByPart.get(part) ?? '';
+    const leadingSpace = (/** @type {string} */ text) => text.match(/^\s*/)[0];
+    const text = parts.map(part => leadingSpace(part.text) + translationOf(part) + part.separator).join('');
+    const textParts = parts.filter(part => part.text.trim());
+    const detectedSourceLang = translations[0]?.detectedSourceLang
+      ?? sourceLangCode
+      ?? parts.find(part => part.match).match.entry.sourceLang.split('-')[0];
+
+    const fromMemory = parts.filter(part => part.match);
+    const nearExact = fromMemory.filter(part => part.match.score < 1);
+    const results = [
+      text,
+      `Detected source language: ${detectedSourceLang}`,
+      `Target language used: ${targetLangCode}`,
+      `Characters billed: ${billedCharacters}`,
+      `Translation memory: ${fromMemory.length} of ${textParts.length} parts of the text were taken from it` +
+        (nearExact.length ? `, ${nearExact.length} from near-exact matches, which should be checked` : '')
+    ];
+
+    return mcpStructuredResult({
+      text,
+      detectedSourceLang,
+      targetLang: targetLangCode,
+      billedCharacters,
+      modelTypeUsed: translations[0]?.modelTypeUsed,
+      cached: false,
+      segments: textParts.map(part => ({
+        source: part.text.trim(),
+        translation: translationOf(part),
+        fromMemory: Boolean(part.match),
+        ...(part.match && { matchScore: part.match.score })
+      }))
+    }, results);
+  } catch (error) {
+    throw new Error(`Translation failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Translate Markdown, or plain text with placeholders, keeping its code, URLs, placeholders and syntax as they are.
+ * Protected spans which didn't survive translation are reported with the result, rather than quietly left out.
+ * @param {string} text
+ * @param {object} options
+ * @param {typeof textFormats[number]} options.textFormat
+ * @param {RegExp[]} options.patterns - more placeholders to protect
+ * @param {string | null} options.sourceLangCode
+ * @param {string} options.targetLangCode
+ * @param {string} [options.formality]
+ * @param {string} [options.glossaryId]
+ * @param {object} options.advancedOptions - other DeepL text options
+ */
+async function translateProtectedText(text, { textFormat, patterns, sourceLangCode, targetLangCode, formality, glossaryId, advancedOptions }) {
+  const protectedText = textFormat === 'markdown' ? protectMarkdown(text, { patterns }) : protectPlainText(text, { patterns });
+  const { segments } = protectedText;
+
+  const cacheKey = TranslationCache.key({
+    kind: 'translate-protected', text, textFormat, patterns: patterns.map(String), sourceLangCode, targetLangCode: targetLangCode.toLowerCase(),
+    formality, glossaryId, ...advancedOptions
+  });
+  const cached = await translationCache.get(cacheKey);
+  if (cached) {
+    return mcpStructuredResult({
+      text: cached.text,
+      detectedSourceLang: cached.detectedSourceLang,
+      targetLang: targetLangCode,
+      billedCharacters: 0,
+      modelTypeUsed: cached.modelTypeUsed,
+      cached: true,
+      protectedSpans: protectedText.protectedSpans
+    }, [
+      cached.text,
+      `Detected source language: ${cached.detectedSourceLang}`,
+      `Target language used: ${targetLangCode}`,
+      'Reused from translation cache, no characters billed'
+    ]);
+  }
+
+  characterBudget.assertAvailable(segments.reduce((sum, segment) => sum + segment.length, 0));
+
+  /** @type {import('deepl-node').TextResult[]} */
+  const translations = [];
+  try {
+    const options = { formality, ...advancedOptions, tagHandling: 'xml', nonSplittingTags: protectedTags };
+    if (glossaryId) {
+      options.glossary = glossaryId;
+    }
+    for (let start = 0; start < segments.length; start += maxTextsPerRequest) {
+      const results = await deeplClient.translateText(
+        segments.slice(start, start + maxTextsPerRequest),
+        /** @type {import('deepl-node').SourceLanguageCode} */ (sourceLangCode),
+        /** @type {import('deepl-node').TargetLanguageCode} */ (targetLangCode),
+        /** @type {import('deepl-node').TranslateTextOptions} */ (options)
+      );
+      recordBilledCharacters(results.reduce((sum, result) => sum + result.billedCharacters, 0));
+      translations.push(...results);
+    }
+  } catch (error) {
+    throw new Error(`Translation failed: ${error.message}`, { cause: error });
+  }
+
+  const { text: translatedText, issues } = protectedText.restore(translations.map(translation => translation.text));
+  const billedCharacters = translations.reduce((sum, translation) => sum + translation.billedCharacters, 0);
+
+  // Short segments like headings can be detected as another language, so we go by the language of most of the text
+  const charactersByLanguage = new Map();
+  translations.forEach(({ detectedSourceLang }, i) => {
+    charactersByLanguage.set(detectedSourceLang, (charactersByLanguage.get(detectedSourceLang) ?? 0) + segments[i].length);
+  });
+  const detectedSourceLang = [...charactersByLanguage].sort((a, b) => b[1] - a[1])[0]?.[0] ?? sourceLangCode ?? '';
+
+  // A translation which lost some of its code or placeholders isn't kept, so that trying again asks DeepL again
+  if (!issues.length) {
+    await translationCache.set(cacheKey, { text: translatedText, detectedSourceLang, modelTypeUsed: translations[0]?.modelTypeUsed }, { glossaryId });
+  }
+
+  const results = [
+    translatedText,
+    `Detected source language: ${detectedSourceLang}`,
+    `Target language used: ${targetLangCode}`,
+    `Characters billed: ${billedCharacters}`,
+    `Protected spans: ${protectedText.protectedSpans}`
+  ];
+  if (issues.length) {
+    results.push(
+      `Warning: ${issues.length} protected span${issues.length === 1 ? '' : 's'} didn't survive translation, so the translation needs fixing: ` +
+      issues.map(issue => `${issue.span} is ${issue.type === 'missing' ? 'missing' : 'repeated'}`).join('; ')
+    );
+  }
+
+  return mcpStructuredResult({
+    text: translatedText,
+    detectedSourceLang,
+    targetLang: targetLangCode,
+    billedCharacters,
+    modelTypeUsed: translations[0]?.modelTypeUsed,
+    cached: false,
+    protectedSpans: protectedText.protectedSpans,
+    ...(issues.length && { protectionIssues: issues })
+  }, results);
+}
+
+/**
+ * Compare an i18n source file with an existing translation, if there is one, to find the strings that need translating.
+ * A translation is kept unless it's empty, marked as needing review, or was made from a different source text.
+ * @param {import('./i18nFiles.mjs').I18nFormat} format
+ * @param {import('./i18nFiles.mjs').I18nEntry[]} entries - the strings in the source file
+ * @param {string} outputFile
+ * @param {string} targetLocale
+ */
+async function planI18nTranslation(format, entries, outputFile, targetLocale) {
+  let existing = new Map();
+  try {
+    existing = format.translations(await fs.readFile(outputFile, 'utf8'), { locale: targetLocale });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Existing translation ${outputFile} can't be read: ${error.message}`, { cause: error });
+    }
+  }
+
+  const state = await readI18nState(outputFile);
+  /** @type {Map<string, string>} */
+  const reused = new Map();
+  /** @type {Record<string, string>} */
+  const hashes = {};
+  const toTranslate = [];
+
+  for (const entry of entries) {
+    const translation = existing.get(entry.key);
+    const hash = sourceHash(entry.text);
+    const isCurrent = Boolean(translation?.text)
+      && !translation.needsReview
+      && (translation.source === undefined || translation.source === entry.text)
+      && (state[entry.key] === undefined || state[entry.key] === hash);
+
+    if (isCurrent) {
+      reused.set(entry.key, translation.text);
+      if (state[entry.key] !== undefined) {
+        hashes[entry.key] = hash;
+      }
+    } else {
+      toTranslate.push(entry);
+    }
+  }
+
+  const sourceKeys = new Set(entries.map(entry => entry.key));
+  const removedKeys = [...existing.keys()].filter(key => !sourceKeys.has(key));
+
+  return { reused, hashes, toTranslate, removedKeys };
+}
+
+/**
+ * Translate the strings of an i18n file, protecting their placeholders.
+ * A string whose placeholders don't survive translation is reported as failed, rather than written.
+ * @param {import('./i18nFiles.mjs').I18nEntry[]} entries
+ * @param {import('./i18nFiles.mjs').I18nFormat} format
+ * @param {object} options
+ * @param {string | null} options.sourceLangCode
+ * @param {string} options.targetLangCode
+ * @param {string} [options.formality]
+ * @param {string} [options.glossaryId]
+ */
+async function translateI18nEntries(entries, format, { sourceLangCode, targetLangCode, formality, glossaryId }) {
+  /** @type {Map<string, string>} */
+  const translated = new Map();
+  const failed = [];
+  let billedCharacters = 0;
+
+  // DeepL may trim whitespace at the start and end of a text, so we send it without and put it back afterwards
+  const prepared = [];
+  for (const entry of entries) {
+    const [, leading, core, trailing] = entry.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (core) {
+      prepared.push({ entry, leading, trailing, protectedText: protectPlaceholders(core, { xml: format.xml }) });
+    } else {
+      translated.set(entry.key, entry.text);
+    }
+  }
+
+  const options = {
+    formality: await formalityFor(targetLangCode, formality),
+    tagHandling: 'xml',
+    nonSplittingTags: format.xml ? ['mcp-ph', ...xliffInlineTags] : ['mcp-ph']
+  };
+  if (glossaryId) {
+    options.glossary = glossaryId;
+  }
+
+  for (let start = 0; start < prepared.length; start += maxTextsPerRequest) {
+    const chunk = prepared.slice(start, start + maxTextsPerRequest);
+    const results = await deeplClient.translateText(
+      chunk.map(({ protectedText }) => protectedText.xml),
+      /** @type {import('deepl-node').SourceLanguageCode} */ (sourceLangCode),
+      /** @type {import('deepl-node').TargetLanguageCode} */ (targetLangCode),
+      /** @type {import('deepl-node').TranslateTextOptions} */ (options)
+    );
+
+    const chunkBilled = results.reduce((sum, result) => sum + result.billedCharacters, 0);
+    billedCharacters += chunkBilled;
+    recordBilledCharacters(chunkBilled);
+
+    results.forEach((result, i) => {
+      const { entry, leading, trailing, protectedText } = chunk[i];
+      try {
+        translated.set(entry.key, leading + protectedText.restore(result.text) + trailing);
+      } catch (error) {
+        failed.push({ key: entry.key, error: error.message });
+      }
+    });
+  }
+
+  return { translated, failed, billedCharacters };
+}
+
+/**
+ * Glossaries aren't region-specific: a dictionary with target language "en" is used
+ * for both "en-US" and "en-GB". So we validate glossary language codes against the
+ * source languages list, which only has the plain language codes.
+ * @param {string} code
+ */
+async function normalizeGlossaryLangCode(code) {
+  return sourceLanguages.normalize(code.split('-')[0]);
+}
+
+/**
+ * Generate an output file name from the input file name and target language,
+ * e.g. "report.pdf" to "report_de.pdf"
+ * @param {string} inputFile
+ * @param {string} targetLangCode
+ */
+function defaultOutputFile(inputFile, targetLangCode) {
+  const parsedPath = path.parse(inputFile);
+  const langCodeSet1 = targetLangCode.split('-')[0]; // Get language code without region (e.g., 'en' from 'en-US')
+  return path.join(parsedPath.dir, `${parsedPath.name}_${langCodeSet1}${parsedPath.ext}`);
+}
+
+/**
+ * Translate one file of a directory translation into one language, unless the manifest shows it's already done,
+ * and record the outcome in the manifest. A failure is recorded rather than thrown, so that the other files carry on.
+ * @param {{ relativePath: string, inputFile: string, targetLangCode: string, outputFile: string }} task
+ * @param {TranslationManifest} manifest
+ * @param {object} options
+ */
+async function translateDirectoryFile({ relativePath, inputFile, targetLangCode, outputFile }, manifest, { sourceLangCode, formality, glossaryId, ifOutputExists }) {
+  const previous = manifest.get(relativePath, targetLangCode);
+  const result = { inputFile: relativePath, targetLang: targetLangCode, outputFile };
+  let hash = '';
+
+  try {
+    inputFile = await fileSandbox.resolveInput(inputFile);
+    assertSupportedDocument(inputFile);
+    hash = await fileHash(inputFile);
+
+    const previousOutputExists = previous?.outputFile !== undefined && await fs.stat(previous.outputFile).then(() => true, () => false);
+    if (previous?.status === 'done' && previous.sourceHash === hash && previousOutputExists) {
+      return { ...result, outputFile: previous.outputFile, status: 'unchanged' };
+    }
+
+    // A file we wrote last time is ours to replace, but anything else is subject to the overwrite policy
+    const overwritePolicy = previous?.outputFile === outputFile ? 'overwrite' : ifOutputExists;
+    await fileSandbox.ensureDirectory(path.dirname(outputFile));
+    outputFile = await fileSandbox.resolveOutput(outputFile, overwritePolicy);
+
+    // Pick up a translation that was interrupted, rather than paying for it again
+    let job = previous?.status === 'translating' && previous.sourceHash === hash && previous.jobId
+      ? await documentJobs.get(previous.jobId).catch(() => null)
+      : null;
+    if (!job) {
+      characterBudget.assertAvailable();
+      job = await startDocumentJob({ inputFile, sourceLangCode, targetLangCode, formality, glossaryId });
+      await manifest.set(relativePath, targetLangCode, { status: 'translating', sourceHash: hash, outputFile: previous?.outputFile, jobId: job.jobId });
+    }
+
+    const status = await waitForDocumentJob(job);
+    await fileSandbox.prepareForWrite(outputFile, overwritePolicy);
+    await keyPool.clientFor(job.apiKeyName).downloadDocument(documentHandle(job), outputFile);
+    await documentJobs.update(job.jobId, { outputFile });
+
+    await manifest.set(relativePath, targetLangCode, {
+      status: 'done', sourceHash: hash, outputFile, billedCharacters: status.billedCharacters
+    });
+    return { ...result, outputFile, status: 'translated', billedCharacters: status.billedCharacters };
+  } catch (error) {
+    await manifest.set(relativePath, targetLangCode, { status: 'failed', sourceHash: hash, outputFile: previous?.outputFile, error: error.message });
+    return { ...result, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Upload a document to DeepL, and save its handle in our job store
+ * @returns {Promise<import('./documentJobs.mjs').DocumentJob>}
+ */
+async function startDocumentJob({ inputFile, sourceLangCode, targetLangCode, formality, glossaryId }) {
+  const options = { formality: await formalityFor(targetLangCode, formality) };
+  if (glossaryId) {
+    options.glossary = glossaryId;
+  }
+
+  // Later requests about the document must use the key it was uploaded with, so we note which one that was
+  const { result: handle, keyName } = await keyPool.use(client => client.uploadDocument(
+    inputFile,
+    sourceLangCode ? /** @type {import('deepl-node').SourceLanguageCode} */(sourceLangCode) : null,
+    /** @type {import('deepl-node').TargetLanguageCode} */(targetLangCode),
+    options
+  ), { glossaryId });
+
+  const job = {
+    jobId: handle.documentId,
+    documentKey: handle.documentKey,
+    inputFile,
+    sourceLangCode: sourceLangCode ?? null,
+    targetLangCode,
+    apiKeyName: keyName,
+    createdAt: new Date().toISOString(),
+    status: 'queued'
+  };
+  await documentJobs.add(job);
+  return job;
+}
+
+/**
+ * Ask DeepL for the status of a document job, and save it.
+ * The first time we see that a job is done, we count its characters against our budget.
+ * @param {import('./documentJobs.mjs').DocumentJob} job
+ */
+async function refreshDocumentJob(job) {
+  const status = await keyPool.clientFor(job.apiKeyName).getDocumentStatus(documentHandle(job));
+
+  // Overlapping checks on the same job can both see it done, but only the first counts its characters
+  if (status.done() && await documentJobs.recordBilling(job.jobId, status.billedCharacters ?? 0)) {
+    recordBilledCharacters(status.billedCharacters);
+  }
+
+  await documentJobs.update(job.jobId, { status: status.status });
+  return status;
+}
+
+/**
+ * Poll a document job until it's done, sending MCP progress notifications
+ * if the client asked for them. Throws an error if the translation fails.
+ * @param {import('./documentJobs.mjs').DocumentJob} job
+ * @param {import('@modelcontextprotocol/sdk/shared/protocol.js').RequestHandlerExtra<any, any>} extra
+ */
+async function waitForDocumentJob(job, extra) {
+  const progressToken = extra?._meta?.progressToken;
+  let progress = 0;
+
+  let status = await refreshDocumentJob(job);
+  while (status.ok() && !status.done()) {
+    if (progressToken !== undefined) {
+      const remaining = status.secondsRemaining !== undefined ? `, about ${status.secondsRemaining} seconds remaining` : '';
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress: ++progress,
+          message: `Document ${status.status}${remaining} (job id: ${job.jobId})`
+        }
+      });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, documentPollInterval));
+    status = await refreshDocumentJob(job);
+  }
+
+  if (!status.ok()) {
+    throw new ToolError('document_translation', status.errorMessage ?? 'unknown error');
+  }
+  return status;
+}
+
+/**
+ * @param {import('./documentJobs.mjs').DocumentJob} job
+ * @returns {import('deepl-node').DocumentHandle}
+ */
+function documentHandle(job) {
+  return { documentId: job.jobId, documentKey: job.documentKey };
+}
+
 /*--------------------------------------------------------------------
  *  Main MCP functionality
  *-------------------------------------------------------------------*/
 
+/**
+ * Read the server config from CLI flags, environment variables and the config file,
+ * or stop with an explanation of what's wrong with it
+ */
+function loadServerConfig() {
+  try {
+    const commandLine = parseCommandLine();
+    return { commandLine, serverConfig: ServerConfig.load(commandLine) };
+  } catch (error) {
+    logger.error(`Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read transport settings from CLI flags, falling back to environment variables.
+ * For example: `deepl-mcp-server --http --port 8080`, or `MCP_TRANSPORT=http deepl-mcp-server`
+ */
+function getTransportOptions() {
+  const transport = commandLine.http ? 'http' : (process.env.MCP_TRANSPORT ?? 'stdio');
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Invalid transport: ${transport}. Use "stdio" or "http"`);
+  }
+
+  const port = Number(commandLine.port ?? process.env.MCP_PORT ?? 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${commandLine.port ?? process.env.MCP_PORT}`);
+  }
+
+  return {
+    transport,
+    host: commandLine.host ?? process.env.MCP_HOST ?? '127.0.0.1',
+    port,
+    authToken: commandLine['auth-token'] ?? process.env.MCP_AUTH_TOKEN,
+    allowedHosts: splitList(commandLine['allowed-hosts'] ?? process.env.MCP_ALLOWED_HOSTS),
+    allowedOrigins: splitList(commandLine['allowed-origins'] ?? process.env.MCP_ALLOWED_ORIGINS),
+  };
+}
+
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("DeepL MCP Server running on stdio");
+  const { transport, host, port, authToken, allowedHosts, allowedOrigins } = getTransportOptions();
+
+  // Creating a server registers all our tools, so we know their names and can check the server config's lists of them.
+  // Over stdio, it's the server we connect. Over HTTP, each session has its own, and this one is left unconnected
+  const server = createServer();
+  try {
+    serverConfig.assertKnownTools(toolNames);
+    // Clients elsewhere on the network could otherwise read and write any file the server can
+    if (transport === 'http' && !isLoopbackHost(host) && serverConfig.allowedDirs.length === 0) {
+      throw new Error(`Listening on ${host}, which isn't a loopback address, needs allowed directories for the file tools. Set DEEPL_ALLOWED_DIRS or --allowed-dirs.`);
+    }
+  } catch (error) {
+    logger.error(`Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (keyPool.size > 1) {
+    logger.info(`Using ${keyPool.size} API keys (${keyPool.keys.map(key => `${key.name}: ${key.type}`).join(', ')}), with the ${serverConfig.keyPolicy} policy`);
+  }
+  if (mockDeepL) {
+    logger.info(`Mock mode: using a local mock of the DeepL API at ${mockDeepL.url}. Translations are pseudo-translations.`);
+  }
+
+  if (serverConfig.metricsPort !== null) {
+    await startMetricsServer(toolMetrics, serverConfig.metricsPort);
+    logger.info(`Metrics at http://127.0.0.1:${serverConfig.metricsPort}/metrics`);
+  }
+
+  if (transport === 'http') {
+    await startHttpServer({ createServer, host, port, authToken, allowedHosts, allowedOrigins });
+    logger.info(`DeepL MCP Server running on http://${host}:${port} (Streamable HTTP at /mcp, SSE at /sse)`);
+    if (!authToken) {
+      logger.warning("Warning: no auth token set, so any client which can reach this server can use it. Set MCP_AUTH_TOKEN or --auth-token.");
+    }
+    return;
+  }
+
+  await server.connect(new StdioServerTransport());
+  logger.info("DeepL MCP Server running on stdio");
 }
 
 main().catch((error) => {
-  console.error("Fatal error in main():", error);
+  logger.error(`Fatal error in main(): ${error.message}`, { stack: error.stack });
   process.exit(1);
 });
@@ -0,0 +1,38 @@
+/*--------------------------------------------------------------------
+ *  Helpers for the JSON files we keep state in
+ *-------------------------------------------------------------------*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from './logging.mjs';
+
+/**
+ * Read and parse a JSON file. A missing file gives the fallback value, and so does an unreadable one,
+ * after logging why: we'd rather start over than stop serving requests.
+ * @template T
+ * @param {string} file
+ * @param {T} fallback
+ * @returns {Promise<T>}
+ */
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warning(`Ignoring unreadable file ${file}: ${error.message}`);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file via a temporary file, so a crash can't leave it half-written
+ * @param {string} file
+ * @param {unknown} data
+ */
+export async function writeJsonFile(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data));
+  await fs.rename(tempFile, file);
+}
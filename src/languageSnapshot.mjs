@@ -0,0 +1,91 @@
+/*--------------------------------------------------------------------
+ *  Language snapshot
+ *
+ *  The languages DeepL supported when this snapshot was taken. We only
+ *  use these if we can't fetch the current lists from DeepL, so that
+ *  the server still starts when DeepL is unreachable.
+ *-------------------------------------------------------------------*/
+
+export const snapshotDate = '2025-10-01';
+
+export const sourceLanguages = [
+  { name: 'Arabic', code: 'ar' },
+  { name: 'Bulgarian', code: 'bg' },
+  { name: 'Czech', code: 'cs' },
+  { name: 'Danish', code: 'da' },
+  { name: 'German', code: 'de' },
+  { name: 'Greek', code: 'el' },
+  { name: 'English', code: 'en' },
+  { name: 'Spanish', code: 'es' },
+  { name: 'Estonian', code: 'et' },
+  { name: 'Finnish', code: 'fi' },
+  { name: 'French', code: 'fr' },
+  { name: 'Hebrew', code: 'he' },
+  { name: 'Hungarian', code: 'hu' },
+  { name: 'Indonesian', code: 'id' },
+  { name: 'Italian', code: 'it' },
+  { name: 'Japanese', code: 'ja' },
+  { name: 'Korean', code: 'ko' },
+  { name: 'Lithuanian', code: 'lt' },
+  { name: 'Latvian', code: 'lv' },
+  { name: 'Norwegian Bokmål', code: 'nb' },
+  { name: 'Dutch', code: 'nl' },
+  { name: 'Polish', code: 'pl' },
+  { name: 'Portuguese', code: 'pt' },
+  { name: 'Romanian', code: 'ro' },
+  { name: 'Russian', code: 'ru' },
+  { name: 'Slovak', code: 'sk' },
+  { name: 'Slovenian', code: 'sl' },
+  { name: 'Swedish', code: 'sv' },
+  { name: 'Thai', code: 'th' },
+  { name: 'Turkish', code: 'tr' },
+  { name: 'Ukrainian', code: 'uk' },
+  { name: 'Vietnamese', code: 'vi' },
+  { name: 'Chinese', code: 'zh' }
+];
+
+export const targetLanguages = [
+  { name: 'Arabic', code: 'ar', supportsFormality: false },
+  { name: 'Bulgarian', code: 'bg', supportsFormality: false },
+  { name: 'Czech', code: 'cs', supportsFormality: false },
+  { name: 'Danish', code: 'da', supportsFormality: false },
+  { name: 'German', code: 'de', supportsFormality: true },
+  { name: 'Greek', code: 'el', supportsFormality: false },
+  { name: 'English (British)', code: 'en-gb', supportsFormality: false },
+  { name: 'English (American)', code: 'en-us', supportsFormality: false },
+  { name: 'Spanish', code: 'es', supportsFormality: true },
+  { name: 'Spanish (Latin American)', code: 'es-419', supportsFormality: true },
+  { name: 'Estonian', code: 'et', supportsFormality: false },
+  { name: 'Finnish', code: 'fi', supportsFormality: false },
+  { name: 'French', code: 'fr', supportsFormality: true },
+  { name: 'Hebrew', code: 'he', supportsFormality: false },
+  { name: 'Hungarian', code: 'hu', supportsFormality: false },
+  { name: 'Indonesian', code: 'id', supportsFormality: false },
+  { name: 'Italian', code: 'it', supportsFormality: true },
+  { name: 'Japanese', code: 'ja', supportsFormality: true },
+  { name: 'Korean', code: 'ko', supportsFormality: false },
+  { name: 'Lithuanian', code: 'lt', supportsFormality: false },
+  { name: 'Latvian', code: 'lv', supportsFormality: false },
+  { name: 'Norwegian Bokmål', code: 'nb', supportsFormality: false },
+  { name: 'Dutch', code: 'nl', supportsFormality: true },
+  { name: 'Polish', code: 'pl', supportsFormality: true },
+  { name: 'Portuguese (Brazilian)', code: 'pt-br', supportsFormality: true },
+  { name: 'Portuguese (European)', code: 'pt-pt', supportsFormality: true },
+  { name: 'Romanian', code: 'ro', supportsFormality: false },
+  { name: 'Russian', code: 'ru', supportsFormality: true },
+  { name: 'Slovak', code: 'sk', supportsFormality: false },
+  { name: 'Slovenian', code: 'sl', supportsFormality: false },
+  { name: 'Swedish', code: 'sv', supportsFormality: false },
+  { name: 'Thai', code: 'th', supportsFormality: false },
+  { name: 'Turkish', code: 'tr', supportsFormality: false },
+  { name: 'Ukrainian', code: 'uk', supportsFormality: false },
+  { name: 'Vietnamese', code: 'vi', supportsFormality: false },
+  { name: 'Chinese (simplified)', code: 'zh-hans', supportsFormality: false },
+  { name: 'Chinese (traditional)', code: 'zh-hant', supportsFormality: false }
+];
+
+// Glossaries can be made between any two of these languages
+export const glossaryLanguages = [
+  'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'he', 'hu', 'id', 'it', 'ja', 'ko',
+  'lt', 'lv', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv', 'th', 'tr', 'uk', 'vi', 'zh'
+];
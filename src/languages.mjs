@@ -0,0 +1,189 @@
+/*--------------------------------------------------------------------
+ *  Languages
+ *
+ *  The languages DeepL supports, fetched the first time they're needed
+ *  rather than at startup, and refreshed during long sessions. If DeepL
+ *  can't be reached, we fall back to a bundled snapshot.
+ *-------------------------------------------------------------------*/
+
+import * as snapshot from './languageSnapshot.mjs';
+import { logger } from './logging.mjs';
+
+export const defaultTtlSeconds = 24 * 60 * 60;
+
+// After a failed fetch, how long to wait before trying DeepL again
+const retryAfterFailureMs = 60 * 1000;
+
+/**
+ * A list fetched from DeepL, which is fetched the first time it's needed and again once it's older than its TTL.
+ * If fetching fails, we keep using the list we have, or the fallback if we've never fetched one.
+ * @template T
+ */
+class RefreshingList {
+  /**
+   * @param {object} options
+   * @param {string} options.description - what the list is, for log messages
+   * @param {() => Promise<T[]>} options.fetch
+   * @param {T[]} options.fallback
+   * @param {number} options.ttlSeconds
+   */
+  constructor({ description, fetch, fallback, ttlSeconds }) {
+    this.description = description;
+    this.fetch = fetch;
+    this.fallback = fallback;
+    this.ttlSeconds = ttlSeconds;
+
+    /** @type {T[] | null} */
+    this.items = null;
+    this.fromDeepL = false;
+    this.expiresAt = 0;
+    /** @type {Promise<T[]> | null} */
+    this.refreshing = null;
+  }
+
+  /**
+   * @returns {Promise<T[]>}
+   */
+  async get() {
+    if (this.items && Date.now() < this.expiresAt) {
+      return this.items;
+    }
+
+    // Concurrent requests share a single fetch
+    this.refreshing ??= this.refresh().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  }
+
+  async refresh() {
+    try {
+      this.items = await this.fetch();
+      this.fromDeepL = true;
+      this.expiresAt = Date.now() + this.ttlSeconds * 1000;
+    } catch (error) {
+      logger.warning(`Failed to fetch ${this.description} from DeepL, using ${this.fromDeepL ? 'the list fetched earlier' : `the bundled list from ${snapshot.snapshotDate}`}: ${error.message}`);
+      this.items ??= this.fallback;
+      this.expiresAt = Date.now() + Math.min(retryAfterFailureMs, this.ttlSeconds * 1000);
+    }
+    return this.items;
+  }
+}
+
+/**
+ * Class to handle a list of languages and associated ISO-639 codes.
+ * We normalize all language codes to lowercase
+ * so that lowercase/uppercase differences don't inspire mistakes.
+ */
+export class LanguagesList {
+  static countryDefaults = {
+    'en': 'en-US',
+    'pt': 'pt-BR',
+    "zh": "zh-Hans"
+  }
+
+  /**
+   * @param {'source' | 'target'} direction
+   * @param {() => Promise<readonly import('deepl-node').Language[]>} fetchLanguages
+   * @param {number} ttlSeconds
+   * @param {Record<string, string>} [countryDefaults] - overrides for some of the built-in country defaults, e.g. { en: 'en-GB' }
+   */
+  constructor(direction, fetchLanguages, ttlSeconds, countryDefaults = {}) {
+    if (direction != 'source' && direction !== 'target') {
+      throw new Error('LanguagesList needs to be called with "target" or "source"');
+    }
+
+    this.direction = direction;
+    this.countryDefaults = { ...LanguagesList.countryDefaults, ...countryDefaults };
+    this.languages = new RefreshingList({
+      description: `${direction} languages`,
+      fetch: async () => (await fetchLanguages()).map(({ name, code, supportsFormality }) => ({
+        name,
+        code: code.toLowerCase(),
+        supportsFormality: Boolean(supportsFormality)
+      })),
+      fallback: direction === 'source' ? snapshot.sourceLanguages : snapshot.targetLanguages,
+      ttlSeconds
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<{name: string, code: string}>>}
+   */
+  async list() {
+    return (await this.languages.get()).map(({ name, code }) => ({ name, code }));
+  }
+
+  /**
+   * The languages which support the formality option. Only target languages do.
+   * @returns {Promise<Array<{name: string, code: string}>>}
+   */
+  async formalityList() {
+    return (await this.languages.get())
+      .filter(lang => lang.supportsFormality)
+      .map(({ name, code }) => ({ name, code }));
+  }
+
+  /**
+   * Given an ISO-639 language code, throw an error if it's not in our codes list
+   * @param {string} code
+   *
+   * At present, our client libraries don't accept two-letter language codes for target_lang
+   * for cases where we support _locales_ - a language code plus country code, like "en-US".
+   * For example, if you specify `target_lang="en"`, you'll get an error. We want "en-US" or "en-UK".
+   * But in this server we don't want to reject such `target_lang`'s, because AI clients
+   * often want to send them.
+   *
+   * So we're changing the `validate()` method to `normalize()`. We will still throw an error if
+   * we're passed an invalid code. But if we're passed a code that requires a country code as well,
+   * like "pt", we'll return the default, like "pt-BR".
+   */
+  async normalize(code) {
+    const lowerCode = code.toLowerCase();
+    let countryDefault;
+
+    // For target languages, if a language requires a country code (like pt-BR), return that
+    if (this.direction === 'target' && (countryDefault = this.countryDefaults[lowerCode])) {
+      return countryDefault;
+    }
+
+    // Otherwise, ensure that the language code we're passed is supported
+    const list = await this.languages.get();
+    if (!list.some(lang => lang.code === lowerCode)) {
+      throw new Error(`Invalid language code: ${lowerCode}. Available codes: ${list.map(lang => lang.code).join(', ')}`);
+    }
+
+    return lowerCode;
+  }
+}
+
+/**
+ * All the language lists we get from DeepL
+ */
+export class LanguageCatalog {
+  /**
+   * @param {import('deepl-node').DeepLClient} deeplClient
+   * @param {object} [options]
+   * @param {number} [options.ttlSeconds] - how long to use a list before fetching it again
+   * @param {Record<string, string>} [options.countryDefaults] - the variant to translate into for a language code without one
+   */
+  constructor(deeplClient, { ttlSeconds = defaultTtlSeconds, countryDefaults = {} } = {}) {
+    if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+      throw new Error(`Invalid language list TTL: ${ttlSeconds}. Use a positive number of seconds`);
+    }
+
+    this.source = new LanguagesList('source', () => deeplClient.getSourceLanguages(), ttlSeconds);
+    this.target = new LanguagesList('target', () => deeplClient.getTargetLanguages(), ttlSeconds, countryDefaults);
+    this.glossaryPairs = new RefreshingList({
+      description: 'glossary language pairs',
+      fetch: async () => (await deeplClient.getGlossaryLanguagePairs()).map(({ sourceLang, targetLang }) => ({
+        sourceLangCode: sourceLang.toLowerCase(),
+        targetLangCode: targetLang.toLowerCase()
+      })),
+      fallback: snapshot.glossaryLanguages.flatMap(sourceLangCode => snapshot.glossaryLanguages
+        .filter(targetLangCode => targetLangCode !== sourceLangCode)
+        .map(targetLangCode => ({ sourceLangCode, targetLangCode }))),
+      ttlSeconds
+    });
+  }
+}
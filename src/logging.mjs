@@ -0,0 +1,153 @@
+/*--------------------------------------------------------------------
+ *  Logging
+ *
+ *  The server's log, written to stderr as plain text or as one JSON
+ *  object per line, and passed on to listeners such as MCP clients
+ *  which asked for log messages. stdout is left alone, since over
+ *  stdio it carries the MCP protocol.
+ *-------------------------------------------------------------------*/
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Log levels, from least to most severe. These are the syslog levels that MCP uses.
+ */
+export const logLevels = /** @type {const} */ (['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency']);
+
+export const logFormats = /** @type {const} */ (['text', 'json']);
+
+/** @typedef {typeof logLevels[number]} LogLevel */
+
+/**
+ * @typedef {object} LogRecord
+ * @property {string} time - ISO 8601
+ * @property {LogLevel} level
+ * @property {string} message
+ */
+
+/** @typedef {(record: LogRecord & Record<string, unknown>) => void} LogListener */
+
+/**
+ * Whether a message at one level is at least as severe as another level
+ * @param {LogLevel} level
+ * @param {LogLevel} threshold
+ */
+function isAtLeast(level, threshold) {
+  return logLevels.indexOf(level) >= logLevels.indexOf(threshold);
+}
+
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {LogLevel} [options.level] - the least severe level to write
+   * @param {typeof logFormats[number]} [options.format]
+   * @param {{ write(line: string): unknown }} [options.output]
+   */
+  constructor({ level = 'info', format = 'text', output = process.stderr } = {}) {
+    this.configure({ level, format });
+    this.output = output;
+    /** @type {Set<LogListener>} */
+    this.listeners = new Set();
+    /** @type {AsyncLocalStorage<LogListener>} the listener for what's being done now, like a client's tool call */
+    this.scope = new AsyncLocalStorage();
+  }
+
+  /**
+   * @param {object} options
+   * @param {LogLevel} options.level
+   * @param {typeof logFormats[number]} options.format
+   */
+  configure({ level, format }) {
+    if (!logLevels.includes(level)) {
+      throw new Error(`Invalid log level: ${level}. Use one of: ${logLevels.join(', ')}`);
+    }
+    if (!logFormats.includes(format)) {
+      throw new Error(`Invalid log format: ${format}. Use one of: ${logFormats.join(', ')}`);
+    }
+    this.level = level;
+    this.format = format;
+  }
+
+  /**
+   * Pass every message to a listener as well, apart from those logged for another listener by `runFor`.
+   * Listeners choose for themselves which levels they want.
+   * @param {LogListener} listener
+   * @returns {() => void} removes the listener
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Run a callback, passing the messages logged while it runs only to the given listener,
+   * so that one client doesn't see the details of another client's tool calls
+   * @template T
+   * @param {LogListener} listener
+   * @param {() => T} callback
+   * @returns {T}
+   */
+  runFor(listener, callback) {
+    return this.scope.run(listener, callback);
+  }
+
+  /**
+   * @param {LogLevel} level
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields] - more details, which JSON logs keep as separate properties
+   */
+  log(level, message, fields = {}) {
+    const record = { time: new Date().toISOString(), level, message, ...fields };
+
+    if (isAtLeast(level, this.level)) {
+      const details = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+      this.output.write(this.format === 'json' ? `${JSON.stringify(record)}\n` : `${message}${details}\n`);
+    }
+
+    const scoped = this.scope.getStore();
+    for (const listener of scoped ? [scoped] : this.listeners) {
+      try {
+        listener(record);
+      } catch {
+        // A listener which fails, like a client which has gone away, mustn't stop the server from logging
+      }
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  warning(message, fields) {
+    this.log('warning', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * The server's logger, which every module logs to. It's configured from the server config at startup.
+ */
+export const logger = new Logger();
@@ -0,0 +1,150 @@
+/*--------------------------------------------------------------------
+ *  Metrics
+ *
+ *  Counters and latency histograms for each tool, since the server
+ *  started. They can be saved to a JSON file after each tool call,
+ *  and served in the Prometheus text format on a local port.
+ *-------------------------------------------------------------------*/
+
+import { createServer as createHttpServer } from 'node:http';
+import { writeJsonFile } from './jsonFile.mjs';
+import { logger } from './logging.mjs';
+
+// Upper bounds of the latency histogram's buckets, in milliseconds
+const latencyBucketsMs = [50, 100, 250, 500, 1000, 2500, 5000, 10_000, 30_000, 60_000, 300_000];
+
+/**
+ * @typedef {object} ToolStats
+ * @property {Record<string, number>} calls - by outcome: "ok", or the category of the error
+ * @property {number} billedCharacters
+ * @property {{ buckets: Array<{ le: number | '+Inf', count: number }>, sumMs: number, count: number }} latency - cumulative, like Prometheus histograms
+ */
+
+export class ToolMetrics {
+  /**
+   * @param {string | null} [file] - where to save the metrics after each tool call, or null not to
+   */
+  constructor(file = null) {
+    this.file = file;
+    this.startedAt = new Date().toISOString();
+    /** @type {Map<string, { calls: Map<string, number>, billedCharacters: number, bucketCounts: number[], sumMs: number, count: number }>} */
+    this.tools = new Map();
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Count a finished tool call
+   * @param {object} call
+   * @param {string} call.tool
+   * @param {string} call.outcome - "ok", or the category of the error
+   * @param {number} call.durationMs
+   * @param {number} call.billedCharacters
+   */
+  async record({ tool, outcome, durationMs, billedCharacters }) {
+    let stats = this.tools.get(tool);
+    if (!stats) {
+      stats = { calls: new Map(), billedCharacters: 0, bucketCounts: latencyBucketsMs.map(() => 0), sumMs: 0, count: 0 };
+      this.tools.set(tool, stats);
+    }
+
+    stats.calls.set(outcome, (stats.calls.get(outcome) ?? 0) + 1);
+    stats.billedCharacters += billedCharacters;
+    latencyBucketsMs.forEach((bound, i) => {
+      if (durationMs <= bound) {
+        stats.bucketCounts[i]++;
+      }
+    });
+    stats.sumMs += durationMs;
+    stats.count++;
+
+    // Failing to save the metrics shouldn't fail the tool call we're counting
+    if (this.file) {
+      try {
+        await this.save();
+      } catch (error) {
+        logger.warning(`Failed to save metrics to ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @returns {{ startedAt: string, tools: Record<string, ToolStats> }}
+   */
+  toJSON() {
+    return {
+      startedAt: this.startedAt,
+      tools: Object.fromEntries([...this.tools].map(([tool, stats]) => [tool, {
+        calls: Object.fromEntries(stats.calls),
+        billedCharacters: stats.billedCharacters,
+        latency: {
+          buckets: [
+            ...latencyBucketsMs.map((le, i) => ({ le, count: stats.bucketCounts[i] })),
+            { le: /** @type {const} */ ('+Inf'), count: stats.count }
+          ],
+          sumMs: stats.sumMs,
+          count: stats.count
+        }
+      }]))
+    };
+  }
+
+  /**
+   * The metrics in the Prometheus text format, with latencies in seconds as Prometheus prefers
+   */
+  toPrometheus() {
+    const lines = [
+      '# HELP deepl_mcp_tool_calls_total Tool calls, by outcome: "ok", or the category of the error.',
+      '# TYPE deepl_mcp_tool_calls_total counter',
+      ...[...this.tools].flatMap(([tool, stats]) => [...stats.calls].map(([outcome, count]) =>
+        `deepl_mcp_tool_calls_total{tool="${tool}",outcome="${outcome}"} ${count}`)),
+      '# HELP deepl_mcp_tool_billed_characters_total Characters DeepL billed for tool calls.',
+      '# TYPE deepl_mcp_tool_billed_characters_total counter',
+      ...[...this.tools].map(([tool, stats]) => `deepl_mcp_tool_billed_characters_total{tool="${tool}"} ${stats.billedCharacters}`),
+      '# HELP deepl_mcp_tool_duration_seconds How long tool calls took.',
+      '# TYPE deepl_mcp_tool_duration_seconds histogram',
+      ...[...this.tools].flatMap(([tool, stats]) => [
+        ...latencyBucketsMs.map((bound, i) => `deepl_mcp_tool_duration_seconds_bucket{tool="${tool}",le="${bound / 1000}"} ${stats.bucketCounts[i]}`),
+        `deepl_mcp_tool_duration_seconds_bucket{tool="${tool}",le="+Inf"} ${stats.count}`,
+        `deepl_mcp_tool_duration_seconds_sum{tool="${tool}"} ${stats.sumMs / 1000}`,
+        `deepl_mcp_tool_duration_seconds_count{tool="${tool}"} ${stats.count}`
+      ])
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write the metrics file, one write at a time
+   */
+  async save() {
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(() => writeJsonFile(/** @type {string} */ (this.file), this.toJSON()));
+    await this.pendingSave;
+  }
+}
+
+/**
+ * Serve the metrics at /metrics on a port of this machine, for Prometheus or anything else that reads its format
+ * @param {ToolMetrics} metrics
+ * @param {number} port
+ * @returns {Promise<import('node:http').Server>}
+ */
+export async function startMetricsServer(metrics, port) {
+  const server = createHttpServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url ?? '/', 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are at /metrics\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(metrics.toPrometheus());
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(undefined));
+  });
+  // Don't keep the process running just for the metrics
+  server.unref();
+  return server;
+}
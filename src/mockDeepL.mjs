@@ -0,0 +1,693 @@
+/*--------------------------------------------------------------------
+ *  Mock DeepL API
+ *
+ *  A local stand-in for the parts of the DeepL API that this server
+ *  uses, so that it can be developed, demoed and tested without an
+ *  API key. Translations are deterministic pseudo-translations, and
+ *  glossaries, documents and usage are kept in memory. Each API key
+ *  is an account of its own, with its own glossaries and quota.
+ *-------------------------------------------------------------------*/
+
+import http from 'node:http';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/** @type {{ language: string, name: string }[]} */
+const sourceLanguages = [
+  { language: 'DE', name: 'German' },
+  { language: 'EN', name: 'English' },
+  { language: 'ES', name: 'Spanish' },
+  { language: 'FR', name: 'French' },
+  { language: 'IT', name: 'Italian' },
+  { language: 'JA', name: 'Japanese' },
+  { language: 'NL', name: 'Dutch' },
+  { language: 'PL', name: 'Polish' },
+  { language: 'PT', name: 'Portuguese' },
+  { language: 'RU', name: 'Russian' },
+  { language: 'UK', name: 'Ukrainian' },
+  { language: 'ZH', name: 'Chinese' }
+];
+
+/** @type {{ language: string, name: string, supports_formality: boolean }[]} */
+const targetLanguages = [
+  { language: 'DE', name: 'German', supports_formality: true },
+  { language: 'EN-GB', name: 'English (British)', supports_formality: false },
+  { language: 'EN-US', name: 'English (American)', supports_formality: false },
+  { language: 'ES', name: 'Spanish', supports_formality: true },
+  { language: 'FR', name: 'French', supports_formality: true },
+  { language: 'IT', name: 'Italian', supports_formality: true },
+  { language: 'JA', name: 'Japanese', supports_formality: true },
+  { language: 'NL', name: 'Dutch', supports_formality: true },
+  { language: 'PL', name: 'Polish', supports_formality: true },
+  { language: 'PT-BR', name: 'Portuguese (Brazilian)', supports_formality: true },
+  { language: 'PT-PT', name: 'Portuguese (European)', supports_formality: true },
+  { language: 'RU', name: 'Russian', supports_formality: true },
+  { language: 'UK', name: 'Ukrainian', supports_formality: false },
+  { language: 'ZH-HANS', name: 'Chinese (simplified)', supports_formality: false },
+  { language: 'ZH-HANT', name: 'Chinese (traditional)', supports_formality: false }
+];
+
+const glossaryLanguages = ['de', 'en', 'es', 'fr', 'it', 'ja', 'nl', 'pl', 'pt', 'ru', 'zh'];
+
+const writeLanguages = ['de', 'en-gb', 'en-us', 'es', 'fr', 'it', 'pt-br', 'pt-pt'];
+
+// Documents in these formats are pseudo-translated. Others come back unchanged.
+const textDocumentExtensions = ['.txt', '.htm', '.html', '.srt', '.xlf', '.xliff'];
+
+// DeepL API Free's monthly limit, for keys ending in ":fx". Pro accounts have no limit, which DeepL reports as a huge one.
+const freeCharacterLimit = 500_000;
+const proCharacterLimit = 1_000_000_000_000;
+
+/**
+ * @typedef {object} MockDictionary
+ * @property {string} sourceLang
+ * @property {string} targetLang
+ * @property {Map<string, string>} entries
+ *
+ * @typedef {object} MockGlossary
+ * @property {string} id
+ * @property {string} name
+ * @property {string} creationTime
+ * @property {MockDictionary[]} dictionaries
+ *
+ * @typedef {object} MockDocument
+ * @property {string} key
+ * @property {Buffer} result
+ * @property {number} billedCharacters
+ * @property {boolean} downloaded
+ *
+ * @typedef {object} MockAccount
+ * @property {Map<string, MockGlossary>} glossaries
+ * @property {Map<string, MockDocument>} documents
+ * @property {number} characterCount
+ * @property {number} characterLimit
+ *
+ * @typedef {{ params: URLSearchParams, file?: { filename: string, content: Buffer } }} MockRequest
+ * @typedef {{ status: number, body?: unknown }} MockResponse
+ */
+
+/**
+ * An error response from the mock API, in the form DeepL sends them
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class MockDeepLServer {
+  constructor() {
+    /** @type {Map<string, MockAccount>} by API key */
+    this.accounts = new Map();
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start a mock API server
+   * @param {object} [options]
+   * @param {string} [options.host]
+   * @param {number} [options.port] - 0 to pick a free port
+   * @returns {Promise<MockDeepLServer>}
+   */
+  static async start({ host = '127.0.0.1', port = 0 } = {}) {
+    const mock = new MockDeepLServer();
+    await new Promise((resolve, reject) => {
+      mock.server.once('error', reject);
+      mock.server.listen(port, host, () => resolve(undefined));
+    });
+    // Don't keep the process running just for the mock
+    mock.server.unref();
+    return mock;
+  }
+
+  /**
+   * The URL to give the DeepL client as its server URL
+   */
+  get url() {
+    const { address, port } = /** @type {import('node:net').AddressInfo} */ (this.server.address());
+    return `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+  }
+
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async handle(request, response) {
+    /** @type {MockResponse} */
+    let result;
+    try {
+      if (!request.headers.authorization?.startsWith('DeepL-Auth-Key ')) {
+        throw new ApiError(403, 'Authorization failure, missing auth key');
+      }
+      const url = new URL(request.url ?? '/', 'http://localhost');
+      const account = this.account(request.headers.authorization.slice('DeepL-Auth-Key '.length));
+      result = this.route(request.method ?? 'GET', url.pathname, await readRequest(request, url), account);
+    } catch (error) {
+      result = error instanceof ApiError
+        ? { status: error.status, body: { message: error.message } }
+        : { status: 500, body: { message: `Mock DeepL API error: ${error.message}` } };
+    }
+
+    // Like DeepL, identify each request, so that it can be found in logs
+    response.setHeader('X-Trace-ID', randomUUID().replaceAll('-', ''));
+    if (Buffer.isBuffer(result.body)) {
+      response.writeHead(result.status, { 'Content-Type': 'application/octet-stream' });
+      response.end(result.body);
+    } else if (result.body === undefined) {
+      response.writeHead(result.status);
+      response.end();
+    } else {
+      response.writeHead(result.status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(result.body));
+    }
+  }
+
+  /**
+   * The account of an API key, which is created the first time the key is used
+   * @param {string} apiKey
+   * @returns {MockAccount}
+   */
+  account(apiKey) {
+    if (!this.accounts.has(apiKey)) {
+      this.accounts.set(apiKey, {
+        glossaries: new Map(),
+        documents: new Map(),
+        characterCount: 0,
+        characterLimit: apiKey.endsWith(':fx') ? freeCharacterLimit : proCharacterLimit
+      });
+    }
+    return this.accounts.get(apiKey);
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} pathname
+   * @param {MockRequest} request
+   * @param {MockAccount} account
+   * @returns {MockResponse}
+   */
+  route(method, pathname, request, account) {
+    const { params } = request;
+    const glossaryMatch = pathname.match(/^\/v3\/glossaries\/([^/]+)(\/entries|\/dictionaries)?$/);
+    const documentMatch = pathname.match(/^\/v2\/document\/([^/]+)(\/result)?$/);
+
+    if (method === 'GET' && pathname === '/v2/languages') {
+      return ok(params.get('type') === 'target' ? targetLanguages : sourceLanguages);
+    }
+    if (method === 'GET' && pathname === '/v2/glossary-language-pairs') {
+      const pairs = glossaryLanguages.flatMap(source => glossaryLanguages
+        .filter(target => target !== source)
+        .map(target => ({ source_lang: source, target_lang: target })));
+      return ok({ supported_languages: pairs });
+    }
+    if (method === 'GET' && pathname === '/v2/usage') {
+      return ok({ character_count: account.characterCount, character_limit: account.characterLimit });
+    }
+    if (method === 'POST' && pathname === '/v2/translate') {
+      return ok({ translations: this.translateTexts(account, params) });
+    }
+    if (method === 'POST' && pathname === '/v2/write/rephrase') {
+      return ok({ improvements: this.rephraseTexts(account, params) });
+    }
+    if (method === 'POST' && pathname === '/v2/document') {
+      return ok(this.uploadDocument(account, request));
+    }
+    if (method === 'POST' && documentMatch) {
+      return this.documentRequest(account, documentMatch[1], Boolean(documentMatch[2]), params);
+    }
+    if (method === 'GET' && pathname === '/v3/glossaries') {
+      return ok({ glossaries: [...account.glossaries.values()].map(describeGlossary) });
+    }
+    if (method === 'POST' && pathname === '/v3/glossaries') {
+      return { status: 201, body: describeGlossary(this.createGlossary(account, params)) };
+    }
+    if (glossaryMatch) {
+      return this.glossaryRequest(account, method, this.getGlossary(account, glossaryMatch[1]), glossaryMatch[2], params);
+    }
+    throw new ApiError(404, `Mock DeepL API has no ${method} ${pathname}`);
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {URLSearchParams} params
+   */
+  translateTexts(account, params) {
+    const texts = params.getAll('text');
+    const targetLang = checkTargetLang(params.get('target_lang'));
+    const sourceLang = params.get('source_lang');
+    if (sourceLang && !sourceLanguages.some(({ language }) => language === sourceLang.toUpperCase())) {
+      throw new ApiError(400, "Value for 'source_lang' not supported.");
+    }
+    if (texts.length === 0) {
+      throw new ApiError(400, "Parameter 'text' not specified.");
+    }
+    checkFormality(params.get('formality'), targetLang);
+
+    const glossaryId = params.get('glossary_id');
+    const glossaryTerms = glossaryId ? this.glossaryTerms(account, glossaryId, sourceLang, targetLang) : null;
+    const tagHandling = params.get('tag_handling');
+    const modelType = params.get('model_type');
+
+    return texts.map(text => {
+      const billedCharacters = text.length;
+      this.bill(account, billedCharacters);
+      return {
+        detected_source_language: (sourceLang ?? detectLanguage(text)).toUpperCase(),
+        text: pseudoTranslate(text, targetLang, { glossaryTerms, tagHandling }),
+        billed_characters: billedCharacters,
+        ...(modelType && { model_type_used: modelType === 'latency_optimized' ? 'latency_optimized' : 'quality_optimized' })
+      };
+    });
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {URLSearchParams} params
+   */
+  rephraseTexts(account, params) {
+    const targetLang = params.get('target_lang');
+    if (targetLang && !writeLanguages.includes(targetLang.toLowerCase())) {
+      throw new ApiError(400, "Value for 'target_lang' not supported.");
+    }
+    if (params.get('writing_style') && params.get('tone')) {
+      throw new ApiError(400, "Only one of 'writing_style' and 'tone' can be given.");
+    }
+
+    return params.getAll('text').map(text => {
+      this.bill(account, text.length);
+      const detected = detectLanguage(text);
+      return {
+        text: polish(text),
+        detected_source_language: detected,
+        target_language: targetLang ?? (detected === 'en' ? 'en-US' : detected)
+      };
+    });
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {MockRequest} request
+   */
+  uploadDocument(account, { params, file }) {
+    if (!file) {
+      throw new ApiError(400, "Parameter 'file' not specified.");
+    }
+    const targetLang = checkTargetLang(params.get('target_lang'));
+    const sourceLang = params.get('source_lang');
+    checkFormality(params.get('formality'), targetLang);
+    const glossaryId = params.get('glossary_id');
+    const glossaryTerms = glossaryId ? this.glossaryTerms(account, glossaryId, sourceLang, targetLang) : null;
+
+    let result = file.content;
+    let billedCharacters = file.content.length;
+    const extension = path.extname(file.filename).toLowerCase();
+    if (textDocumentExtensions.includes(extension)) {
+      const text = file.content.toString('utf8');
+      const tagHandling = ['.txt', '.srt'].includes(extension) ? null : 'xml';
+      result = Buffer.from(text.split('\n').map(line => pseudoTranslate(line, targetLang, { glossaryTerms, tagHandling })).join('\n'));
+      billedCharacters = text.length;
+    }
+    this.bill(account, billedCharacters);
+
+    const id = randomUUID().replaceAll('-', '').toUpperCase();
+    const key = randomUUID().replaceAll('-', '').toUpperCase();
+    account.documents.set(id, { key, result, billedCharacters, downloaded: false });
+    return { document_id: id, document_key: key };
+  }
+
+  /**
+   * Translation is instant, so documents are done as soon as they're uploaded
+   * @param {MockAccount} account
+   * @param {string} id
+   * @param {boolean} isDownload
+   * @param {URLSearchParams} params
+   * @returns {MockResponse}
+   */
+  documentRequest(account, id, isDownload, params) {
+    const document = account.documents.get(id);
+    if (!document || document.key !== params.get('document_key')) {
+      throw new ApiError(400, 'Document not found, or the document key is wrong.');
+    }
+    if (!isDownload) {
+      return ok({ document_id: id, status: 'done', billed_characters: document.billedCharacters });
+    }
+
+    // Like DeepL, we only let a translated document be downloaded once
+    if (document.downloaded) {
+      throw new ApiError(400, 'Document already downloaded.');
+    }
+    document.downloaded = true;
+    return { status: 200, body: document.result };
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {string} id
+   */
+  getGlossary(account, id) {
+    const glossary = account.glossaries.get(id);
+    if (!glossary) {
+      throw new ApiError(404, 'Glossary not found');
+    }
+    return glossary;
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {URLSearchParams} params
+   */
+  createGlossary(account, params) {
+    const name = params.get('name');
+    if (!name) {
+      throw new ApiError(400, "Parameter 'name' not specified.");
+    }
+    const dictionaries = readDictionaries(params);
+    if (dictionaries.length === 0) {
+      throw new ApiError(400, "Parameter 'dictionaries' not specified.");
+    }
+
+    const glossary = { id: randomUUID(), name, creationTime: new Date().toISOString(), dictionaries };
+    account.glossaries.set(glossary.id, glossary);
+    return glossary;
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {string} method
+   * @param {MockGlossary} glossary
+   * @param {string | undefined} subPath - "/entries" or "/dictionaries"
+   * @param {URLSearchParams} params
+   * @returns {MockResponse}
+   */
+  glossaryRequest(account, method, glossary, subPath, params) {
+    if (method === 'GET' && !subPath) {
+      return ok(describeGlossary(glossary));
+    }
+    if (method === 'DELETE' && !subPath) {
+      account.glossaries.delete(glossary.id);
+      return { status: 204 };
+    }
+    if (method === 'PATCH' && !subPath) {
+      const name = params.get('name');
+      if (name) {
+        glossary.name = name;
+      }
+      for (const update of readDictionaries(params)) {
+        const existing = findDictionary(glossary, update.sourceLang, update.targetLang);
+        if (existing) {
+          update.entries.forEach((target, source) => existing.entries.set(source, target));
+        } else {
+          glossary.dictionaries.push(update);
+        }
+      }
+      return ok(describeGlossary(glossary));
+    }
+
+    const sourceLang = params.get('source_lang') ?? '';
+    const targetLang = params.get('target_lang') ?? '';
+    if (method === 'GET' && subPath === '/entries') {
+      const dictionary = findDictionary(glossary, sourceLang, targetLang);
+      if (!dictionary) {
+        throw new ApiError(404, 'Dictionary not found');
+      }
+      const entries = [...dictionary.entries].map(([source, target]) => `${source}\t${target}`).join('\n');
+      return ok({ dictionaries: [{ ...describeDictionary(dictionary), entries, entries_format: 'tsv' }] });
+    }
+    if (method === 'DELETE' && subPath === '/dictionaries') {
+      const dictionary = findDictionary(glossary, sourceLang, targetLang);
+      if (!dictionary) {
+        throw new ApiError(404, 'Dictionary not found');
+      }
+      glossary.dictionaries.splice(glossary.dictionaries.indexOf(dictionary), 1);
+      return { status: 204 };
+    }
+    if (method === 'PUT' && subPath === '/dictionaries') {
+      const replacement = readDictionary(params, '');
+      const existing = findDictionary(glossary, replacement.sourceLang, replacement.targetLang);
+      glossary.dictionaries.splice(existing ? glossary.dictionaries.indexOf(existing) : glossary.dictionaries.length, existing ? 1 : 0, replacement);
+      return ok(describeDictionary(replacement));
+    }
+    throw new ApiError(404, `Mock DeepL API has no ${method} for glossaries${subPath ?? ''}`);
+  }
+
+  /**
+   * The terms of the glossary's dictionary for a language pair, which a translation must use
+   * @param {MockAccount} account
+   * @param {string} glossaryId
+   * @param {string | null} sourceLang
+   * @param {string} targetLang
+   */
+  glossaryTerms(account, glossaryId, sourceLang, targetLang) {
+    if (!sourceLang) {
+      throw new ApiError(400, "Parameter 'source_lang' is required when using a glossary.");
+    }
+    const glossary = account.glossaries.get(glossaryId);
+    const dictionary = glossary && findDictionary(glossary, sourceLang, targetLang);
+    if (!dictionary) {
+      throw new ApiError(400, "Value for 'glossary_id' not supported: the glossary has no dictionary for this language pair.");
+    }
+    return dictionary.entries;
+  }
+
+  /**
+   * @param {MockAccount} account
+   * @param {number} characters
+   */
+  bill(account, characters) {
+    if (account.characterCount + characters > account.characterLimit) {
+      throw new ApiError(456, 'Quota exceeded');
+    }
+    account.characterCount += characters;
+  }
+}
+
+/**
+ * @param {unknown} body
+ * @returns {MockResponse}
+ */
+function ok(body) {
+  return { status: 200, body };
+}
+
+/**
+ * Read a request's parameters from its query string and its URL-encoded or multipart body
+ * @param {http.IncomingMessage} request
+ * @param {URL} url
+ * @returns {Promise<MockRequest>}
+ */
+async function readRequest(request, url) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  const params = new URLSearchParams(url.search);
+
+  const contentType = request.headers['content-type'] ?? '';
+  const boundary = contentType.match(/multipart\/form-data;.*boundary=("?)([^";]+)\1/)?.[2];
+  if (!boundary) {
+    new URLSearchParams(body.toString('utf8')).forEach((value, name) => params.append(name, value));
+    return { params };
+  }
+
+  /** @type {MockRequest['file']} */
+  let file;
+  for (const part of splitMultipart(body, boundary)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const content = part.subarray(headerEnd + 4);
+    const name = headers.match(/name="([^"]*)"/)?.[1];
+    const filename = headers.match(/filename="([^"]*)"/)?.[1];
+    if (filename !== undefined) {
+      file = { filename, content };
+    } else if (name) {
+      params.append(name, content.toString('utf8'));
+    }
+  }
+  return { params, file };
+}
+
+/**
+ * @param {Buffer} body
+ * @param {string} boundary
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length + 2;
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) {
+      break;
+    }
+    // Each part ends with a line break before the next delimiter
+    parts.push(body.subarray(partStart, end - 2));
+    start = end;
+  }
+  return parts;
+}
+
+/**
+ * @param {string | null} targetLang
+ */
+function checkTargetLang(targetLang) {
+  if (!targetLang) {
+    throw new ApiError(400, "Parameter 'target_lang' not specified.");
+  }
+  if (!targetLanguages.some(({ language }) => language === targetLang.toUpperCase())) {
+    throw new ApiError(400, "Value for 'target_lang' not supported.");
+  }
+  return targetLang;
+}
+
+/**
+ * @param {string | null} formality
+ * @param {string} targetLang
+ */
+function checkFormality(formality, targetLang) {
+  const supportsFormality = targetLanguages.find(({ language }) => language === targetLang.toUpperCase())?.supports_formality;
+  if ((formality === 'less' || formality === 'more') && !supportsFormality) {
+    throw new ApiError(400, "'formality' is not supported for given 'target_lang'.");
+  }
+}
+
+/**
+ * Read the dictionaries of a create or update glossary request. They're given as "dictionaries[0].source_lang" and so on.
+ * @param {URLSearchParams} params
+ */
+function readDictionaries(params) {
+  const dictionaries = [];
+  for (let i = 0; params.has(`dictionaries[${i}].source_lang`); i++) {
+    dictionaries.push(readDictionary(params, `dictionaries[${i}].`));
+  }
+  return dictionaries;
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @param {string} prefix
+ * @returns {MockDictionary}
+ */
+function readDictionary(params, prefix) {
+  const sourceLang = (params.get(`${prefix}source_lang`) ?? '').toLowerCase();
+  const targetLang = (params.get(`${prefix}target_lang`) ?? '').toLowerCase();
+  if (!glossaryLanguages.includes(sourceLang) || !glossaryLanguages.includes(targetLang) || sourceLang === targetLang) {
+    throw new ApiError(400, `Unsupported glossary language pair: ${sourceLang} to ${targetLang}.`);
+  }
+
+  const separator = params.get(`${prefix}entries_format`) === 'csv' ? ',' : '\t';
+  const entries = new Map();
+  for (const line of (params.get(`${prefix}entries`) ?? '').split(/\r?\n/)) {
+    const [source, target] = line.split(separator).map(term => term.trim().replace(/^"(.*)"$/, '$1'));
+    if (source && target) {
+      entries.set(source, target);
+    }
+  }
+  return { sourceLang, targetLang, entries };
+}
+
+/**
+ * Find a glossary's dictionary for a language pair. Dictionaries are for languages, not variants:
+ * an "en" dictionary is used when translating into "en-GB".
+ * @param {MockGlossary} glossary
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ */
+function findDictionary(glossary, sourceLang, targetLang) {
+  const language = (/** @type {string} */ code) => code.toLowerCase().split('-')[0];
+  return glossary.dictionaries.find(dictionary =>
+    dictionary.sourceLang === language(sourceLang) && dictionary.targetLang === language(targetLang));
+}
+
+/**
+ * @param {MockGlossary} glossary
+ */
+function describeGlossary(glossary) {
+  return {
+    glossary_id: glossary.id,
+    name: glossary.name,
+    creation_time: glossary.creationTime,
+    dictionaries: glossary.dictionaries.map(describeDictionary)
+  };
+}
+
+/**
+ * @param {MockDictionary} dictionary
+ */
+function describeDictionary(dictionary) {
+  return { source_lang: dictionary.sourceLang, target_lang: dictionary.targetLang, entry_count: dictionary.entries.size };
+}
+
+/**
+ * Guess a text's language from its script and a few telltale letters
+ * @param {string} text
+ */
+function detectLanguage(text) {
+  if (/[\u3040-\u30ff]/.test(text)) {
+    return 'ja';
+  }
+  if (/[\u4e00-\u9fff]/.test(text)) {
+    return 'zh';
+  }
+  if (/[\u0400-\u04ff]/.test(text)) {
+    return 'ru';
+  }
+  if (/[äöüß]/i.test(text)) {
+    return 'de';
+  }
+  return 'en';
+}
+
+/**
+ * Pseudo-translate a text: glossary terms are replaced by their translations, and each run of text is marked
+ * with the target language, e.g. "Hello <b>world</b>" into German is "[DE] Hello <b>[DE] world</b>".
+ * Markup is left alone when tag handling is on, and runs with no letters, like numbers, aren't marked.
+ * @param {string} text
+ * @param {string} targetLang
+ * @param {object} options
+ * @param {Map<string, string> | null} options.glossaryTerms
+ * @param {string | null} options.tagHandling
+ */
+function pseudoTranslate(text, targetLang, { glossaryTerms, tagHandling }) {
+  const marker = `[${targetLang.toUpperCase()}]`;
+  const pieces = tagHandling ? text.split(/(<[^>]*>)/) : [text];
+
+  return pieces.map(piece => {
+    if (piece.startsWith('<') || !/\p{L}/u.test(piece)) {
+      return piece;
+    }
+    let translated = piece;
+    for (const [source, target] of glossaryTerms ?? []) {
+      translated = translated.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(source)}(?![\\p{L}\\p{N}])`, 'gu'), target);
+    }
+    const [, leading, rest] = /** @type {RegExpMatchArray} */ (translated.match(/^(\s*)([\s\S]*)$/));
+    return `${leading}${marker} ${rest}`;
+  }).join('');
+}
+
+/**
+ * A deterministic "improvement" for rephrasing: tidy the spacing, start sentences with a capital, and end with a full stop
+ * @param {string} text
+ */
+function polish(text) {
+  const tidied = text.replace(/[ \t]+/g, ' ').trim()
+    .replace(/(^|[.!?]\s+)(\p{Ll})/gu, (_, before, letter) => before + letter.toUpperCase());
+  return /[.!?。]$/.test(tidied) ? tidied : `${tidied}.`;
+}
+
+/**
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
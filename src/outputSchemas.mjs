@@ -0,0 +1,283 @@
+/*--------------------------------------------------------------------
+ *  Tool output schemas
+ *
+ *  The shape of the structured content each tool returns. Tools also
+ *  return the same results as text, for clients which don't support
+ *  structured content.
+ *-------------------------------------------------------------------*/
+
+import { z } from "zod";
+
+const languageSchema = z.object({
+  name: z.string(),
+  code: z.string()
+});
+
+const usageDetailSchema = z.object({
+  count: z.number(),
+  limit: z.number()
+}).nullable();
+
+export const glossarySchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  dictionaries: z.array(z.object({
+    sourceLangCode: z.string(),
+    targetLangCode: z.string(),
+    entryCount: z.number()
+  })),
+  creationTime: z.string().describe("ISO 8601 timestamp"),
+  apiKeyName: z.string().optional().describe("The API key whose account owns the glossary, when the server has several keys")
+});
+
+export const languagesOutput = {
+  languages: z.array(languageSchema)
+};
+
+export const translationOutput = {
+  text: z.string().describe("The translated text"),
+  detectedSourceLang: z.string(),
+  targetLang: z.string(),
+  billedCharacters: z.number().describe("Characters billed for this translation, which is 0 if it was reused from the cache"),
+  modelTypeUsed: z.string().optional().describe("The translation model DeepL used, if it reported one"),
+  cached: z.boolean().describe("Whether the translation was reused from the local translation cache"),
+  segments: z.array(z.object({
+    source: z.string(),
+    translation: z.string(),
+    fromMemory: z.boolean().describe("Whether the translation is an approved one from the translation memory, rather than DeepL's"),
+    matchScore: z.number().optional().describe("How closely the text matched the translation memory's: 1 for an exact match. Check near-exact matches")
+  })).optional().describe("How each part of the text was translated, when the translation memory had translations for some of it"),
+  protectedSpans: z.number().optional().describe("How many code spans, URLs, placeholders and pieces of Markdown syntax were kept as they are, with textFormat 'markdown' or protectPlaceholders"),
+  protectionIssues: z.array(z.object({
+    type: z.enum(['missing', 'duplicated']).describe("Whether DeepL's translation lost the span, or has it more than once"),
+    span: z.string().describe("The protected text, like `npm install` or {name}"),
+    segment: z.number().describe("Which piece of the text it's in, counting from 0: each paragraph, heading, list item and table cell is one")
+  })).optional().describe("Protected spans which didn't survive translation. The translation leaves out the missing ones, and needs fixing")
+};
+
+export const batchTranslationOutput = {
+  results: z.array(z.record(z.string(), z.object({
+    text: z.string(),
+    detectedSourceLang: z.string().optional().describe("Missing for blank texts, which aren't sent to DeepL")
+  }))).describe("One entry per input text, in the same order, mapping each target language code to its translation"),
+  billedCharacters: z.record(z.string(), z.number()).describe("Characters billed for each target language"),
+  targetLangs: z.array(z.string())
+};
+
+export const rephraseOutput = {
+  text: z.string().optional().describe("The rephrased text, when a single text was given"),
+  results: z.array(z.object({
+    text: z.string().describe("The rephrased text"),
+    detectedSourceLang: z.string().optional(),
+    targetLang: z.string().optional(),
+    diff: z.string().optional().describe("What changed, word by word: [-removed-]{+added+}"),
+    cached: z.boolean().describe("Whether the result was reused from the local translation cache")
+  })).describe("One entry per input text, in the same order")
+};
+
+export const translationCheckOutput = {
+  sourceLang: z.string().optional(),
+  targetLang: z.string(),
+  passed: z.boolean().describe("Whether no problems were found. Problems are hints for a reviewer: a number may be written out in words, or a term inflected"),
+  glossaryId: z.string().optional().describe("The glossary whose terms were checked"),
+  missingGlossaryTerms: z.array(z.object({
+    sourceTerm: z.string(),
+    targetTerm: z.string().describe("The glossary's translation of the term, which isn't in the translation"),
+    occurrences: z.number().describe("How many times the source term is in the source text")
+  })),
+  tokenMismatches: z.array(z.object({
+    type: z.enum(['number', 'url', 'placeholder']),
+    value: z.string(),
+    sourceCount: z.number().describe("How many times it's in the source text"),
+    translationCount: z.number().describe("How many times it's in the translation")
+  })).describe("Numbers, URLs and placeholders which aren't in the source text and the translation the same number of times"),
+  backTranslation: z.object({
+    text: z.string().describe("The translation, translated back into the source language"),
+    similarity: z.number().describe("How much of the source text the back-translation has word for word, from 0 to 1"),
+    diff: z.string().describe("How the back-translation differs from the source text, word by word: [-source only-]{+back-translation only+}")
+  }).optional(),
+  billedCharacters: z.number()
+};
+
+export const writingStylesOutput = {
+  styles: z.array(z.string())
+};
+
+export const writingTonesOutput = {
+  tones: z.array(z.string())
+};
+
+export const usageOutput = {
+  character: usageDetailSchema.describe("Characters translated, added up over all the API keys"),
+  document: usageDetailSchema,
+  teamDocument: usageDetailSchema,
+  keys: z.array(z.object({
+    name: z.string(),
+    type: z.enum(['free', 'pro']).describe("Whether it's a DeepL API Free or Pro key"),
+    character: usageDetailSchema,
+    document: usageDetailSchema,
+    teamDocument: usageDetailSchema,
+    error: z.string().optional().describe("Why the key's usage couldn't be fetched")
+  })).describe("The usage of each of the server's API keys"),
+  localCharacterBudget: z.object({
+    limit: z.number().nullable(),
+    used: z.number(),
+    remaining: z.number().nullable(),
+    period: z.enum(['process', 'day'])
+  })
+};
+
+export const cacheStatsOutput = {
+  enabled: z.boolean(),
+  location: z.string().nullable(),
+  entries: z.number(),
+  maxEntries: z.number(),
+  ttlSeconds: z.number(),
+  hits: z.number(),
+  misses: z.number()
+};
+
+export const clearCacheOutput = {
+  enabled: z.boolean(),
+  removedEntries: z.number()
+};
+
+export const documentTranslationOutput = {
+  jobId: z.string(),
+  status: z.string(),
+  targetLang: z.string(),
+  billedCharacters: z.number().optional(),
+  outputFile: z.string()
+};
+
+export const documentUploadOutput = {
+  jobId: z.string(),
+  targetLang: z.string()
+};
+
+export const documentStatusOutput = {
+  jobId: z.string(),
+  status: z.string().describe("One of queued, translating, done, or error"),
+  secondsRemaining: z.number().optional(),
+  billedCharacters: z.number().optional(),
+  errorMessage: z.string().optional(),
+  outputFile: z.string().optional().describe("Where the translation was downloaded to, if it has been")
+};
+
+export const directoryTranslationOutput = {
+  inputDir: z.string(),
+  outputDir: z.string(),
+  manifestFile: z.string().describe("Where the status of each file is recorded, so the translation can be run again"),
+  translatedCount: z.number(),
+  unchangedCount: z.number().describe("How many files were skipped because they were already translated and haven't changed"),
+  failedCount: z.number(),
+  billedCharacters: z.number(),
+  files: z.array(z.object({
+    inputFile: z.string().describe("Path relative to the input directory"),
+    targetLang: z.string(),
+    outputFile: z.string(),
+    status: z.enum(['translated', 'unchanged', 'failed']),
+    billedCharacters: z.number().optional(),
+    error: z.string().optional()
+  })).describe("One entry per file and target language")
+};
+
+export const i18nFileTranslationOutput = {
+  inputFile: z.string(),
+  format: z.string().describe("One of json, yaml, po, or xliff"),
+  files: z.array(z.object({
+    targetLang: z.string(),
+    outputFile: z.string(),
+    translatedKeys: z.array(z.string()).describe("Keys of the strings translated this time"),
+    unchangedCount: z.number().describe("How many existing translations were kept"),
+    removedKeys: z.array(z.string()).describe("Keys in the existing translation which are no longer in the source file, and so were removed"),
+    failedKeys: z.array(z.object({
+      key: z.string(),
+      error: z.string()
+    })).describe("Strings that couldn't be translated, e.g. because a placeholder was lost. They're left untranslated"),
+    billedCharacters: z.number()
+  })).describe("One entry per target language")
+};
+
+export const subtitleTranslationOutput = {
+  inputFile: z.string(),
+  outputFile: z.string(),
+  format: z.enum(['srt', 'webvtt']),
+  targetLang: z.string(),
+  detectedSourceLang: z.string().optional(),
+  cueCount: z.number().describe("How many cues the file has"),
+  translatedCueCount: z.number().describe("How many cues were translated. Cues without words, like music notes, are kept as they are"),
+  sentenceCount: z.number().describe("How many pieces of text, each one or more cues long, were sent for translation"),
+  failedCues: z.array(z.object({
+    cues: z.array(z.number()).describe("The cues' positions in the file, counting from 1"),
+    error: z.string()
+  })).describe("Cues that couldn't be translated, e.g. because a styling tag was lost. They're left untranslated"),
+  billedCharacters: z.number()
+};
+
+export const glossariesOutput = {
+  glossaries: z.array(glossarySchema)
+};
+
+export const glossaryEntriesOutput = {
+  glossaryId: z.string(),
+  name: z.string(),
+  sourceLangCode: z.string(),
+  targetLangCode: z.string(),
+  entries: z.record(z.string(), z.string()).describe("Maps each source term to its target term")
+};
+
+export const deletedGlossaryOutput = {
+  deletedGlossaryId: z.string()
+};
+
+const glossaryFileDictionarySchema = z.object({
+  sourceLangCode: z.string(),
+  targetLangCode: z.string(),
+  entryCount: z.number()
+});
+
+export const glossaryExportOutput = {
+  glossaryId: z.string(),
+  name: z.string(),
+  outputFile: z.string(),
+  format: z.enum(['csv', 'tsv', 'tbx']),
+  dictionaries: z.array(glossaryFileDictionarySchema).describe("The dictionaries written to the file")
+};
+
+export const glossaryImportOutput = {
+  inputFile: z.string(),
+  format: z.enum(['csv', 'tsv', 'tbx']),
+  dryRun: z.boolean(),
+  glossary: glossarySchema.optional().describe("The glossary created or updated. Missing in a dry run"),
+  dictionaries: z.array(glossaryFileDictionarySchema).describe("The dictionaries in the file, after duplicates are removed"),
+  issues: z.array(z.object({
+    type: z.enum(['empty', 'invalid', 'conflict', 'duplicate']),
+    sourceLang: z.string(),
+    targetLang: z.string(),
+    term: z.string(),
+    locations: z.array(z.string()).describe("Where the term is in the file, e.g. \"row 4\""),
+    message: z.string()
+  })).describe("Problems with the file's terms. Only duplicates are allowed in an import: the others stop the glossary being uploaded")
+};
+
+export const translationMemoryImportOutput = {
+  inputFile: z.string(),
+  format: z.enum(['tmx', 'csv', 'tsv']),
+  added: z.number(),
+  updated: z.number().describe("How many translations replaced a different translation of the same text"),
+  unchanged: z.number().describe("How many translations were already in the memory"),
+  languagePairs: z.array(z.object({
+    sourceLang: z.string(),
+    targetLang: z.string(),
+    count: z.number()
+  })).describe("How many translations the file has for each language pair"),
+  totalEntries: z.number().describe("How many translations the memory holds now")
+};
+
+export const translationMemoryAddOutput = {
+  added: z.number(),
+  updated: z.number(),
+  unchanged: z.number(),
+  totalEntries: z.number()
+};
@@ -0,0 +1,308 @@
+/*--------------------------------------------------------------------
+ *  Placeholder protection
+ *
+ *  Turns the placeholders in a message - ICU MessageFormat arguments,
+ *  printf-style formats, template variables and markup tags - into
+ *  XML tags, so that DeepL's XML tag handling leaves them alone, and
+ *  turns them back afterwards. The branches of ICU plural and select
+ *  arguments are still translated.
+ *-------------------------------------------------------------------*/
+
+const icuComplexTypes = ['plural', 'select', 'selectordinal'];
+
+// Placeholders which are matched as a whole, at the current position
+export const placeholderPatterns = [
+  /\{\{[^{}]*\}\}/y,                                          // {{name}}, as in Mustache and i18next
+  /\$\{[^{}]*\}/y,                                            // ${name}
+  /%\{[^{}]*\}/y,                                             // %{name}, as in Ruby
+  /%\([^)]+\)[-+0#]*\d*(?:\.\d+)?[sdifuxXoeEgGcr]/y,         // %(name)s, as in Python
+  /%(?:\d+\$)?[-+0#]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|q|j|z|t)?[sdifuxXoeEgGcp@%]/y  // %s, %1$d, %.2f, %@, %%
+];
+
+// Markup tags in plain text, like <b>, </b>, <br/> or <0>
+export const textTagPattern = /<\/?[^<>\s][^<>]*>/y;
+
+// Markup tags in XML input, which we pass through to DeepL as they are
+const xmlTagPattern = /<[^<>]+>/y;
+
+const protectedTagPattern = /<(\/?)mcp-(ph|icu|branch)\b([^>]*?)\/?>/g;
+
+/**
+ * @typedef {object} ProtectedText
+ * @property {string} xml - the text to send to DeepL with `tagHandling: 'xml'`
+ * @property {boolean} hasPlaceholders
+ * @property {(translatedXml: string) => string} restore - put the placeholders back into DeepL's translation.
+ *   Throws an error if DeepL dropped or repeated any of them.
+ */
+
+/**
+ * Protect the placeholders in a message
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.xml] - whether the text is already XML, like the content of an XLIFF segment,
+ *   so that its tags should be kept as tags and its text isn't escaped
+ * @returns {ProtectedText}
+ */
+export function protectPlaceholders(text, { xml = false } = {}) {
+  /** @type {string[]} */
+  const placeholders = [];
+  /** @type {string[]} */
+  const icuHeaders = [];
+
+  const placeholder = (raw) => {
+    placeholders.push(raw);
+    return `<mcp-ph i="${placeholders.length - 1}"/>`;
+  };
+
+  /**
+   * @param {string} message
+   * @param {boolean} inPlural - whether "#" stands for the number, as it does in a plural branch
+   */
+  const convert = (message, inPlural) => {
+    let output = '';
+    let pendingText = '';
+    const flushText = () => {
+      output += xml ? pendingText : escapeXml(pendingText);
+      pendingText = '';
+    };
+
+    for (let i = 0; i < message.length;) {
+      const tag = matchAt(xml ? xmlTagPattern : textTagPattern, message, i);
+      if (tag) {
+        flushText();
+        output += xml ? tag : placeholder(tag);
+        i += tag.length;
+        continue;
+      }
+
+      const match = placeholderPatterns.map(pattern => matchAt(pattern, message, i)).find(Boolean);
+      if (match) {
+        flushText();
+        output += placeholder(match);
+        i += match.length;
+        continue;
+      }
+
+      if (inPlural && message[i] === '#') {
+        flushText();
+        output += placeholder('#');
+        i++;
+        continue;
+      }
+
+      if (message[i] === '{') {
+        const end = matchingBrace(message, i);
+        if (end !== -1) {
+          flushText();
+          output += convertArgument(message.slice(i, end + 1));
+          i = end + 1;
+          continue;
+        }
+      }
+
+      pendingText += message[i++];
+    }
+
+    flushText();
+    return output;
+  };
+
+  /**
+   * An ICU argument: a simple one like {name} or {price, number} is a placeholder,
+   * but the branches of {count, plural, one {...} other {...}} are translated
+   * @param {string} argument - including its braces
+   */
+  const convertArgument = (argument) => {
+    const [, header, type, rest] = argument.match(/^(\{\s*[^\s,{}]+\s*,\s*(\w+)\s*,)([\s\S]*)\}$/) ?? [];
+    const branches = icuComplexTypes.includes(type) ? parseBranches(rest) : null;
+    if (!branches) {
+      return placeholder(argument);
+    }
+
+    icuHeaders.push(header + (branches.offset ? ` ${branches.offset}` : ''));
+    const content = branches.list
+      .map(({ key, message }) => `<mcp-branch k="${escapeXml(key)}">${convert(message, type !== 'select')}</mcp-branch>`)
+      .join('');
+    return `<mcp-icu i="${icuHeaders.length - 1}">${content}</mcp-icu>`;
+  };
+
+  const converted = convert(text, false);
+
+  return {
+    xml: converted,
+    hasPlaceholders: placeholders.length > 0 || icuHeaders.length > 0,
+    restore: (translatedXml) => restorePlaceholders(translatedXml, { placeholders, icuHeaders, xml })
+  };
+}
+
+/**
+ * @param {string} translatedXml
+ * @param {object} protectedParts
+ * @param {string[]} protectedParts.placeholders
+ * @param {string[]} protectedParts.icuHeaders
+ * @param {boolean} protectedParts.xml
+ */
+function restorePlaceholders(translatedXml, { placeholders, icuHeaders, xml }) {
+  const tokens = [...translatedXml.matchAll(protectedTagPattern)];
+  const used = { ph: new Set(), icu: new Set() };
+  let position = 0;
+  let tokenIndex = 0;
+
+  const textUntil = (end) => {
+    const text = translatedXml.slice(position, end);
+    position = end;
+    return xml ? text : unescapeXml(text);
+  };
+
+  /**
+   * Read the message up to the closing tag of the enclosing branch, or to the end
+   * @returns {string}
+   */
+  const readMessage = () => {
+    let output = '';
+    while (tokenIndex < tokens.length) {
+      const token = tokens[tokenIndex];
+      const [raw, closing, kind, attributes] = token;
+      output += textUntil(token.index);
+
+      if (closing) {
+        return output;
+      }
+
+      tokenIndex++;
+      position = token.index + raw.length;
+      const id = Number(attributes.match(/i="(\d+)"/)?.[1]);
+
+      if (kind === 'ph') {
+        if (!(id in placeholders) || used.ph.has(id)) {
+          throw new Error('the translation has placeholders which the original text does not');
+        }
+        used.ph.add(id);
+        output += placeholders[id];
+      } else if (kind === 'icu') {
+        if (!(id in icuHeaders) || used.icu.has(id)) {
+          throw new Error('the translation has plural or select arguments which the original text does not');
+        }
+        used.icu.add(id);
+        output += `${icuHeaders[id]} ${readBranches()}}`;
+      } else {
+        throw new Error('the translation has a plural or select branch outside its argument');
+      }
+    }
+
+    output += textUntil(translatedXml.length);
+    return output;
+  };
+
+  // Read the branches of an ICU argument, up to its closing tag
+  const readBranches = () => {
+    const branches = [];
+    while (tokenIndex < tokens.length) {
+      const [raw, closing, kind, attributes] = tokens[tokenIndex++];
+      position = tokens[tokenIndex - 1].index + raw.length;
+
+      if (closing && kind === 'icu') {
+        return branches.join(' ');
+      }
+      if (closing || kind !== 'branch') {
+        throw new Error('the translation has changed the structure of a plural or select argument');
+      }
+
+      const key = unescapeXml(attributes.match(/k="([^"]*)"/)?.[1] ?? '');
+      const message = readMessage();
+      const [closeRaw, isClosing, closeKind] = tokens[tokenIndex++] ?? [];
+      if (!isClosing || closeKind !== 'branch') {
+        throw new Error('the translation has changed the structure of a plural or select argument');
+      }
+      position = tokens[tokenIndex - 1].index + closeRaw.length;
+      branches.push(`${key} {${message}}`);
+    }
+    throw new Error('the translation has an unfinished plural or select argument');
+  };
+
+  const restored = readMessage();
+  if (tokenIndex < tokens.length) {
+    throw new Error('the translation has changed the structure of a plural or select argument');
+  }
+  if (used.ph.size !== placeholders.length || used.icu.size !== icuHeaders.length) {
+    throw new Error('placeholders were lost in translation');
+  }
+  return restored;
+}
+
+/**
+ * Split the branches of an ICU plural or select argument, e.g. "offset:1 one {# item} other {# items}"
+ * @param {string} text
+ * @returns {{ offset: string | null, list: Array<{ key: string, message: string }> } | null} null if they can't be parsed
+ */
+function parseBranches(text) {
+  const offset = text.match(/^\s*(offset:\s*\d+)/);
+  let i = offset ? offset[0].length : 0;
+  const list = [];
+
+  while (i < text.length) {
+    const keyMatch = matchAt(/\s*([^\s{}]+)\s*\{/y, text, i);
+    if (!keyMatch) {
+      return /^\s*$/.test(text.slice(i)) && list.length ? { offset: offset?.[1] ?? null, list } : null;
+    }
+
+    const open = i + keyMatch.length - 1;
+    const close = matchingBrace(text, open);
+    if (close === -1) {
+      return null;
+    }
+
+    list.push({ key: keyMatch.trim().slice(0, -1).trim(), message: text.slice(open + 1, close) });
+    i = close + 1;
+  }
+
+  return list.length ? { offset: offset?.[1] ?? null, list } : null;
+}
+
+/**
+ * @param {string} text
+ * @param {number} open - index of an opening brace
+ * @returns {number} index of the matching closing brace, or -1 if there isn't one
+ */
+export function matchingBrace(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {RegExp} stickyPattern
+ * @param {string} text
+ * @param {number} index
+ */
+export function matchAt(stickyPattern, text, index) {
+  stickyPattern.lastIndex = index;
+  return stickyPattern.exec(text)?.[0] ?? null;
+}
+
+/**
+ * @param {string} text
+ */
+export function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} text
+ */
+export function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
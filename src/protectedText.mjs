@@ -0,0 +1,621 @@
+/*--------------------------------------------------------------------
+ *  Protected text
+ *
+ *  Prepares Markdown, or plain text with placeholders, for DeepL's
+ *  XML tag handling. Code, URLs, link targets, placeholders and the
+ *  Markdown syntax around the text become XML tags which DeepL keeps
+ *  as they are, and the document is split into the pieces of text
+ *  to translate. Afterwards the protected spans are put back, and
+ *  any that DeepL lost or repeated are reported, rather than left
+ *  out of the translation without a word.
+ *-------------------------------------------------------------------*/
+
+import { placeholderPatterns, textTagPattern, matchingBrace, matchAt, escapeXml, unescapeXml } from './placeholders.mjs';
+
+export const textFormats = /** @type {const} */ (['plain', 'markdown']);
+
+// The tags protected spans become. DeepL shouldn't split sentences at them.
+export const protectedTags = ['mcp-ph', 'mcp-md'];
+
+// Spans that are protected as a whole, in plain text as well as in Markdown
+const urlPattern = /(?:https?:\/\/|www\.)[^\s<>()[\]]*[^\s<>()[\].,;:!?'"*_~]/iy;
+
+// Spans that are protected as a whole in Markdown
+const htmlCommentPattern = /<!--[\s\S]*?-->/y;
+const autolinkPattern = /<(?:[a-z][a-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/iy;
+const entityPattern = /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/iy;
+const escapePattern = /\\[!-/:-@[-`{-~]/y;
+const footnotePattern = /\[\^[^\]\s]+\]/y;
+
+// Markdown lines which are kept as they are, or which start or end a block
+const fencePattern = /^ {0,3}(`{3,}|~{3,})/;
+const thematicBreakPattern = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const setextUnderlinePattern = /^ {0,3}=+[ \t]*$/;
+const tableDelimiterPattern = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*\r?$/;
+const linkDefinitionPattern = /^ {0,3}\[[^\]]+\]:[ \t]*\S/;
+const indentedCodePattern = /^(?: {4}|\t)/;
+
+// The markers at the start of a Markdown line: indentation, block quotes, list items, task list boxes and headings
+const linePrefixPattern = /^[ \t]*(?:>[ \t]?)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])(?:[ \t]+(?:\[[ xX]\][ \t]+)?|[ \t]*$)|#{1,6}(?:[ \t]+|$))?/;
+const listItemPattern = /(?:^|[ \t>])(?:[-*+]|\d{1,9}[.)])(?:[ \t]|$)/;
+const headingClosePattern = /[ \t]+#+[ \t]*$/;
+
+/**
+ * @typedef {{ raw: string } | { open: string, close: string }} ProtectedSpan
+ * A span kept as a whole, or the syntax around text which is translated, like the "[" and "](url)" of a link
+ */
+
+/**
+ * @typedef {object} ProtectionIssue
+ * @property {'missing' | 'duplicated'} type - whether DeepL's translation lost the span, or has it more than once
+ * @property {string} span - the protected text, like "`npm install`" or "{name}"
+ * @property {number} segment - which piece of the text it's in, counting from 0
+ */
+
+/**
+ * @typedef {object} ProtectedText
+ * @property {string[]} segments - the pieces of text to translate, as XML for DeepL's `tagHandling: 'xml'`
+ * @property {number} protectedSpans - how many spans were protected
+ * @property {(translations: string[]) => { text: string, issues: ProtectionIssue[] }} restore - put the translated
+ *   segments and the protected spans back together. Spans DeepL lost are left out, and reported.
+ */
+
+/**
+ * Compile placeholder patterns given as regular expressions, like "\\$[A-Z_]+" or ":[a-z]+"
+ * @param {string[]} patterns
+ * @returns {RegExp[]}
+ */
+export function compilePlaceholderPatterns(patterns) {
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern, 'uy');
+    } catch (error) {
+      throw new Error(`Invalid placeholder pattern ${pattern}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Protect plain text's URLs, placeholders and markup tags, as well as anything matching the given patterns
+ * @param {string} text
+ * @param {object} [options]
+ * @param {RegExp[]} [options.patterns] - more placeholders, from compilePlaceholderPatterns
+ * @returns {ProtectedText}
+ */
+export function protectPlainText(text, { patterns = [] } = {}) {
+  const document = new ProtectedDocument({ markdown: false, patterns });
+  // DeepL may trim whitespace at the start and end of a text, so we keep it out of the segment
+  const [, leading, core, trailing] = /** @type {RegExpMatchArray} */ (text.match(/^(\s*)([\s\S]*?)(\s*)$/));
+  document.addText(leading);
+  document.addSegment(core);
+  document.addText(trailing);
+  return document.result();
+}
+
+/**
+ * Protect the syntax, code, URLs and placeholders of a Markdown document, as well as anything matching the given patterns.
+ * Code blocks, front matter, HTML comments and link definitions are kept as they are, and each paragraph, heading,
+ * list item and table cell is a segment of its own.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {RegExp[]} [options.patterns] - more placeholders, from compilePlaceholderPatterns
+ * @returns {ProtectedText}
+ */
+export function protectMarkdown(text, { patterns = [] } = {}) {
+  const document = new ProtectedDocument({ markdown: true, patterns });
+  const lines = text.split('\n');
+  const newline = (/** @type {number} */ i) => i < lines.length - 1 ? '\n' : '';
+
+  /** @type {Array<{ prefix: string, content: string, trailing: string, newline: string }> | null} the lines of the paragraph we're in */
+  let paragraph = null;
+  let previousBlank = true;
+  let inList = false;
+
+  const endParagraph = () => {
+    if (!paragraph) {
+      return;
+    }
+    const [first, ...rest] = paragraph;
+    document.addText(first.prefix);
+    let content = first.content;
+    let end = `${first.trailing}${first.newline}`;
+    /** @type {Map<number, string>} */
+    const lineBreaks = new Map();
+    for (const line of rest) {
+      lineBreaks.set(content.length, `${end}${line.prefix}`);
+      content += `${end}${line.prefix}${line.content}`;
+      end = `${line.trailing}${line.newline}`;
+    }
+    document.addSegment(content, lineBreaks);
+    document.addText(end);
+    paragraph = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Front matter, at the very start
+    if (i === 0 && /^---[ \t]*\r?$/.test(line)) {
+      const end = lines.findIndex((candidate, j) => j > 0 && /^(?:---|\.\.\.)[ \t]*\r?$/.test(candidate));
+      if (end !== -1) {
+        document.addText(lines.slice(0, end + 1).join('\n') + newline(end));
+        i = end;
+        continue;
+      }
+    }
+
+    // Fenced code blocks, up to the closing fence or the end of the document
+    const fence = line.match(fencePattern);
+    if (fence) {
+      endParagraph();
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*\\r?$`);
+      let end = lines.findIndex((candidate, j) => j > i && closing.test(candidate));
+      end = end === -1 ? lines.length - 1 : end;
+      document.addText(lines.slice(i, end + 1).join('\n') + newline(end));
+      i = end;
+      previousBlank = false;
+      continue;
+    }
+
+    // HTML comments, which may go on for several lines
+    if (/^ {0,3}<!--/.test(line)) {
+      endParagraph();
+      let end = lines.findIndex((candidate, j) => j >= i && candidate.includes('-->'));
+      end = end === -1 ? lines.length - 1 : end;
+      document.addText(lines.slice(i, end + 1).join('\n') + newline(end));
+      i = end;
+      previousBlank = false;
+      continue;
+    }
+
+    if (!line.trim()) {
+      endParagraph();
+      document.addText(line + newline(i));
+      previousBlank = true;
+      continue;
+    }
+
+    // Indented code, which can't interrupt a paragraph, and which in a list is a list item's continuation instead
+    if (!paragraph && previousBlank && !inList && indentedCodePattern.test(line)) {
+      document.addText(line + newline(i));
+      continue;
+    }
+    if (previousBlank && !indentedCodePattern.test(line) && !listItemPattern.test(line.match(linePrefixPattern)[0])) {
+      inList = false;
+    }
+    previousBlank = false;
+
+    if (thematicBreakPattern.test(line) || setextUnderlinePattern.test(line) || linkDefinitionPattern.test(line)) {
+      endParagraph();
+      document.addText(line + newline(i));
+      continue;
+    }
+
+    // Tables, whose cells are translated one by one
+    if (line.includes('|') && (lines[i + 1] ?? '').includes('|') && tableDelimiterPattern.test(lines[i + 1])) {
+      endParagraph();
+      document.addTableRow(line, newline(i));
+      document.addText(lines[i + 1] + newline(i + 1));
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        document.addTableRow(lines[i], newline(i));
+        i++;
+      }
+      i--;
+      continue;
+    }
+
+    const prefix = line.match(linePrefixPattern)[0];
+    const isListItem = listItemPattern.test(prefix);
+    const isHeading = prefix.includes('#');
+    inList ||= isListItem;
+
+    const [, content, trailing] = /** @type {RegExpMatchArray} */ (line.slice(prefix.length).match(/^([\s\S]*?)(\s*)$/));
+    if (isHeading) {
+      endParagraph();
+      const close = content.match(headingClosePattern)?.[0] ?? '';
+      document.addText(prefix);
+      document.addSegment(content.slice(0, content.length - close.length));
+      document.addText(close + trailing + newline(i));
+      continue;
+    }
+
+    // A list item starts a paragraph of its own. Other lines go on with the paragraph before them.
+    if (isListItem || !paragraph) {
+      endParagraph();
+      paragraph = [];
+    }
+    paragraph.push({ prefix, content, trailing, newline: newline(i) });
+    if (!content) {
+      endParagraph();
+    }
+  }
+  endParagraph();
+
+  return document.result();
+}
+
+/**
+ * A document being protected: text which is kept as it is, and segments to translate with their protected spans
+ */
+class ProtectedDocument {
+  /**
+   * @param {object} options
+   * @param {boolean} options.markdown
+   * @param {RegExp[]} options.patterns
+   */
+  constructor({ markdown, patterns }) {
+    this.markdown = markdown;
+    this.patterns = patterns;
+    /** @type {Array<string | number>} text, or the index of a segment */
+    this.parts = [];
+    /** @type {Array<{ xml: string, spans: ProtectedSpan[] }>} */
+    this.segments = [];
+  }
+
+  /**
+   * @param {string} text
+   */
+  addText(text) {
+    if (text) {
+      this.parts.push(text);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @param {Map<number, string>} [lineBreaks] - where the text goes on to another line, and the text that does it
+   */
+  addSegment(text, lineBreaks = new Map()) {
+    /** @type {ProtectedSpan[]} */
+    const spans = [];
+    const xml = new InlineConverter(text, { markdown: this.markdown, patterns: this.patterns, lineBreaks, spans }).convert(0, text.length);
+    // Text that's all code, URLs and placeholders has nothing to translate
+    if (!/[\p{L}\p{N}]/u.test(xml.replace(/<[^>]*>/g, ''))) {
+      this.addText(text);
+      return;
+    }
+    this.parts.push(this.segments.length);
+    this.segments.push({ xml, spans });
+  }
+
+  /**
+   * @param {string} row - like "| Name | Description |"
+   * @param {string} newline
+   */
+  addTableRow(row, newline) {
+    // Split at pipes which aren't escaped or in code
+    const cells = row.split(/(?<!\\)\|(?=(?:[^`]*`[^`]*`)*[^`]*$)/);
+    cells.forEach((cell, i) => {
+      if (i > 0) {
+        this.addText('|');
+      }
+      const [, leading, content, trailing] = /** @type {RegExpMatchArray} */ (cell.match(/^(\s*)([\s\S]*?)(\s*)$/));
+      this.addText(leading);
+      this.addSegment(content);
+      this.addText(trailing);
+    });
+    this.addText(newline);
+  }
+
+  /**
+   * @returns {ProtectedText}
+   */
+  result() {
+    const { parts, segments } = this;
+    return {
+      segments: segments.map(segment => segment.xml),
+      protectedSpans: segments.reduce((sum, segment) => sum + segment.spans.length, 0),
+      restore: (translations) => {
+        /** @type {ProtectionIssue[]} */
+        const issues = [];
+        const restored = segments.map((segment, i) => {
+          const result = restoreSegment(translations[i], segment.spans);
+          issues.push(...result.issues.map(issue => ({ ...issue, segment: i })));
+          return result.text;
+        });
+        return {
+          text: parts.map(part => typeof part === 'number' ? restored[part] : part).join(''),
+          issues
+        };
+      }
+    };
+  }
+}
+
+/**
+ * Turns the text of a segment into XML, with its protected spans as tags
+ */
+class InlineConverter {
+  /**
+   * @param {string} text
+   * @param {object} options
+   * @param {boolean} options.markdown
+   * @param {RegExp[]} options.patterns
+   * @param {Map<number, string>} options.lineBreaks
+   * @param {ProtectedSpan[]} options.spans - where the protected spans are collected
+   */
+  constructor(text, { markdown, patterns, lineBreaks, spans }) {
+    this.text = text;
+    this.markdown = markdown;
+    this.patterns = patterns;
+    this.lineBreaks = lineBreaks;
+    this.spans = spans;
+  }
+
+  /**
+   * Convert the text from start to end
+   * @param {number} start
+   * @param {number} end
+   */
+  convert(start, end) {
+    const { text } = this;
+    let output = '';
+    let pendingText = '';
+    const flushText = () => {
+      output += escapeXml(pendingText);
+      pendingText = '';
+    };
+
+    for (let i = start; i < end;) {
+      const atomic = this.atomicAt(i, end);
+      if (atomic) {
+        flushText();
+        output += this.protect({ raw: atomic });
+        i += atomic.length;
+        continue;
+      }
+
+      const wrapper = this.markdown ? (this.linkAt(i, end) ?? this.emphasisAt(i, end)) : null;
+      if (wrapper) {
+        flushText();
+        const id = this.spans.length;
+        this.spans.push({ open: wrapper.open, close: wrapper.close });
+        output += `<mcp-md i="${id}">${this.convert(wrapper.innerStart, wrapper.innerEnd)}</mcp-md>`;
+        i = wrapper.end;
+        continue;
+      }
+
+      // A run of backticks without a closing run is just text, and so is a run of emphasis characters which isn't emphasis
+      const run = this.markdown ? matchAt(/`+|\*+|_+|~+/y, text, i) : null;
+      const length = run ? Math.min(run.length, end - i) : 1;
+      pendingText += text.slice(i, i + length);
+      i += length;
+    }
+
+    flushText();
+    return output;
+  }
+
+  /**
+   * @param {ProtectedSpan} span
+   */
+  protect(span) {
+    this.spans.push(span);
+    return `<mcp-ph i="${this.spans.length - 1}"/>`;
+  }
+
+  /**
+   * A span which is protected as a whole, starting at index i
+   * @param {number} i
+   * @param {number} end
+   * @returns {string | null}
+   */
+  atomicAt(i, end) {
+    const { text } = this;
+    const lineBreak = this.lineBreaks.get(i);
+    if (lineBreak !== undefined) {
+      return lineBreak;
+    }
+
+    const candidates = [
+      ...this.patterns,
+      ...(this.markdown ? [htmlCommentPattern, autolinkPattern, entityPattern, escapePattern, footnotePattern] : []),
+      textTagPattern,
+      urlPattern,
+      ...placeholderPatterns
+    ];
+    for (const pattern of candidates) {
+      const match = matchAt(pattern, text, i);
+      if (match && i + match.length <= end) {
+        return match;
+      }
+    }
+
+    if (this.markdown && text[i] === '`') {
+      const code = this.codeSpanAt(i);
+      if (code && i + code.length <= end) {
+        return code;
+      }
+    }
+
+    // Template variables and ICU arguments, like {name} or {count, plural, one {# file} other {# files}}
+    if (text[i] === '{') {
+      const close = matchingBrace(text, i);
+      if (close !== -1 && close < end) {
+        return text.slice(i, close + 1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A code span, from a run of backticks to the next run of the same length
+   * @param {number} i
+   */
+  codeSpanAt(i) {
+    const opening = /** @type {string} */ (matchAt(/`+/y, this.text, i));
+    const closing = new RegExp(`(?<!\`)\`{${opening.length}}(?!\`)`, 'g');
+    closing.lastIndex = i + opening.length;
+    const match = closing.exec(this.text);
+    return match ? this.text.slice(i, match.index + opening.length) : null;
+  }
+
+  /**
+   * A link or image, like [text](url), [text][reference] or ![alt text](image.png), whose text is translated
+   * @param {number} i
+   * @param {number} end
+   */
+  linkAt(i, end) {
+    const { text } = this;
+    const open = text.startsWith('![', i) ? '![' : text[i] === '[' ? '[' : null;
+    if (!open) {
+      return null;
+    }
+
+    const textStart = i + open.length;
+    const textEnd = matchingBracket(text, textStart - 1, '[', ']', end);
+    if (textEnd === -1) {
+      return null;
+    }
+
+    let closeEnd = -1;
+    if (text[textEnd + 1] === '(') {
+      closeEnd = matchingBracket(text, textEnd + 1, '(', ')', end);
+    } else if (text[textEnd + 1] === '[') {
+      closeEnd = matchingBracket(text, textEnd + 1, '[', ']', end);
+    }
+    if (closeEnd === -1) {
+      return null;
+    }
+
+    return { open, close: text.slice(textEnd, closeEnd + 1), innerStart: textStart, innerEnd: textEnd, end: closeEnd + 1 };
+  }
+
+  /**
+   * Emphasis, strong emphasis or strikethrough, like *text*, __text__ or ~~text~~, whose text is translated
+   * @param {number} i
+   * @param {number} end
+   */
+  emphasisAt(i, end) {
+    const { text } = this;
+    const run = matchAt(/\*+|_+|~~/y, text, i);
+    if (!run || run.length > 3 || /\s/.test(text[i + run.length] ?? ' ')) {
+      return null;
+    }
+    const isUnderscore = run[0] === '_';
+    if (isUnderscore && /[\p{L}\p{N}]/u.test(text[i - 1] ?? '')) {
+      return null;
+    }
+
+    const delimiter = escapeRegExp(run[0]);
+    const closing = new RegExp(`(?<![\\s${delimiter}])${escapeRegExp(run)}(?!${delimiter})${isUnderscore ? '(?![\\p{L}\\p{N}])' : ''}`, 'gu');
+    closing.lastIndex = i + run.length + 1;
+    const match = closing.exec(text);
+    if (!match || match.index + run.length > end || this.hasCodeBetween(i + run.length, match.index)) {
+      return null;
+    }
+
+    return { open: run, close: run, innerStart: i + run.length, innerEnd: match.index, end: match.index + run.length };
+  }
+
+  /**
+   * Whether a backtick between two indexes might start a code span which the emphasis would cut in two
+   * @param {number} start
+   * @param {number} end
+   */
+  hasCodeBetween(start, end) {
+    for (let i = this.text.indexOf('`', start); i !== -1 && i < end; i = this.text.indexOf('`', i + 1)) {
+      const code = this.codeSpanAt(i);
+      if (code && i + code.length > end) {
+        return true;
+      }
+      if (code) {
+        i += code.length - 1;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Put a translated segment's protected spans back
+ * @param {string} translatedXml
+ * @param {ProtectedSpan[]} spans
+ * @returns {{ text: string, issues: Array<Omit<ProtectionIssue, 'segment'>> }}
+ */
+function restoreSegment(translatedXml, spans) {
+  /** @type {Array<Omit<ProtectionIssue, 'segment'>>} */
+  const issues = [];
+  const seen = new Set();
+  /** @type {string[]} the closing syntax of the wrappers we're in */
+  const open = [];
+  let output = '';
+  let position = 0;
+
+  for (const match of translatedXml.matchAll(/<(\/?)mcp-(ph|md)\b([^>]*?)(\/?)>/g)) {
+    const [raw, closing, kind, attributes, selfClosing] = match;
+    output += unescapeXml(translatedXml.slice(position, match.index));
+    position = match.index + raw.length;
+
+    if (closing) {
+      output += open.pop() ?? '';
+      continue;
+    }
+
+    const id = Number(attributes.match(/i="(\d+)"/)?.[1]);
+    const span = spans[id];
+    const isKnown = span !== undefined && (kind === 'ph') === ('raw' in span);
+    const isRepeated = isKnown && seen.has(id);
+    if (isRepeated) {
+      issues.push({ type: 'duplicated', span: describeSpan(span) });
+    }
+    seen.add(id);
+    const use = isKnown && !isRepeated;
+
+    if (kind === 'ph') {
+      output += use ? /** @type {{ raw: string }} */ (span).raw : '';
+    } else if (selfClosing) {
+      output += use ? `${/** @type {{ open: string }} */ (span).open}${/** @type {{ close: string }} */ (span).close}` : '';
+    } else {
+      output += use ? /** @type {{ open: string }} */ (span).open : '';
+      open.push(use ? /** @type {{ close: string }} */ (span).close : '');
+    }
+  }
+
+  output += unescapeXml(translatedXml.slice(position));
+  output += open.reverse().join('');
+
+  spans.forEach((span, id) => {
+    if (!seen.has(id)) {
+      issues.push({ type: 'missing', span: describeSpan(span) });
+    }
+  });
+  return { text: output, issues };
+}
+
+/**
+ * @param {ProtectedSpan} span
+ */
+function describeSpan(span) {
+  return 'raw' in span ? span.raw : `${span.open}…${span.close}`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} open - index of an opening bracket
+ * @param {string} opening
+ * @param {string} closing
+ * @param {number} end - where to stop looking
+ * @returns {number} index of the matching closing bracket, or -1 if there isn't one
+ */
+function matchingBracket(text, open, opening, closing, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === opening) {
+      depth++;
+    } else if (text[i] === closing && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
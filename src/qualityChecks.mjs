@@ -0,0 +1,176 @@
+/*--------------------------------------------------------------------
+ *  Translation quality checks
+ *
+ *  Compares a translation with its source text to find what a reviewer
+ *  should look at: glossary terms the translation doesn't use, and
+ *  numbers, URLs and placeholders that were lost, changed or added.
+ *  These are hints for review, not proof of a mistake: a number may be
+ *  written out in words, and a term may be inflected.
+ *-------------------------------------------------------------------*/
+
+import { placeholderPatterns, textTagPattern, matchAt } from './placeholders.mjs';
+
+/** @typedef {'number' | 'url' | 'placeholder'} TokenType */
+
+/**
+ * @typedef {object} GlossaryTermIssue
+ * @property {string} sourceTerm
+ * @property {string} targetTerm - the term the glossary says to use, which isn't in the translation
+ * @property {number} occurrences - how many times the source term is in the source text
+ */
+
+/**
+ * @typedef {object} TokenMismatch
+ * @property {TokenType} type
+ * @property {string} value - as written in the source text, or in the translation if the source doesn't have it
+ * @property {number} sourceCount
+ * @property {number} translationCount
+ */
+
+const urlPattern = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/iy;
+
+// An ICU MessageFormat argument, or a variable in braces, like {name} or {0}
+const bracePlaceholderPattern = /\{[\p{L}\p{N}_.-]+(?:,[^{}]*)?\}/uy;
+
+// Digits, maybe grouped or with a decimal part, like 42, 3.5, 1,000 or 1 000,50
+const numberPattern = /\p{Nd}+(?:[.,'\u00A0\u202F ]\p{Nd}{3}(?!\p{Nd})|[.,]\p{Nd}+)*/uy;
+
+/**
+ * Find the glossary terms in the source text whose translation, as the glossary gives it, isn't in the translation.
+ * Source terms are matched as whole words, and target terms anywhere, so that compounds like "Kontostand" count
+ * for "Konto". Both ignore case.
+ * @param {string} source
+ * @param {string} translation
+ * @param {Record<string, string>} entries - the glossary's source terms and their translations
+ * @returns {GlossaryTermIssue[]}
+ */
+export function findMissingGlossaryTerms(source, translation, entries) {
+  const translationLower = translation.toLocaleLowerCase();
+  return Object.entries(entries).flatMap(([sourceTerm, targetTerm]) => {
+    const termPattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(sourceTerm)}(?![\\p{L}\\p{N}])`, 'giu');
+    const occurrences = source.match(termPattern)?.length ?? 0;
+    if (!occurrences || translationLower.includes(targetTerm.toLocaleLowerCase())) {
+      return [];
+    }
+    return [{ sourceTerm, targetTerm, occurrences }];
+  });
+}
+
+/**
+ * Find numbers, URLs and placeholders which are in the source text or the translation, but not as many times in both.
+ * Numbers are compared by their digits, so that 1,000.5 matches 1.000,5 and 1 000,5.
+ * @param {string} source
+ * @param {string} translation
+ * @returns {TokenMismatch[]}
+ */
+export function findTokenMismatches(source, translation) {
+  const sourceTokens = countTokens(source);
+  const translationTokens = countTokens(translation);
+
+  /** @type {TokenMismatch[]} */
+  const mismatches = [];
+  for (const key of new Set([...sourceTokens.keys(), ...translationTokens.keys()])) {
+    const inSource = sourceTokens.get(key);
+    const inTranslation = translationTokens.get(key);
+    const sourceCount = inSource?.count ?? 0;
+    const translationCount = inTranslation?.count ?? 0;
+    if (sourceCount !== translationCount) {
+      const { type, value } = /** @type {{ type: TokenType, value: string }} */ (inSource ?? inTranslation);
+      mismatches.push({ type, value, sourceCount, translationCount });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * How much of two texts is the same, from 0 to 1, going by the characters of the words a word diff kept
+ * @param {import('./wordDiff.mjs').DiffPart[]} parts
+ */
+export function diffSimilarity(parts) {
+  const length = (/** @type {string} */ text) => text.replace(/\s+/g, '').length;
+  let equal = 0;
+  let total = 0;
+  for (const { type, text } of parts) {
+    equal += type === 'equal' ? 2 * length(text) : 0;
+    total += type === 'equal' ? 2 * length(text) : length(text);
+  }
+  return total ? Math.round(equal / total * 100) / 100 : 1;
+}
+
+/**
+ * Show texts side by side in a Markdown table, a sentence to a row if they have the same number of sentences
+ * @param {string[]} headings
+ * @param {string[]} texts
+ */
+export function sideBySideTable(headings, texts) {
+  const sentences = texts.map(splitSentences);
+  const rows = sentences.every(list => list.length === sentences[0].length)
+    ? sentences[0].map((_, i) => sentences.map(list => list[i]))
+    : [texts];
+  const cell = (/** @type {string} */ text) => text.trim().replaceAll('|', '\\|').replace(/\r?\n/g, '<br>');
+  return [
+    `| ${headings.map(cell).join(' | ')} |`,
+    `|${headings.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Count each number, URL and placeholder in a text
+ * @param {string} text
+ * @returns {Map<string, { type: TokenType, value: string, count: number }>}
+ */
+function countTokens(text) {
+  /** @type {Map<string, { type: TokenType, value: string, count: number }>} */
+  const tokens = new Map();
+  const add = (/** @type {TokenType} */ type, /** @type {string} */ value, key = value) => {
+    const token = tokens.get(`${type}:${key}`);
+    if (token) {
+      token.count++;
+    } else {
+      tokens.set(`${type}:${key}`, { type, value, count: 1 });
+    }
+  };
+
+  for (let i = 0; i < text.length;) {
+    // A URL starts a word
+    const url = /[\p{L}\p{N}]/u.test(text[i - 1] ?? '') ? null : matchAt(urlPattern, text, i);
+    if (url) {
+      // A sentence's full stop or a closing bracket after a URL usually isn't part of it
+      const value = url.replace(/[.,;:!?)\]]+$/, '');
+      add('url', value);
+      i += value.length;
+      continue;
+    }
+    const placeholder = [...placeholderPatterns, bracePlaceholderPattern, textTagPattern]
+      .map(pattern => matchAt(pattern, text, i))
+      .find(match => match);
+    if (placeholder) {
+      add('placeholder', placeholder);
+      i += placeholder.length;
+      continue;
+    }
+    const number = matchAt(numberPattern, text, i);
+    if (number) {
+      add('number', number, number.replace(/[^\p{Nd}]/gu, ''));
+      i += number.length;
+      continue;
+    }
+    i++;
+  }
+  return tokens;
+}
+
+/**
+ * @param {string} text
+ */
+function splitSentences(text) {
+  return text.trim().split(/(?<=[.!?。！？])\s+|\s*\n\s*/).filter(sentence => sentence);
+}
+
+/**
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,100 @@
+/*--------------------------------------------------------------------
+ *  Retries
+ *
+ *  Tries DeepL requests again after transient failures - rate limits,
+ *  connection problems and server errors - waiting longer after each
+ *  failure, so that a brief hiccup doesn't fail a tool call.
+ *-------------------------------------------------------------------*/
+
+import { classifyError } from './errors.mjs';
+import { logger } from './logging.mjs';
+
+const transientCategories = ['rate_limited', 'connection', 'service_unavailable'];
+
+// Requests that would do something twice if they were repeated after reaching DeepL. We only retry these
+// when DeepL has rate limited them, since then we know it didn't act on them.
+const nonIdempotentMethods = new Set([
+  'uploadDocument', 'translateDocument', 'downloadDocument',
+  'createMultilingualGlossary', 'createGlossary', 'createGlossaryWithCsv',
+  'deleteMultilingualGlossary', 'deleteMultilingualGlossaryDictionary', 'deleteGlossary'
+]);
+
+const maxDelayMs = 30_000;
+
+export class RetryPolicy {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - how many times to retry a request, or 0 not to
+   * @param {number} [options.initialDelayMs] - how long to wait before the first retry. Each retry waits twice as long as the one before
+   */
+  constructor({ maxRetries = 3, initialDelayMs = 1000 } = {}) {
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      throw new Error(`Invalid number of retries: ${maxRetries}. Use a whole number, or 0 not to retry`);
+    }
+    if (!Number.isFinite(initialDelayMs) || initialDelayMs < 0) {
+      throw new Error(`Invalid retry delay: ${initialDelayMs}. Use a number of milliseconds`);
+    }
+
+    this.maxRetries = maxRetries;
+    this.initialDelayMs = initialDelayMs;
+  }
+
+  /**
+   * Run an operation, retrying it if it fails with a transient error
+   * @template T
+   * @param {() => Promise<T>} operation
+   * @param {object} [options]
+   * @param {string} [options.description] - what the operation is, for log messages
+   * @param {boolean} [options.idempotent] - whether it's safe to repeat the operation if DeepL may have acted on it
+   * @returns {Promise<T>}
+   */
+  async run(operation, { description = 'DeepL request', idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        const { category } = classifyError(error);
+        const isRetryable = idempotent ? transientCategories.includes(category) : category === 'rate_limited';
+        if (!isRetryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.delayBefore(attempt + 1);
+        logger.warning(`${description} failed: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1} of ${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter, so that clients which failed together don't all retry together
+   * @param {number} retry - starting at 1
+   */
+  delayBefore(retry) {
+    const delay = Math.min(this.initialDelayMs * 2 ** (retry - 1), maxDelayMs);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+}
+
+/**
+ * Wrap a DeepL client so that each of its requests is retried according to the policy
+ * @template {object} T
+ * @param {T} deeplClient
+ * @param {RetryPolicy} policy
+ * @returns {T}
+ */
+export function withRetries(deeplClient, policy) {
+  return new Proxy(deeplClient, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function' || typeof property !== 'string') {
+        return value;
+      }
+
+      return (...args) => policy.run(() => value.apply(target, args), {
+        description: `DeepL request ${property}`,
+        idempotent: !nonIdempotentMethods.has(property)
+      });
+    }
+  });
+}
@@ -0,0 +1,324 @@
+/*--------------------------------------------------------------------
+ *  Subtitle files
+ *
+ *  Reads the cues of SRT and WebVTT files, and writes them back with
+ *  translated text, keeping cue numbers, timestamps, settings and
+ *  styling tags. A sentence often runs over several cues, so cues are
+ *  joined into sentences for translation, and each translation is
+ *  shared out between the sentence's cues again, in proportion to
+ *  how much of the original text each cue had.
+ *-------------------------------------------------------------------*/
+
+import path from 'node:path';
+
+/** @typedef {'srt' | 'webvtt'} SubtitleFormat */
+
+const formatsByExtension = /** @type {const} */ ({ '.srt': 'srt', '.vtt': 'webvtt' });
+
+export const subtitleExtensions = Object.keys(formatsByExtension);
+
+// Like 00:01:02,500 in SRT, or 01:02.500 and 00:01:02.500 in WebVTT
+const timingPattern = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+// Styling at the start and end of a cue's text: tags like <i>, <font color="red"> or <v Speaker>, and SSA codes like {\an8}
+const leadingStylePattern = /^(?:\s*(?:<[^/>][^>]*>|\{\\[^}]*\}))*\s*/;
+const trailingStylePattern = /\s*(?:<\/[^>]*>\s*)*$/;
+const stylePattern = /<[^>]*>|\{\\[^}]*\}/g;
+
+// A line of dialogue, which starts with a dash: each is a different speaker, so each is translated on its own
+const dialoguePattern = /^\s*[-–—]\s*/;
+
+// The end of a sentence, maybe followed by closing quotes or brackets
+const sentenceEndPattern = /[.!?…。！？♪](?:["'”’»)\]]|<\/[^>]*>)*\s*$/;
+
+// A pause this long between cues ends a sentence, even without punctuation
+const maxSentenceGapMs = 2000;
+
+// Cues joined into one sentence at most, so that text without punctuation doesn't become one huge sentence
+const maxCuesPerSentence = 8;
+
+/**
+ * @typedef {object} Cue
+ * @property {number} start - in milliseconds
+ * @property {number} end
+ * @property {string[]} lines - the cue's text
+ */
+
+/**
+ * @typedef {object} SubtitleFile
+ * @property {SubtitleFormat} format
+ * @property {Cue[]} cues
+ * @property {(cueLines: Array<string[] | null>) => string} write - the file with each cue's text replaced by the given lines,
+ *   or left as it is for null
+ */
+
+/**
+ * @typedef {object} SubtitleUnit
+ * A cue's text, or one line of a cue with several speakers, without its styling
+ * @property {number} cue - the index of the cue
+ * @property {string} text
+ * @property {SubtitleLine[]} lines
+ */
+
+/**
+ * @typedef {object} SubtitleLine
+ * @property {number} line - the index of the line in the cue
+ * @property {string} prefix - a dialogue dash, or whitespace
+ * @property {string} leading - styling before the line's text
+ * @property {string} trailing - styling after the line's text
+ * @property {number} length - how long the line's text is, so the translation can be split into lines of about the same lengths
+ */
+
+/**
+ * @typedef {object} SubtitleSentence
+ * One or more sentences, which run over one or more cues
+ * @property {string} text - the text of its cues, joined
+ * @property {SubtitleUnit[]} units
+ */
+
+/**
+ * @param {string} file
+ * @returns {SubtitleFormat}
+ */
+export function subtitleFormatFor(file) {
+  const format = formatsByExtension[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`${file} is not a subtitle file. Supported subtitle files: ${subtitleExtensions.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Read the cues of a subtitle file. Everything that isn't cue text, like cue numbers, timings, cue settings,
+ * WebVTT headers, notes and styles, is written back as it was.
+ * @param {string} content
+ * @param {SubtitleFormat} format
+ * @returns {SubtitleFile}
+ */
+export function parseSubtitles(content, format) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const text = content.slice(bom.length).replaceAll('\r\n', '\n');
+
+  if (format === 'webvtt' && !/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text)) {
+    throw new Error('A WebVTT file must start with "WEBVTT"');
+  }
+
+  // Blocks are separated by blank lines. We keep the separators, so the file is written back with the same spacing.
+  const pieces = text.split(/(\n[ \t]*\n(?:[ \t]*\n)*)/);
+  /** @type {Array<{ header: string[], cue: number, footer: string[] } | string>} */
+  const blocks = [];
+  /** @type {Cue[]} */
+  const cues = [];
+
+  pieces.forEach((piece, i) => {
+    const lines = piece.split('\n');
+    const timingLine = i % 2 === 0 ? lines.slice(0, 2).findIndex(line => timingPattern.test(line)) : -1;
+    if (timingLine === -1) {
+      blocks.push(piece);
+      return;
+    }
+    const [, start, end] = /** @type {RegExpMatchArray} */ (lines[timingLine].match(timingPattern));
+    const textLines = lines.slice(timingLine + 1);
+    // The line break at the end of the file
+    const footer = textLines.length && !textLines[textLines.length - 1].trim() ? [/** @type {string} */ (textLines.pop())] : [];
+    blocks.push({ header: lines.slice(0, timingLine + 1), cue: cues.length, footer });
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), lines: textLines });
+  });
+
+  if (cues.length === 0) {
+    throw new Error(`The ${format === 'srt' ? 'SRT' : 'WebVTT'} file has no cues, or its timings aren't like 00:00:01,000 --> 00:00:02,000`);
+  }
+
+  return {
+    format,
+    cues,
+    write: (cueLines) => bom + blocks
+      .map(block => typeof block === 'string' ? block : [...block.header, ...(cueLines[block.cue] ?? cues[block.cue].lines), ...block.footer].join('\n'))
+      .join('')
+      .replaceAll('\n', eol)
+  };
+}
+
+/**
+ * Join cues into sentences for translation. A sentence ends with punctuation, at a pause between cues,
+ * or at a line of dialogue, and cues without text to translate are left out.
+ * @param {Cue[]} cues
+ * @returns {SubtitleSentence[]}
+ */
+export function splitIntoSentences(cues) {
+  /** @type {SubtitleUnit[]} */
+  const units = cues.flatMap((cue, i) => cueUnits(cue, i)).filter(unit => /[\p{L}\p{N}]/u.test(unit.text));
+
+  /** @type {SubtitleSentence[]} */
+  const sentences = [];
+  /** @type {SubtitleUnit[]} */
+  let current = [];
+  units.forEach((unit, i) => {
+    current.push(unit);
+    const next = units[i + 1];
+    const isEnd = !next
+      || sentenceEndPattern.test(unit.text)
+      || isDialogue(unit) || isDialogue(next)
+      || cues[next.cue].start - cues[unit.cue].end > maxSentenceGapMs
+      || current.length >= maxCuesPerSentence;
+    if (isEnd) {
+      sentences.push({ text: current.map(({ text }) => text).join(' '), units: current });
+      current = [];
+    }
+  });
+  return sentences;
+}
+
+/**
+ * Share the translations of sentences out between their cues, and split each cue's text into as many lines as it had
+ * @param {Cue[]} cues
+ * @param {Map<SubtitleSentence, string>} translations
+ * @returns {Array<string[] | null>} the new lines of each cue, or null for cues which weren't translated
+ */
+export function translatedCueLines(cues, translations) {
+  /** @type {Array<string[] | null>} */
+  const cueLines = cues.map(() => null);
+
+  for (const [sentence, translation] of translations) {
+    const parts = splitProportionally(translation, sentence.units.map(unit => visibleLength(unit.text)));
+    sentence.units.forEach((unit, i) => {
+      const lines = cueLines[unit.cue] ??= [...cues[unit.cue].lines];
+      const lineParts = splitProportionally(parts[i], unit.lines.map(({ length }) => length));
+      unit.lines.forEach(({ line, prefix, leading, trailing }, j) => {
+        lines[line] = prefix + leading + lineParts[j] + trailing;
+      });
+    });
+  }
+  return cueLines;
+}
+
+/**
+ * The parts of a cue to translate: its whole text, or each line if it's a dialogue between speakers
+ * @param {Cue} cue
+ * @param {number} index
+ * @returns {SubtitleUnit[]}
+ */
+function cueUnits(cue, index) {
+  const lines = cue.lines
+    .map((text, line) => {
+      const prefix = /** @type {RegExpMatchArray} */ (text.match(/^\s*/))[0];
+      return { line, prefix, ...splitStyle(text.slice(prefix.length)) };
+    })
+    .filter(({ text }) => text);
+
+  if (lines.length > 1 && lines.every(({ leading, text }) => !leading && dialoguePattern.test(text))) {
+    return lines.map(({ line, prefix, text }) => {
+      const dash = /** @type {RegExpMatchArray} */ (text.match(dialoguePattern))[0];
+      const { leading, text: rest, trailing } = splitStyle(text.slice(dash.length));
+      return { cue: index, text: rest, lines: [{ line, prefix: prefix + dash, leading, trailing, length: visibleLength(rest) }] };
+    });
+  }
+
+  return [{
+    cue: index,
+    text: lines.map(({ text }) => text).join(' '),
+    lines: lines.map(({ line, prefix, leading, trailing, text }) => ({ line, prefix, leading, trailing, length: visibleLength(text) }))
+  }];
+}
+
+/**
+ * Split the styling at the start and end of text from the text
+ * @param {string} text
+ */
+function splitStyle(text) {
+  const leading = /** @type {RegExpMatchArray} */ (text.match(leadingStylePattern))[0];
+  const rest = text.slice(leading.length);
+  const trailing = /** @type {RegExpMatchArray} */ (rest.match(trailingStylePattern))[0];
+  return { leading, text: rest.slice(0, rest.length - trailing.length), trailing };
+}
+
+/**
+ * @param {SubtitleUnit} unit
+ */
+function isDialogue(unit) {
+  return dialoguePattern.test(unit.lines[0].prefix);
+}
+
+/**
+ * Split text into parts whose lengths are in proportion to the given weights. Text is split between words,
+ * or between characters for languages written without spaces, and never inside a tag.
+ * @param {string} text
+ * @param {number[]} weights
+ * @returns {string[]}
+ */
+function splitProportionally(text, weights) {
+  if (weights.length <= 1) {
+    return [text.trim()];
+  }
+
+  // Where the text could be split, and how much visible text comes before each place
+  /** @type {Array<{ start: number, end: number, offset: number }>} */
+  const wordBreaks = [];
+  /** @type {Array<{ start: number, end: number, offset: number }>} */
+  const characterBreaks = [];
+  let offset = 0;
+  for (let i = 0; i < text.length;) {
+    const style = text[i] === '<' || text[i] === '{' ? text.slice(i).match(/^(?:<[^>]*>|\{\\[^}]*\})/)?.[0] : undefined;
+    if (style) {
+      i += style.length;
+      continue;
+    }
+    const space = text.slice(i).match(/^\s+/)?.[0];
+    if (space) {
+      wordBreaks.push({ start: i, end: i + space.length, offset });
+      offset += 1;
+      i += space.length;
+      continue;
+    }
+    const character = String.fromCodePoint(/** @type {number} */ (text.codePointAt(i)));
+    i += character.length;
+    offset += 1;
+    characterBreaks.push({ start: i, end: i, offset });
+  }
+
+  const breaks = wordBreaks.length >= weights.length - 1 ? wordBreaks : characterBreaks.slice(0, -1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  const parts = [];
+  let position = 0;
+  let cumulative = 0;
+  let next = 0;
+  for (const [i, weight] of weights.slice(0, -1).entries()) {
+    cumulative += weight;
+    const target = offset * cumulative / total;
+    // Leave enough places to split for the parts after this one
+    const last = breaks.length - (weights.length - 1 - i);
+    let best = -1;
+    for (let j = next; j <= last; j++) {
+      if (best === -1 || Math.abs(breaks[j].offset - target) < Math.abs(breaks[best].offset - target)) {
+        best = j;
+      }
+    }
+    if (best === -1) {
+      parts.push('');
+      continue;
+    }
+    parts.push(text.slice(position, breaks[best].start).trim());
+    position = breaks[best].end;
+    next = best + 1;
+  }
+  parts.push(text.slice(position).trim());
+  return parts;
+}
+
+/**
+ * @param {string} text
+ */
+function visibleLength(text) {
+  return text.replace(stylePattern, '').length;
+}
+
+/**
+ * @param {string} timestamp - like 00:01:02,500 or 01:02.500
+ * @returns {number} milliseconds
+ */
+function parseTimestamp(timestamp) {
+  const [time, fraction] = timestamp.split(/[,.]/);
+  const [seconds = 0, minutes = 0, hours = 0] = time.split(':').map(Number).reverse();
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(fraction.padEnd(3, '0'));
+}
@@ -0,0 +1,123 @@
+/*--------------------------------------------------------------------
+ *  Tool call records
+ *
+ *  Logs each tool call with its arguments, how long it took, the ids
+ *  DeepL gave its requests, the characters DeepL billed, and how it
+ *  ended, and counts it in the metrics. When an agent reports a bad
+ *  translation, this is the record of what was sent.
+ *-------------------------------------------------------------------*/
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import diagnosticsChannel from 'node:diagnostics_channel';
+import { logger } from './logging.mjs';
+
+// Arguments which hold the text being translated, which is left out of the log unless the server is told to log it
+const textArguments = new Set(['text', 'texts', 'context', 'entries', 'dictionaries', 'sourceText', 'translation']);
+
+/**
+ * @typedef {object} ToolCall
+ * @property {Set<string>} deeplRequestIds
+ * @property {number} billedCharacters
+ */
+
+/** @type {AsyncLocalStorage<ToolCall>} */
+const currentCall = new AsyncLocalStorage();
+
+// DeepL identifies each request with an X-Trace-ID response header, which its support asks for
+diagnosticsChannel.subscribe('http.client.response.finish', (message) => {
+  const { response } = /** @type {{ response: import('node:http').IncomingMessage }} */ (message);
+  const traceId = response.headers['x-trace-id'];
+  if (typeof traceId === 'string') {
+    currentCall.getStore()?.deeplRequestIds.add(traceId);
+  }
+});
+
+export class ToolCallLog {
+  /**
+   * @param {object} options
+   * @param {import('./metrics.mjs').ToolMetrics} options.metrics
+   * @param {boolean} [options.logTexts] - log the text being translated, rather than just its length
+   */
+  constructor({ metrics, logTexts = false }) {
+    this.metrics = metrics;
+    this.logTexts = logTexts;
+  }
+
+  /**
+   * Run a tool call and record it. Messages logged during the call go to the listener of the client which made it.
+   * @param {string} tool
+   * @param {Record<string, unknown>} args
+   * @param {import('./logging.mjs').LogListener} listener
+   * @param {() => Promise<import('@modelcontextprotocol/sdk/types.js').CallToolResult>} callback - returns errors as results
+   */
+  async run(tool, args, listener, callback) {
+    /** @type {ToolCall} */
+    const call = { deeplRequestIds: new Set(), billedCharacters: 0 };
+    const startedAt = performance.now();
+
+    return logger.runFor(listener, () => currentCall.run(call, async () => {
+      const result = await callback();
+      const durationMs = Math.round(performance.now() - startedAt);
+      const outcome = result.isError ? String(result._meta?.errorCategory ?? 'internal') : 'ok';
+      const error = result.isError ? result.content.find(item => item.type === 'text')?.text : undefined;
+
+      logger.log(
+        outcome === 'ok' ? 'info' : outcome === 'internal' ? 'error' : 'warning',
+        `${tool} ${outcome === 'ok' ? 'succeeded' : `failed (${outcome})`} in ${durationMs} ms`,
+        {
+          event: 'tool_call',
+          tool,
+          arguments: this.logTexts ? args : redactTexts(args),
+          durationMs,
+          outcome,
+          ...(error && { error }),
+          deeplRequestIds: [...call.deeplRequestIds],
+          billedCharacters: call.billedCharacters
+        }
+      );
+      await this.metrics.record({ tool, outcome, durationMs, billedCharacters: call.billedCharacters });
+      return result;
+    }));
+  }
+
+  /**
+   * Count characters DeepL billed for the current tool call
+   * @param {number | undefined} count
+   */
+  addBilledCharacters(count) {
+    const call = currentCall.getStore();
+    if (call) {
+      call.billedCharacters += count ?? 0;
+    }
+  }
+}
+
+/**
+ * Replace the texts in a tool call's arguments with their lengths
+ * @param {Record<string, unknown>} args
+ * @returns {Record<string, unknown>}
+ */
+export function redactTexts(args) {
+  return Object.fromEntries(Object.entries(args ?? {}).map(([name, value]) =>
+    [name, textArguments.has(name) ? describeText(value) : value]
+  ));
+}
+
+/**
+ * @param {unknown} value
+ */
+function describeText(value) {
+  if (typeof value === 'string') {
+    return `[${value.length} characters]`;
+  }
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return `[${value.length} texts, ${value.reduce((sum, text) => sum + text.length, 0)} characters]`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.length} items]`;
+  }
+  if (value && typeof value === 'object') {
+    return `[${Object.keys(value).length} entries]`;
+  }
+  return value;
+}
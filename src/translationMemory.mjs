@@ -0,0 +1,411 @@
+/*--------------------------------------------------------------------
+ *  Translation memory
+ *
+ *  A local store of approved translations, imported from TMX or CSV
+ *  files or added one by one, which text translation checks before
+ *  calling DeepL, so that what we've already shipped is reused as is.
+ *-------------------------------------------------------------------*/
+
+import os from 'node:os';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './jsonFile.mjs';
+import { parseCsv } from './csv.mjs';
+import { unescapeXml } from './placeholders.mjs';
+
+export const defaultMemoryFile = path.join(os.homedir(), '.deepl-mcp-server', 'translation-memory.json');
+
+export const translationMemoryExtensions = ['.tmx', '.csv', '.tsv'];
+
+const languageCodePattern = /^[a-z]{2,3}(-[a-z0-9]+)*$/;
+
+// How many of the texts sharing the most trigrams with a segment we compare it with, for a near-exact match
+const maxNearExactCandidates = 50;
+// Trigrams shared by more texts than this, like " th", say little about which texts are similar, so we don't count them
+const maxTextsPerTrigram = 1000;
+
+// Sentence ends and line breaks, which is where we split a text into segments to look up
+const segmentBoundaryPattern = /((?<=[.!?。！？])[ \t]+|[ \t]*\r?\n\s*)/;
+
+/**
+ * @typedef {object} MemoryEntry
+ * @property {string} sourceLang - lowercase language code, e.g. "en" or "en-us"
+ * @property {string} targetLang
+ * @property {string} source
+ * @property {string} target
+ * @property {string} origin - the file the entry was imported from, or "added"
+ * @property {string} updatedAt - ISO timestamp
+ *
+ * @typedef {object} MemoryMatch
+ * @property {MemoryEntry} entry
+ * @property {number} score - 1 for an exact match, less for a near-exact one
+ *
+ * @typedef {{ added: number, updated: number, unchanged: number }} MemoryChanges
+ */
+
+export class TranslationMemory {
+  /**
+   * @param {string | null} file - where to save the memory, or null to only keep it in memory
+   */
+  constructor(file) {
+    this.file = file === null ? null : path.resolve(file);
+    /** @type {Promise<Map<string, MemoryEntry>> | null} */
+    this.loading = null;
+    /** @type {Map<string, MemoryEntry[]> | null} - entries by their normalized source text, for exact lookups */
+    this.bySource = null;
+    /** @type {Map<string, string[]> | null} - the normalized source texts with each trigram, to find near-exact candidates */
+    this.byTrigram = null;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Add approved translations, replacing any earlier translation of the same text for the same language pair
+   * @param {Array<Pick<MemoryEntry, 'sourceLang' | 'targetLang' | 'source' | 'target'>>} translations
+   * @param {string} origin
+   * @returns {Promise<MemoryChanges>}
+   */
+  async add(translations, origin) {
+    const entries = await this.load();
+    const changes = { added: 0, updated: 0, unchanged: 0 };
+    const updatedAt = new Date().toISOString();
+
+    for (const { sourceLang, targetLang, source, target } of translations) {
+      const key = entryKey(sourceLang, targetLang, source);
+      const existing = entries.get(key);
+      if (existing?.target === target) {
+        changes.unchanged++;
+        continue;
+      }
+
+      changes[existing ? 'updated' : 'added']++;
+      entries.set(key, {
+        sourceLang: normalizeLanguage(sourceLang),
+        targetLang: normalizeLanguage(targetLang),
+        source,
+        target,
+        origin,
+        updatedAt
+      });
+    }
+
+    if (changes.added || changes.updated) {
+      this.bySource = null;
+      this.byTrigram = null;
+      await this.save();
+    }
+    return changes;
+  }
+
+  /**
+   * Find the best translation of a segment. Exact matches ignore differences in whitespace.
+   * @param {string} segment
+   * @param {object} options
+   * @param {string | null} options.sourceLang - null to accept entries from any source language
+   * @param {string} options.targetLang
+   * @param {number} [options.minScore] - 1 for exact matches only, or less to accept near-exact ones
+   * @returns {Promise<MemoryMatch | null>}
+   */
+  async lookup(segment, { sourceLang, targetLang, minScore = 1 }) {
+    const entries = await this.load();
+    const text = normalizeText(segment);
+    if (!text) {
+      return null;
+    }
+
+    if (!this.bySource) {
+      this.bySource = new Map();
+      this.byTrigram = new Map();
+      for (const entry of entries.values()) {
+        const source = normalizeText(entry.source);
+        if (!this.bySource.has(source)) {
+          this.bySource.set(source, []);
+          for (const trigram of trigramsOf(source)) {
+            const sources = this.byTrigram.get(trigram);
+            if (sources) {
+              sources.push(source);
+            } else {
+              this.byTrigram.set(trigram, [source]);
+            }
+          }
+        }
+        /** @type {MemoryEntry[]} */ (this.bySource.get(source)).push(entry);
+      }
+    }
+
+    const isForPair = (/** @type {MemoryEntry} */ entry) =>
+      (sourceLang === null || languageBase(entry.sourceLang) === languageBase(normalizeLanguage(sourceLang)))
+      && isSameLanguage(entry.targetLang, normalizeLanguage(targetLang));
+
+    const exact = bestEntry((this.bySource.get(text) ?? []).filter(isForPair), targetLang);
+    if (exact || minScore >= 1) {
+      return exact && { entry: exact, score: 1 };
+    }
+
+    // Comparing the segment with every text in a large memory would take too long, so we only compare it with
+    // the texts that share the most trigrams with it
+    const byTrigram = /** @type {Map<string, string[]>} */ (this.byTrigram);
+    const textsByTrigram = [...trigramsOf(text)]
+      .map(trigram => byTrigram.get(trigram) ?? [])
+      .sort((a, b) => a.length - b.length)
+      // The rarest trigram is counted however common it is, so that there are always some candidates
+      .filter((texts, i) => i === 0 || texts.length <= maxTextsPerTrigram);
+    const sharedTrigrams = new Map();
+    for (const texts of textsByTrigram) {
+      for (const source of texts) {
+        sharedTrigrams.set(source, (sharedTrigrams.get(source) ?? 0) + 1);
+      }
+    }
+    const sources = [...sharedTrigrams]
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, maxNearExactCandidates)
+      .map(([source]) => source);
+
+    /** @type {MemoryMatch | null} */
+    let best = null;
+    for (const source of sources) {
+      // Texts whose lengths differ too much can't be similar enough, so we don't compare them
+      const longest = Math.max(source.length, text.length);
+      if (Math.abs(source.length - text.length) > (1 - minScore) * longest) {
+        continue;
+      }
+      const entry = bestEntry(/** @type {MemoryEntry[]} */ (this.bySource.get(source)).filter(isForPair), targetLang);
+      if (!entry) {
+        continue;
+      }
+      const score = 1 - editDistance(source, text) / longest;
+      if (score >= minScore && (!best || score > best.score)) {
+        best = { entry, score: Math.round(score * 1000) / 1000 };
+      }
+    }
+    return best;
+  }
+
+  async size() {
+    return (await this.load()).size;
+  }
+
+  async load() {
+    this.loading ??= (this.file ? readJsonFile(this.file, []) : Promise.resolve([])).then(stored => new Map(
+      (Array.isArray(stored) ? stored : []).map(entry => [entryKey(entry.sourceLang, entry.targetLang, entry.source), entry])
+    ));
+    return this.loading;
+  }
+
+  async save() {
+    const entries = await this.load();
+    if (!this.file) {
+      return;
+    }
+    this.pendingSave = this.pendingSave
+      .catch(() => undefined)
+      .then(() => writeJsonFile(this.file, [...entries.values()]));
+    await this.pendingSave;
+  }
+}
+
+/**
+ * Split a text into the segments we look up in the memory: sentences and lines
+ * @param {string} text
+ * @returns {Array<{ text: string, separator: string }>} each segment, and the whitespace after it
+ */
+export function splitSegments(text) {
+  const [, leading, body, trailing] = /** @type {RegExpMatchArray} */ (text.match(/^(\s*)([\s\S]*?)(\s*)$/));
+  const pieces = body.split(segmentBoundaryPattern);
+  const segments = [];
+  for (let i = 0; i < pieces.length; i += 2) {
+    segments.push({ text: pieces[i], separator: pieces[i + 1] ?? trailing });
+  }
+  segments[0].text = leading + segments[0].text;
+  return segments;
+}
+
+/*---- Importing ----*/
+
+/**
+ * Read the translations in a TMX file. Each translation unit gives a translation from its source language
+ * into each of its other languages.
+ * @param {string} content
+ * @param {object} [options]
+ * @param {string | null} [options.sourceLang] - which language to translate from, if not the file's source language
+ * @param {string | null} [options.targetLang] - only read translations into this language
+ */
+export function parseTmx(content, { sourceLang = null, targetLang = null } = {}) {
+  if (!/<tmx\b/.test(content)) {
+    throw new Error('Invalid TMX: there is no <tmx> element');
+  }
+  const headerSourceLang = xmlAttribute(content.match(/<header\b([^>]*)>/)?.[1] ?? '', 'srclang');
+
+  const translations = [];
+  for (const [, attributes, body] of content.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/g)) {
+    const unitSourceLang = sourceLang ?? (xmlAttribute(attributes, 'srclang') || headerSourceLang);
+    if (!unitSourceLang || unitSourceLang === '*all*') {
+      throw new Error("The TMX file doesn't say which language it translates from. Give the source language.");
+    }
+
+    const variants = [...body.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/g)].map(([, tuvAttributes, tuvBody]) => ({
+      lang: normalizeLanguage(xmlAttribute(tuvAttributes, 'xml:lang') || xmlAttribute(tuvAttributes, 'lang')),
+      text: segmentText(tuvBody.match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/)?.[1] ?? '')
+    }));
+
+    const source = variants.find(variant => isSameLanguage(variant.lang, normalizeLanguage(unitSourceLang)));
+    if (!source?.text) {
+      continue;
+    }
+    for (const variant of variants) {
+      if (variant !== source && variant.text && (!targetLang || isSameLanguage(variant.lang, normalizeLanguage(targetLang)))) {
+        translations.push({ sourceLang: source.lang, targetLang: variant.lang, source: source.text, target: variant.text });
+      }
+    }
+  }
+  return translations;
+}
+
+/**
+ * Read the translations in a CSV or TSV file. If the first row is a header of language codes, as in "en,de,fr",
+ * each row gives a text in the source language and its translations into the others. Otherwise each row is a text
+ * and its translation, and the languages must be given.
+ * @param {string} content
+ * @param {object} options
+ * @param {string} options.delimiter
+ * @param {string | null} [options.sourceLang]
+ * @param {string | null} [options.targetLang]
+ */
+export function parseTranslationsCsv(content, { delimiter, sourceLang = null, targetLang = null }) {
+  const rows = parseCsv(content, delimiter);
+  const header = rows[0]?.map(cell => cell.trim());
+  const hasHeader = header?.length >= 2 && header.every(cell => languageCodePattern.test(normalizeLanguage(cell)));
+
+  let languages;
+  if (hasHeader) {
+    languages = header.map(normalizeLanguage);
+    rows.shift();
+  } else if (sourceLang && targetLang) {
+    languages = [normalizeLanguage(sourceLang), normalizeLanguage(targetLang)];
+  } else {
+    throw new Error('The file has no header row of language codes, like "en,de", so give both the source and the target language.');
+  }
+
+  const sourceIndex = sourceLang ? languages.findIndex(lang => isSameLanguage(lang, normalizeLanguage(sourceLang))) : 0;
+  if (sourceIndex === -1) {
+    throw new Error(`The file has no column for the source language ${sourceLang}. Its columns are: ${languages.join(', ')}`);
+  }
+
+  const translations = [];
+  for (const row of rows) {
+    const source = row[sourceIndex]?.trim();
+    if (!source) {
+      continue;
+    }
+    languages.forEach((lang, i) => {
+      const target = row[i]?.trim();
+      if (i !== sourceIndex && target && (!targetLang || !hasHeader || isSameLanguage(lang, normalizeLanguage(targetLang)))) {
+        translations.push({ sourceLang: languages[sourceIndex], targetLang: lang, source, target });
+      }
+    });
+  }
+  return translations;
+}
+
+/**
+ * The text of a TMX segment. Inline codes from the original document, like <bpt> and <ph>, are left out.
+ * @param {string} xml
+ */
+function segmentText(xml) {
+  return unescapeXml(xml
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+    .replace(/<[^>]+>/g, '')
+  ).trim();
+}
+
+/**
+ * @param {string} attributes
+ * @param {string} name
+ */
+function xmlAttribute(attributes, name) {
+  return attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))?.slice(1).find(value => value !== undefined) ?? '';
+}
+
+/*---- Matching ----*/
+
+/**
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @param {string} source
+ */
+function entryKey(sourceLang, targetLang, source) {
+  return JSON.stringify([normalizeLanguage(sourceLang), normalizeLanguage(targetLang), normalizeText(source)]);
+}
+
+/**
+ * @param {string} code - e.g. "en_US"
+ * @returns {string} e.g. "en-us"
+ */
+export function normalizeLanguage(code) {
+  return code.trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * @param {string} text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string} code - a normalized language code
+ */
+function languageBase(code) {
+  return code.split('-')[0];
+}
+
+/**
+ * Whether two language codes are for the same language. A code without a region or script matches any of its variants,
+ * so that "de-de" from a TMX file matches DeepL's "de", and "en" matches "en-gb", but "en-us" doesn't match "en-gb".
+ * @param {string} a
+ * @param {string} b
+ */
+function isSameLanguage(a, b) {
+  return a === b || (languageBase(a) === languageBase(b) && (a === languageBase(a) || b === languageBase(b)));
+}
+
+/**
+ * Of the entries for the same text, prefer one for exactly the target language, then the most recent
+ * @param {MemoryEntry[]} entries
+ * @param {string} targetLang
+ */
+function bestEntry(entries, targetLang) {
+  const target = normalizeLanguage(targetLang);
+  return [...entries].sort((a, b) =>
+    Number(b.targetLang === target) - Number(a.targetLang === target) || b.updatedAt.localeCompare(a.updatedAt)
+  )[0] ?? null;
+}
+
+/**
+ * The distinct three-character sequences of a text, with a space before and after it so that short texts have some too
+ * @param {string} text - a normalized text
+ */
+function trigramsOf(text) {
+  const padded = ` ${text.toLowerCase()} `;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * The Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,127 @@
+/*--------------------------------------------------------------------
+ *  Word diff
+ *
+ *  Compares two versions of a text word by word, so that reviewers
+ *  can see what a rephrasing changed.
+ *-------------------------------------------------------------------*/
+
+// Words, runs of whitespace, and single punctuation marks
+const tokenPattern = /\s+|[\p{L}\p{N}\p{M}_'’-]+|[^\s\p{L}\p{N}\p{M}_'’-]/gu;
+
+// Above this many token comparisons, we report the whole text as replaced rather than use lots of memory
+const maxComparisons = 4_000_000;
+
+/**
+ * @typedef {object} DiffPart
+ * @property {'equal' | 'insert' | 'delete'} type
+ * @property {string} text
+ */
+
+/**
+ * Find the words that were removed from and added to a text, using the longest common subsequence of their tokens
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export function wordDiff(before, after) {
+  const a = before.match(tokenPattern) ?? [];
+  const b = after.match(tokenPattern) ?? [];
+
+  if (a.length * b.length > maxComparisons) {
+    return mergeParts([{ type: 'delete', text: before }, { type: 'insert', text: after }]);
+  }
+
+  // lengths[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  /** @type {DiffPart[]} */
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'equal', text: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ type: 'delete', text: a[i++] });
+    } else {
+      parts.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  parts.push(...a.slice(i).map(text => ({ type: 'delete', text })));
+  parts.push(...b.slice(j).map(text => ({ type: 'insert', text })));
+
+  return mergeParts(parts);
+}
+
+/**
+ * Show a diff inline, in the style of `git diff --word-diff`: [-removed-]{+added+}
+ * @param {DiffPart[]} parts
+ */
+export function formatWordDiff(parts) {
+  return parts.map(({ type, text }) => {
+    switch (type) {
+      case 'delete':
+        return `[-${text}-]`;
+      case 'insert':
+        return `{+${text}+}`;
+      default:
+        return text;
+    }
+  }).join('');
+}
+
+/**
+ * Join neighbouring parts of the same type. A single space between two changes is treated as changed too,
+ * so that a replaced phrase shows as one change rather than one per word.
+ * @param {DiffPart[]} parts
+ */
+function mergeParts(parts) {
+  /** @type {DiffPart[]} */
+  const merged = [];
+
+  parts.forEach((part, index) => {
+    const isChange = (neighbour) => neighbour && neighbour.type !== 'equal';
+    if (part.type === 'equal' && /^\s+$/.test(part.text) && isChange(parts[index - 1]) && isChange(parts[index + 1])) {
+      merged.push({ type: 'delete', text: part.text }, { type: 'insert', text: part.text });
+    } else {
+      merged.push({ ...part });
+    }
+  });
+
+  // Put each run of changes in order, removals first, and join parts of the same type
+  /** @type {DiffPart[]} */
+  const result = [];
+  for (let start = 0; start < merged.length;) {
+    if (merged[start].type === 'equal') {
+      const last = result[result.length - 1];
+      if (last?.type === 'equal') {
+        last.text += merged[start].text;
+      } else {
+        result.push(merged[start]);
+      }
+      start++;
+      continue;
+    }
+
+    let end = start;
+    while (end < merged.length && merged[end].type !== 'equal') {
+      end++;
+    }
+    const run = merged.slice(start, end);
+    for (const type of /** @type {const} */ (['delete', 'insert'])) {
+      const text = run.filter(part => part.type === type).map(part => part.text).join('');
+      if (text) {
+        result.push({ type, text });
+      }
+    }
+    start = end;
+  }
+
+  return result;
+}
@@ -0,0 +1,1403 @@
+/*--------------------------------------------------------------------
+ *  End-to-end tests
+ *
+ *  Start the server in mock mode and drive each of its tools through
+ *  an MCP client, so that everything from argument checking to the
+ *  DeepL requests and the results is exercised without an API key.
+ *-------------------------------------------------------------------*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { spawn, execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import http from 'node:http';
+import net from 'node:net';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const serverScript = new URL('../src/index.mjs', import.meta.url).pathname;
+
+/** @type {Client} */
+let client;
+/** @type {string} */
+let workDir;
+/** @type {string} */
+let outsideDir;
+const calledTools = new Set();
+
+/**
+ * Call a tool and return its result. Results which aren't errors must have structured content.
+ * @param {string} name
+ * @param {Record<string, unknown>} [args]
+ */
+async function callTool(name, args = {}) {
+  calledTools.add(name);
+  const result = await client.callTool({ name, arguments: args });
+  if (!result.isError) {
+    assert.ok(result.structuredContent, `${name} returned no structured content: ${JSON.stringify(result.content)}`);
+  }
+  return result;
+}
+
+/**
+ * Call a tool that should succeed, and return its structured content
+ * @param {string} name
+ * @param {Record<string, unknown>} [args]
+ * @returns {Promise<any>}
+ */
+async function callToolOk(name, args) {
+  const result = await callTool(name, args);
+  assert.ok(!result.isError, `${name} failed: ${JSON.stringify(result.content)}`);
+  return result.structuredContent;
+}
+
+/**
+ * Call a tool that should fail, and check the category of its error
+ * @param {string} name
+ * @param {Record<string, unknown>} args
+ * @param {string} category
+ * @param {RegExp} [message]
+ */
+async function assertToolError(name, args, category, message) {
+  const result = await callTool(name, args);
+  assert.equal(result.isError, true, `${name} should have failed, but returned ${JSON.stringify(result.structuredContent)}`);
+  assert.equal(result._meta?.errorCategory, category, JSON.stringify(result.content));
+  if (message) {
+    assert.match(/** @type {{ text: string }[]} */ (result.content)[0].text, message);
+  }
+}
+
+/**
+ * Start a server in mock mode, and connect a client to it
+ * @param {string[]} [args] - more command-line flags for the server
+ * @param {Record<string, string>} [env] - more environment variables for the server
+ */
+async function connectClient(args = [], env = {}) {
+  const newClient = new Client({ name: 'deepl-mcp-e2e', version: '1.0.0' });
+  await newClient.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [serverScript, '--mock', '--max-retries', '0', ...args],
+    env: { ...serverEnv(), ...env },
+    stderr: 'ignore'
+  }));
+  return newClient;
+}
+
+/**
+ * The environment for a server we start
+ */
+function serverEnv() {
+  // Don't let the environment's DeepL and MCP settings change what we test
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('DEEPL_') && !name.startsWith('MCP_')));
+  return { ...env, DEEPL_ALLOWED_DIRS: workDir, DEEPL_TRANSLATION_MEMORY_FILE: path.join(workDir, 'translation-memory.json') };
+}
+
+/**
+ * Start a server in mock mode which serves MCP over HTTP, and wait until it's listening
+ * @param {string[]} [args] - more command-line flags for the server
+ */
+async function startHttpServerProcess(args = []) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverScript, '--mock', '--http', '--port', String(port), ...args], {
+    env: serverEnv(),
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  await new Promise((resolve, reject) => {
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      if (stderr.includes('running on http')) {
+        resolve(undefined);
+      }
+    });
+    child.once('exit', code => reject(new Error(`The server exited with code ${code}: ${stderr}`)));
+  });
+  return { child, port, url: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Start a stand-in for DeepL, and connect a client to a server which uses it instead of DeepL. Requests for the
+ * language lists get a 404, since the server falls back to its bundled ones.
+ * @param {(response: http.ServerResponse) => void} translate - answers each translation request
+ * @param {string[]} [args] - more command-line flags for the server
+ */
+async function connectToFakeDeepL(translate, args = []) {
+  const deepLServer = http.createServer((request, response) => {
+    if (request.url?.startsWith('/v2/translate')) {
+      translate(response);
+    } else {
+      response.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => deepLServer.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const { port } = /** @type {net.AddressInfo} */ (deepLServer.address());
+
+  const fakeClient = new Client({ name: 'deepl-mcp-e2e', version: '1.0.0' });
+  await fakeClient.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [serverScript, '--api-key', 'e2e-key', '--server-url', `http://127.0.0.1:${port}`, ...args],
+    env: serverEnv(),
+    stderr: 'ignore'
+  }));
+
+  return {
+    client: fakeClient,
+    close: async () => {
+      await fakeClient.close();
+      deepLServer.closeAllConnections();
+      await new Promise(resolve => deepLServer.close(resolve));
+    }
+  };
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {string} text - the translation
+ */
+function sendTranslation(response, text) {
+  response.writeHead(200, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify({ translations: [{ detected_source_language: 'EN', text, billed_characters: text.length }] }));
+}
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const { port } = /** @type {net.AddressInfo} */ (server.address());
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Send an HTTP request, with whatever headers we like, and return the response's status and JSON body
+ * @param {string} url
+ * @param {{ method?: string, headers?: Record<string, string>, body?: unknown }} [options]
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function httpRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode ?? 0, body: text ? JSON.parse(text) : undefined }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+before(async () => {
+  workDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'deepl-mcp-e2e-')));
+  outsideDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'deepl-mcp-e2e-outside-')));
+  client = await connectClient();
+});
+
+after(async () => {
+  await client?.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+  await fs.rm(outsideDir, { recursive: true, force: true });
+});
+
+describe('languages', () => {
+  it('lists source languages', async () => {
+    const { languages } = await callToolOk('get-source-languages');
+    assert.ok(languages.some(language => language.code === 'en'));
+  });
+
+  it('lists target languages', async () => {
+    const { languages } = await callToolOk('get-target-languages');
+    assert.ok(languages.some(language => language.code === 'en-gb'));
+  });
+
+  it('publishes the language lists as resources', async () => {
+    const { resources } = await client.listResources();
+    assert.deepEqual(resources.map(resource => resource.uri).sort(), [
+      'deepl://languages/glossary-pairs',
+      'deepl://languages/source',
+      'deepl://languages/target',
+      'deepl://languages/target/formality'
+    ]);
+
+    const read = async (/** @type {string} */ uri) => JSON.parse(/** @type {any} */ ((await client.readResource({ uri })).contents[0]).text);
+    assert.ok((await read('deepl://languages/target')).some(language => language.code === 'pt-br'));
+    assert.ok((await read('deepl://languages/target/formality')).some(language => language.code === 'de'));
+    assert.ok((await read('deepl://languages/glossary-pairs')).some(pair => pair.sourceLangCode === 'en' && pair.targetLangCode === 'de'));
+  });
+
+  it("starts, and uses its bundled language lists, when DeepL can't be reached", async () => {
+    const offlineClient = new Client({ name: 'deepl-mcp-e2e', version: '1.0.0' });
+    await offlineClient.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [serverScript, '--api-key', 'e2e-key', '--server-url', `http://127.0.0.1:${await freePort()}`, '--max-retries', '0'],
+      env: serverEnv(),
+      stderr: 'ignore'
+    }));
+    try {
+      const result = await offlineClient.callTool({ name: 'get-source-languages', arguments: {} });
+      assert.ok(!result.isError, JSON.stringify(result.content));
+      assert.ok(/** @type {any} */ (result.structuredContent).languages.some(language => language.code === 'en'));
+    } finally {
+      await offlineClient.close();
+    }
+  });
+});
+
+describe('tool results', () => {
+  it('declares an output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.filter(tool => tool.outputSchema?.type !== 'object').map(tool => tool.name), []);
+  });
+
+  it('returns typed fields, and the same results as text for clients without structured content', async () => {
+    const result = await callTool('translate-text', { text: 'Good night', sourceLangCode: 'en', targetLangCode: 'es' });
+    assert.deepEqual(result.structuredContent, { text: '[ES] Good night', detectedSourceLang: 'en', targetLang: 'es', billedCharacters: 10, cached: false });
+    assert.deepEqual(/** @type {{ text: string }[]} */ (result.content).map(item => item.text), [
+      '[ES] Good night',
+      'Detected source language: en',
+      'Target language used: es',
+      'Characters billed: 10'
+    ]);
+  });
+
+  it('returns languages as objects rather than strings', async () => {
+    const { languages } = await callToolOk('get-target-languages');
+    assert.deepEqual(languages.find(language => language.code === 'de'), { code: 'de', name: 'German' });
+  });
+});
+
+describe('text translation', () => {
+  it('translates text', async () => {
+    const result = await callToolOk('translate-text', { text: 'Hello world', targetLangCode: 'de' });
+    assert.equal(result.text, '[DE] Hello world');
+    assert.equal(result.detectedSourceLang, 'en');
+    assert.equal(result.billedCharacters, 11);
+  });
+
+  it('leaves markup alone', async () => {
+    const result = await callToolOk('translate-text', { text: 'Hello <b>world</b>', targetLangCode: 'fr', tagHandling: 'xml' });
+    assert.equal(result.text, '[FR] Hello <b>[FR] world</b>');
+  });
+
+  it('passes advanced options to DeepL, and reports the model it used', async () => {
+    const result = await callToolOk('translate-text', {
+      text: 'Bank', targetLangCode: 'de', context: 'We sat on a bench in the park.', modelType: 'latency_optimized',
+      splitSentences: 'off', preserveFormatting: true
+    });
+    assert.equal(result.text, '[DE] Bank');
+    assert.equal(result.modelTypeUsed, 'latency_optimized');
+  });
+
+  it('rejects advanced options that only work together with others', async () => {
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'de', ignoreTags: ['code'] }, 'invalid_input', /ignoreTags only works with tagHandling/);
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'de', tagHandling: 'html', splittingTags: ['p'] }, 'invalid_input', /splittingTags only works with tagHandling 'xml'/);
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'de', tagHandling: 'xml', outlineDetection: false }, 'invalid_input', /at least one splitting tag/);
+  });
+
+  it('translates into the default variant of a language', async () => {
+    const result = await callToolOk('translate-text', { text: 'Hallo', sourceLangCode: 'de', targetLangCode: 'en' });
+    assert.equal(result.targetLang, 'en-US');
+  });
+
+  it('rejects an invalid target language', async () => {
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'xx' }, 'invalid_input', /Invalid language code: xx/);
+  });
+
+  it('rejects an invalid source language', async () => {
+    await assertToolError('translate-text', { text: 'Hello', sourceLangCode: 'xx', targetLangCode: 'de' }, 'invalid_input', /xx/);
+  });
+
+  it('translates Markdown, keeping its code, links and syntax', async () => {
+    const text = '# Install\n\nRun `npm install`, then read [the docs](https://example.com/docs).\n\n```sh\nnpm test\n```\n';
+    const result = await callToolOk('translate-text', { text, targetLangCode: 'de', textFormat: 'markdown' });
+    assert.equal(result.text, '# [DE] Install\n\n[DE] Run `npm install`[DE] , then read [[DE] the docs](https://example.com/docs).\n\n```sh\nnpm test\n```\n');
+    assert.equal(result.protectedSpans, 2);
+    assert.equal(result.protectionIssues, undefined);
+  });
+
+  it('protects placeholders in plain text, including patterns of its own', async () => {
+    const result = await callToolOk('translate-text', { text: 'Hello {name}, see :path', targetLangCode: 'fr', placeholderPatterns: [':[a-z]+'] });
+    assert.equal(result.text, '[FR] Hello {name}[FR] , see :path');
+    assert.equal(result.protectedSpans, 2);
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'fr', textFormat: 'markdown', tagHandling: 'html' }, 'invalid_input', /tagHandling/);
+  });
+
+  it('translates texts into several languages', async () => {
+    const result = await callToolOk('translate-text-batch', { texts: ['One', 'Two'], targetLangCodes: ['de', 'ja'] });
+    assert.deepEqual(result.targetLangs, ['de', 'ja']);
+    assert.equal(result.results[1].ja.text, '[JA] Two');
+    assert.equal(result.billedCharacters.de, 6);
+  });
+
+  it('passes blank texts in a batch through, and translates the rest', async () => {
+    const result = await callToolOk('translate-text-batch', { texts: ['Hello', '', ' ', 'Goodbye'], targetLangCodes: ['de', 'fr'] });
+    assert.deepEqual(result.results.map(translations => translations.fr.text), ['[FR] Hello', '', ' ', '[FR] Goodbye']);
+    assert.equal(result.results[0].de.detectedSourceLang, 'en');
+    assert.equal(result.billedCharacters.de, 'HelloGoodbye'.length);
+  });
+
+  it('normalizes the languages of a batch, and bills each target language', async () => {
+    const result = await callToolOk('translate-text-batch', { texts: ['Hello', 'Good morning'], sourceLangCode: 'EN', targetLangCodes: ['DE', 'pt'] });
+    assert.deepEqual(result.targetLangs, ['de', 'pt-BR']);
+    assert.equal(result.results[0]['pt-BR'].text, '[PT-BR] Hello');
+    assert.equal(result.results[1].de.detectedSourceLang, 'en');
+    assert.deepEqual(result.billedCharacters, { de: 17, 'pt-BR': 17 });
+  });
+
+  it('rejects an invalid language in a batch', async () => {
+    await assertToolError('translate-text-batch', { texts: ['One'], targetLangCodes: ['de', 'xx'] }, 'invalid_input');
+  });
+});
+
+describe('rephrasing', () => {
+  it('lists writing styles and tones', async () => {
+    const { styles } = await callToolOk('get-writing-styles');
+    const { tones } = await callToolOk('get-writing-tones');
+    assert.ok(styles.includes('business'));
+    assert.ok(tones.includes('friendly'));
+  });
+
+  it('rephrases text and shows what changed', async () => {
+    const result = await callToolOk('rephrase-text', { text: 'hello there', showDiff: true });
+    assert.equal(result.text, 'Hello there.');
+    assert.match(result.results[0].diff, /\[-hello-\]\{\+Hello\+\}/);
+  });
+
+  it('rephrases several texts at once, into a variant of a language', async () => {
+    const result = await callToolOk('rephrase-text', { texts: ['good  morning', 'see you soon'], targetLangCode: 'en' });
+    assert.equal(result.text, undefined);
+    assert.deepEqual(result.results.map(({ text, targetLang }) => [text, targetLang]), [['Good morning.', 'en-US'], ['See you soon.', 'en-US']]);
+
+    const british = await callToolOk('rephrase-text', { text: 'good  morning', targetLangCode: 'EN-GB' });
+    assert.equal(british.results[0].targetLang, 'en-GB');
+  });
+
+  it('takes either one text or several, not both', async () => {
+    await assertToolError('rephrase-text', { text: 'hello', texts: ['there'] }, 'invalid_input', /either text or texts/);
+  });
+
+  it('rejects a language DeepL Write does not support', async () => {
+    await assertToolError('rephrase-text', { text: 'hello', targetLangCode: 'ja' }, 'invalid_input');
+  });
+});
+
+describe('prompts', () => {
+  /**
+   * @param {string} prompt
+   * @param {string} name
+   * @param {string} value
+   */
+  async function complete(prompt, name, value) {
+    const { completion } = await client.complete({ ref: { type: 'ref/prompt', name: prompt }, argument: { name, value } });
+    return completion.values;
+  }
+
+  it('lists the prompts', async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['localize-strings', 'review-translation', 'rewrite-text']);
+  });
+
+  it('fills in a prompt that points to the tools to use', async () => {
+    const { messages } = await client.getPrompt({
+      name: 'localize-strings',
+      arguments: { strings: 'Save\nCancel', targetLangCodes: 'de, fr', glossaryName: 'UI terms' }
+    });
+    const { text } = /** @type {{ text: string }} */ (messages[0].content);
+    assert.match(text, /into de, fr:\n\nSave\nCancel/);
+    assert.match(text, /translate-text-batch tool, .* and glossaryName "UI terms"/);
+
+    await assert.rejects(client.getPrompt({ name: 'rewrite-text', arguments: { text: 'Hi', style: 'business', tone: 'friendly' } }), /not both/);
+  });
+
+  it('completes languages, lists of languages, writing styles and glossary names', async () => {
+    assert.ok((await complete('review-translation', 'targetLangCode', 'Germ')).includes('de'));
+    assert.ok((await complete('localize-strings', 'targetLangCodes', 'de, f')).includes('de, fr'));
+    assert.deepEqual(await complete('rewrite-text', 'style', 'bus'), ['business']);
+
+    const { id } = await callToolOk('create-glossary', {
+      name: 'Prompt terms',
+      dictionaries: [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { save: 'speichern' } }]
+    });
+    assert.deepEqual(await complete('localize-strings', 'glossaryName', 'prompt'), ['Prompt terms']);
+    await callToolOk('delete-glossary', { glossaryId: id });
+  });
+});
+
+describe('usage and cache', () => {
+  it('reports usage', async () => {
+    const { character } = await callToolOk('get-usage');
+    assert.ok(character.count > 0);
+    assert.equal(character.limit, 500000);
+  });
+
+  it('reuses a translation from the cache in mock mode, without billing it again', async () => {
+    const first = await callToolOk('translate-text', { text: 'Cache me', targetLangCode: 'it' });
+    const second = await callToolOk('translate-text', { text: 'Cache me', targetLangCode: 'it' });
+    assert.deepEqual([first.cached, first.billedCharacters], [false, 8]);
+    assert.deepEqual([second.text, second.cached, second.billedCharacters], ['[IT] Cache me', true, 0]);
+
+    const stats = await callToolOk('get-cache-stats');
+    assert.equal(stats.enabled, true);
+    assert.equal(stats.location, null);
+    assert.ok(stats.hits >= 1);
+  });
+
+  it("forgets the translations that used a glossary when the glossary's entries change", async () => {
+    const { id: glossaryId } = await callToolOk('create-glossary', {
+      name: 'Cache terms',
+      dictionaries: [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { cat: 'Katze' } }]
+    });
+    const args = { text: 'Hello cat', sourceLangCode: 'en', targetLangCode: 'de', glossaryId };
+    assert.equal((await callToolOk('translate-text', args)).text, '[DE] Hello Katze');
+    assert.equal((await callToolOk('translate-text', args)).cached, true);
+
+    await callToolOk('update-glossary-dictionary', { glossaryId, sourceLangCode: 'en', targetLangCode: 'de', entries: { cat: 'Kater' } });
+    const result = await callToolOk('translate-text', args);
+    assert.deepEqual([result.text, result.cached], ['[DE] Hello Kater', false]);
+    await callToolOk('delete-glossary', { glossaryId });
+  });
+
+  it('clears the cache', async () => {
+    const { removedEntries } = await callToolOk('clear-cache');
+    assert.ok(removedEntries > 0);
+    assert.equal((await callToolOk('get-cache-stats')).entries, 0);
+  });
+});
+
+describe('glossaries', () => {
+  /** @type {string} */
+  let glossaryId;
+
+  it('creates a glossary', async () => {
+    const glossary = await callToolOk('create-glossary', {
+      name: 'E2E terms',
+      dictionaries: [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { world: 'Welt', cat: 'Katze' } }]
+    });
+    glossaryId = glossary.id;
+    assert.deepEqual(glossary.dictionaries, [{ sourceLangCode: 'en', targetLangCode: 'de', entryCount: 2 }]);
+  });
+
+  it('lists glossaries', async () => {
+    const { glossaries } = await callToolOk('list-glossaries');
+    assert.ok(glossaries.some(glossary => glossary.id === glossaryId));
+  });
+
+  it('gets a glossary', async () => {
+    assert.equal((await callToolOk('get-glossary-info', { glossaryId })).name, 'E2E terms');
+  });
+
+  it('translates with a glossary, found by name', async () => {
+    const result = await callToolOk('translate-text', { text: 'Hello world', sourceLangCode: 'en', targetLangCode: 'de', glossaryName: 'E2E terms' });
+    assert.equal(result.text, '[DE] Hello Welt');
+  });
+
+  it("takes the source language from the glossary's dictionary into the target language", async () => {
+    const result = await callToolOk('translate-text', { text: 'Hello world', targetLangCode: 'de', glossaryName: 'e2e TERMS' });
+    assert.equal(result.text, '[DE] Hello Welt');
+    assert.equal(result.detectedSourceLang, 'en');
+  });
+
+  it('asks for the id when several glossaries have the name, and for only one of a name and an id', async () => {
+    const { id } = await callToolOk('create-glossary', {
+      name: 'E2E terms',
+      dictionaries: [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { world: 'Erde' } }]
+    });
+    await assertToolError('translate-text', { text: 'Hello world', targetLangCode: 'de', glossaryName: 'E2E terms' }, 'invalid_input', /2 glossaries named "E2E terms".*give the glossaryId/);
+    await assertToolError('translate-text', { text: 'Hello world', targetLangCode: 'de', glossaryId, glossaryName: 'E2E terms' }, 'invalid_input', /either glossaryId or glossaryName/);
+    await callToolOk('delete-glossary', { glossaryId: id });
+  });
+
+  it('updates and reads a dictionary', async () => {
+    await callToolOk('update-glossary-dictionary', { glossaryId, sourceLangCode: 'en', targetLangCode: 'de', entries: { dog: 'Hund' } });
+    const { entries } = await callToolOk('get-glossary-dictionary-entries', { glossaryId, sourceLangCode: 'en', targetLangCode: 'de' });
+    assert.deepEqual(entries, { world: 'Welt', cat: 'Katze', dog: 'Hund' });
+  });
+
+  it('checks a translation for glossary terms, numbers and URLs', async () => {
+    const result = await callToolOk('check-translation', {
+      sourceText: 'The cat sleeps 12 hours. See https://example.com/cats.',
+      translation: 'Die Mieze schläft 14 Stunden. Siehe https://example.com/cats.',
+      targetLangCode: 'de',
+      glossaryId
+    });
+    assert.equal(result.sourceLang, 'en');
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.missingGlossaryTerms, [{ sourceTerm: 'cat', targetTerm: 'Katze', occurrences: 1 }]);
+    assert.deepEqual(result.tokenMismatches, [
+      { type: 'number', value: '12', sourceCount: 1, translationCount: 0 },
+      { type: 'number', value: '14', sourceCount: 0, translationCount: 1 }
+    ]);
+  });
+
+  it('back-translates a translation to compare with its source', async () => {
+    const result = await callToolOk('check-translation', {
+      sourceText: 'Hello {name}, you have 1,000.5 points.',
+      translation: 'Hallo {name}, Sie haben 1.000,5 Punkte.',
+      sourceLangCode: 'en',
+      targetLangCode: 'de',
+      backTranslate: true
+    });
+    assert.equal(result.passed, true);
+    assert.equal(result.backTranslation.text, '[EN-US] Hallo {name}, Sie haben 1.000,5 Punkte.');
+    assert.equal(result.billedCharacters, 'Hallo {name}, Sie haben 1.000,5 Punkte.'.length);
+  });
+
+  it('renames a glossary', async () => {
+    assert.equal((await callToolOk('rename-glossary', { glossaryId, name: 'Renamed terms' })).name, 'Renamed terms');
+  });
+
+  it('replaces the entries of a dictionary, and adds a dictionary for a new language pair', async () => {
+    await callToolOk('update-glossary-dictionary', { glossaryId, sourceLangCode: 'en', targetLangCode: 'de', entries: { world: 'Welt' }, replaceAll: true });
+    const glossary = await callToolOk('update-glossary-dictionary', { glossaryId, sourceLangCode: 'en', targetLangCode: 'it', entries: { cat: 'gatto' } });
+    assert.deepEqual(glossary, await callToolOk('get-glossary-info', { glossaryId }));
+    assert.deepEqual(glossary.dictionaries, [
+      { sourceLangCode: 'en', targetLangCode: 'de', entryCount: 1 },
+      { sourceLangCode: 'en', targetLangCode: 'it', entryCount: 1 }
+    ]);
+  });
+
+  it("reports a dictionary the glossary doesn't have", async () => {
+    await assertToolError('translate-text', { text: 'Hello', sourceLangCode: 'en', targetLangCode: 'fr', glossaryId }, 'glossary_not_found',
+      /has no dictionary for en → fr\. It has dictionaries for: en → de, en → it\./);
+  });
+
+  it('reports a glossary name that does not exist', async () => {
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'de', glossaryName: 'No such glossary' }, 'glossary_not_found');
+  });
+
+  it('reports a glossary id that does not exist', async () => {
+    await assertToolError('get-glossary-info', { glossaryId: randomUUID() }, 'glossary_not_found');
+  });
+
+  it('deletes a dictionary and then the glossary', async () => {
+    await callToolOk('create-glossary', {
+      name: 'Two dictionaries',
+      dictionaries: [
+        { sourceLangCode: 'en', targetLangCode: 'fr', entries: { cat: 'chat' } },
+        { sourceLangCode: 'en', targetLangCode: 'es', entries: { cat: 'gato' } }
+      ]
+    });
+    const { glossaries } = await callToolOk('list-glossaries');
+    const { id } = glossaries.find(glossary => glossary.name === 'Two dictionaries');
+
+    const remaining = await callToolOk('delete-glossary-dictionary', { glossaryId: id, sourceLangCode: 'en', targetLangCode: 'fr' });
+    assert.deepEqual(remaining.dictionaries.map(dictionary => dictionary.targetLangCode), ['es']);
+
+    assert.equal((await callToolOk('delete-glossary', { glossaryId: id })).deletedGlossaryId, id);
+    await callToolOk('delete-glossary', { glossaryId });
+    await assertToolError('get-glossary-info', { glossaryId }, 'glossary_not_found');
+  });
+});
+
+describe('glossary files', () => {
+  /** @type {string} */
+  let glossaryId;
+
+  it('creates a glossary from a CSV file', async () => {
+    const inputFile = path.join(workDir, 'terms.csv');
+    await fs.writeFile(inputFile, 'source,target\nworld,Welt,en,de\n"shop, online",Onlineshop,EN,DE\nworld,monde,en,fr\nworld,Welt,en,de\n');
+    const result = await callToolOk('import-glossary', { inputFile, name: 'Imported terms' });
+    glossaryId = result.glossary.id;
+    assert.deepEqual(result.dictionaries, [
+      { sourceLangCode: 'en', targetLangCode: 'de', entryCount: 2 },
+      { sourceLangCode: 'en', targetLangCode: 'fr', entryCount: 1 }
+    ]);
+    assert.deepEqual(result.issues.map(issue => [issue.type, issue.term, issue.locations]), [['duplicate', 'world', ['row 2', 'row 5']]]);
+  });
+
+  it('adds the entries of a TSV file to a glossary', async () => {
+    const inputFile = path.join(workDir, 'more-terms.tsv');
+    await fs.writeFile(inputFile, 'cat\tKatze\n');
+    const result = await callToolOk('import-glossary', { inputFile, glossaryId, sourceLangCode: 'en', targetLangCode: 'de' });
+    assert.equal(result.glossary.dictionaries.find(dictionary => dictionary.targetLangCode === 'de').entryCount, 3);
+  });
+
+  it('reports empty and conflicting terms without uploading anything', async () => {
+    const inputFile = path.join(workDir, 'bad-terms.csv');
+    await fs.writeFile(inputFile, 'cat,Katze\ndog,\ncat,Kater\n');
+    const args = { inputFile, glossaryId, sourceLangCode: 'en', targetLangCode: 'de' };
+    await assertToolError('import-glossary', args, 'invalid_input', /row 2: the translation of "dog" is empty[\s\S]*"cat" \(en to de\) has different translations: "Katze" in row 1, "Kater" in row 3/);
+
+    const { issues, glossary } = await callToolOk('import-glossary', { ...args, dryRun: true });
+    assert.deepEqual(issues.map(issue => issue.type), ['empty', 'conflict']);
+    assert.equal(glossary, undefined);
+    const { entries } = await callToolOk('get-glossary-dictionary-entries', { glossaryId, sourceLangCode: 'en', targetLangCode: 'de' });
+    assert.equal(entries.dog, undefined);
+  });
+
+  it('rejects a language DeepL does not support', async () => {
+    const inputFile = path.join(workDir, 'klingon.csv');
+    await fs.writeFile(inputFile, 'world,tera,en,tlh\n');
+    await assertToolError('import-glossary', { inputFile, name: 'Klingon' }, 'invalid_input', /Invalid language code: tlh/);
+  });
+
+  it('exports a glossary to TBX and imports it again', async () => {
+    const outputFile = path.join(workDir, 'terms.tbx');
+    const exported = await callToolOk('export-glossary', { glossaryId, outputFile });
+    assert.equal(exported.format, 'tbx');
+    const tbx = await fs.readFile(outputFile, 'utf8');
+    assert.match(tbx, /<termEntry id="c1">\s*<langSet xml:lang="en"><tig><term>world<\/term><\/tig><\/langSet>\s*<langSet xml:lang="de"><tig><term>Welt<\/term><\/tig><\/langSet>\s*<langSet xml:lang="fr"><tig><term>monde<\/term>/);
+
+    const result = await callToolOk('import-glossary', { inputFile: outputFile, name: 'Copy of imported terms' });
+    assert.deepEqual(result.dictionaries, exported.dictionaries);
+  });
+
+  it('exports one dictionary to CSV', async () => {
+    const outputFile = path.join(workDir, 'terms-de.csv');
+    await callToolOk('export-glossary', { glossaryId, outputFile, sourceLangCode: 'en', targetLangCode: 'de' });
+    assert.equal(await fs.readFile(outputFile, 'utf8'), 'world,Welt,en,de\n"shop, online",Onlineshop,en,de\ncat,Katze,en,de\n');
+    await assertToolError('export-glossary', { glossaryId, outputFile, sourceLangCode: 'en', targetLangCode: 'es', ifOutputExists: 'overwrite' }, 'glossary_not_found');
+  });
+});
+
+describe('documents', () => {
+  it('translates a document', async () => {
+    const inputFile = path.join(workDir, 'letter.txt');
+    await fs.writeFile(inputFile, 'Dear reader\n\nThank you.\n');
+
+    const result = await callToolOk('translate-document', { inputFile, targetLangCode: 'de' });
+    assert.equal(result.status, 'done');
+    assert.equal(await fs.readFile(result.outputFile, 'utf8'), '[DE] Dear reader\n\n[DE] Thank you.\n');
+  });
+
+  it('translates a document from a source language given in upper case', async () => {
+    const inputFile = path.join(workDir, 'postcard.txt');
+    await fs.writeFile(inputFile, 'Greetings from the sea');
+
+    const result = await callToolOk('translate-document', { inputFile, sourceLangCode: 'EN', targetLangCode: 'PT' });
+    assert.equal(result.targetLang, 'pt-BR');
+    assert.equal(await fs.readFile(result.outputFile, 'utf8'), '[PT-BR] Greetings from the sea');
+  });
+
+  it("doesn't overwrite an existing output file", async () => {
+    const inputFile = path.join(workDir, 'letter.txt');
+    await assertToolError('translate-document', { inputFile, targetLangCode: 'de' }, 'file_access', /already exists/);
+  });
+
+  it('uploads, checks and downloads a document', async () => {
+    const inputFile = path.join(workDir, 'note.txt');
+    const outputFile = path.join(workDir, 'note.fr.txt');
+    await fs.writeFile(inputFile, 'See you soon');
+
+    const { jobId } = await callToolOk('upload-document', { inputFile, sourceLangCode: 'EN', targetLangCode: 'fr' });
+    assert.equal((await callToolOk('get-document-status', { jobId })).status, 'done');
+    await callToolOk('download-document', { jobId, outputFile });
+    assert.equal(await fs.readFile(outputFile, 'utf8'), '[FR] See you soon');
+    assert.equal((await callToolOk('get-document-status', { jobId })).outputFile, outputFile);
+  });
+
+  it('counts a document against the budget once, however many checks on it overlap', async () => {
+    const inputFile = path.join(workDir, 'checked-twice.txt');
+    await fs.writeFile(inputFile, 'Checked twice');
+    const usedBefore = (await callToolOk('get-usage')).localCharacterBudget.used;
+
+    const { jobId } = await callToolOk('upload-document', { inputFile, targetLangCode: 'fr' });
+    const statuses = await Promise.all([callToolOk('get-document-status', { jobId }), callToolOk('get-document-status', { jobId })]);
+    assert.deepEqual(statuses.map(status => status.status), ['done', 'done']);
+    assert.equal((await callToolOk('get-usage')).localCharacterBudget.used - usedBefore, 'Checked twice'.length);
+  });
+
+  it('reports an unknown document job', async () => {
+    await assertToolError('get-document-status', { jobId: 'NO-SUCH-JOB' }, 'invalid_input', /Unknown document job/);
+  });
+
+  it('refuses files outside the allowed directories', async () => {
+    const inputFile = path.join(outsideDir, 'secret.txt');
+    await fs.writeFile(inputFile, 'Secret');
+    await assertToolError('upload-document', { inputFile, targetLangCode: 'de' }, 'file_access', /not allowed/);
+  });
+
+  it("doesn't write through a symlink to a file outside the allowed directories", async () => {
+    const inputFile = path.join(workDir, 'memo.txt');
+    const outputFile = path.join(workDir, 'memo.de.txt');
+    const target = path.join(outsideDir, 'planted.txt');
+    await fs.writeFile(inputFile, 'Meeting at noon');
+    await fs.symlink(target, outputFile);
+
+    await assertToolError('translate-document', { inputFile, outputFile, targetLangCode: 'de' }, 'file_access', /already exists as a symbolic link/);
+    await callToolOk('translate-document', { inputFile, outputFile, targetLangCode: 'de', ifOutputExists: 'overwrite' });
+    assert.ok((await fs.lstat(outputFile)).isFile());
+    assert.equal(await fs.readFile(outputFile, 'utf8'), '[DE] Meeting at noon');
+    await assert.rejects(fs.access(target), { code: 'ENOENT' });
+  });
+
+  it('reports a missing input file', async () => {
+    await assertToolError('upload-document', { inputFile: path.join(workDir, 'missing.txt'), targetLangCode: 'de' }, 'file_access', /does not exist/);
+  });
+
+  it('translates a directory, and skips unchanged files when run again', async () => {
+    const inputDir = path.join(workDir, 'site');
+    const outputDir = path.join(workDir, 'site-translated');
+    await fs.mkdir(path.join(inputDir, 'docs'), { recursive: true });
+    await fs.writeFile(path.join(inputDir, 'index.txt'), 'Welcome');
+    await fs.writeFile(path.join(inputDir, 'docs', 'guide.txt'), 'Read me');
+
+    const args = { inputDir, outputDir, targetLangCodes: ['de', 'es'] };
+    const first = await callToolOk('translate-directory', args);
+    assert.equal(first.translatedCount, 4);
+    assert.equal(first.failedCount, 0);
+    assert.equal(await fs.readFile(path.join(outputDir, 'es', 'docs', 'guide.txt'), 'utf8'), '[ES] Read me');
+
+    const second = await callToolOk('translate-directory', args);
+    assert.equal(second.translatedCount, 0);
+    assert.equal(second.unchangedCount, 4);
+  });
+
+  it('translates the files a directory\'s patterns choose, next to their originals, and records them in a manifest', async () => {
+    const inputDir = path.join(workDir, 'handbook');
+    await fs.mkdir(path.join(inputDir, 'drafts'), { recursive: true });
+    await fs.writeFile(path.join(inputDir, 'intro.txt'), 'Hello');
+    await fs.writeFile(path.join(inputDir, 'faq.html'), '<p>Why?</p>');
+    await fs.writeFile(path.join(inputDir, 'notes.txt'), 'Notes');
+    await fs.writeFile(path.join(inputDir, 'drafts', 'next.txt'), 'Later');
+    await fs.writeFile(path.join(inputDir, 'notes.de.txt'), 'Written by hand');
+
+    const args = {
+      inputDir,
+      outputDir: inputDir,
+      targetLangCodes: ['de'],
+      include: ['*.txt', 'faq.html'],
+      exclude: ['drafts/**'],
+      outputLayout: '{dir}/{name}.{lang}{ext}',
+      concurrency: 2
+    };
+    const first = await callToolOk('translate-directory', args);
+    const statuses = Object.fromEntries(first.files.map(file => [file.inputFile, file.status]));
+    assert.deepEqual(statuses, { 'faq.html': 'translated', 'intro.txt': 'translated', 'notes.txt': 'failed' });
+    assert.match(first.files.find(file => file.inputFile === 'notes.txt').error, /already exists/);
+    assert.equal(await fs.readFile(path.join(inputDir, 'intro.de.txt'), 'utf8'), '[DE] Hello');
+    assert.equal(await fs.readFile(path.join(inputDir, 'notes.de.txt'), 'utf8'), 'Written by hand');
+
+    const manifest = JSON.parse(await fs.readFile(first.manifestFile, 'utf8'));
+    assert.ok(JSON.stringify(manifest).includes('intro.txt'));
+
+    // The translations aren't taken for more files to translate, and only the changed file is translated again
+    await fs.writeFile(path.join(inputDir, 'intro.txt'), 'Hello again');
+    const second = await callToolOk('translate-directory', { ...args, exclude: ['drafts/**', 'notes*'] });
+    assert.deepEqual(second.files.map(({ inputFile, status }) => [inputFile, status]), [['faq.html', 'unchanged'], ['intro.txt', 'translated']]);
+    assert.equal(await fs.readFile(path.join(inputDir, 'intro.de.txt'), 'utf8'), '[DE] Hello again');
+  });
+
+  it('translates a locale file and keeps its placeholders', async () => {
+    const inputFile = path.join(workDir, 'en.json');
+    await fs.writeFile(inputFile, JSON.stringify({ greeting: 'Hello {name}', menu: { quit: 'Quit' } }, null, 2));
+
+    const result = await callToolOk('translate-i18n-file', { inputFile, sourceLangCode: 'en', targetLangCodes: ['de'] });
+    const [file] = result.files;
+    assert.deepEqual(file.failedKeys, []);
+    assert.deepEqual(JSON.parse(await fs.readFile(file.outputFile, 'utf8')), {
+      greeting: '[DE] Hello {name}',
+      menu: { quit: '[DE] Quit' }
+    });
+  });
+
+  it('only translates the keys which are new or have changed, when run again', async () => {
+    const inputFile = path.join(workDir, 'en.json');
+    await fs.writeFile(inputFile, JSON.stringify({ greeting: 'Hi {name}', menu: { quit: 'Quit', open: 'Open' } }, null, 2));
+
+    const [file] = (await callToolOk('translate-i18n-file', { inputFile, sourceLangCode: 'en', targetLangCodes: ['de'] })).files;
+    assert.deepEqual(file.translatedKeys, ['greeting', 'menu.open']);
+    assert.equal(file.unchangedCount, 1);
+    assert.deepEqual(JSON.parse(await fs.readFile(file.outputFile, 'utf8')), {
+      greeting: '[DE] Hi {name}',
+      menu: { quit: '[DE] Quit', open: '[DE] Open' }
+    });
+  });
+
+  it('refuses a JSON file where two strings would have the same key', async () => {
+    const inputFile = path.join(workDir, 'clash.en.json');
+    await fs.writeFile(inputFile, JSON.stringify({ 'menu.quit': 'Quit', menu: { quit: 'Exit' } }));
+    await assertToolError('translate-i18n-file', { inputFile, targetLangCodes: ['de'] }, 'invalid_input', /\["menu\.quit"\] and \["menu","quit"\] both have the key "menu\.quit"/);
+  });
+
+  it('translates a Rails-style YAML file, keeping its comments and changing its locale', async () => {
+    const inputFile = path.join(workDir, 'en.yml');
+    await fs.writeFile(inputFile, 'en:\n  # Shown on the home page\n  welcome: Welcome\n  cart:\n    empty: Your cart is empty\n');
+
+    const [file] = (await callToolOk('translate-i18n-file', { inputFile, sourceLangCode: 'en', targetLangCodes: ['fr'] })).files;
+    assert.deepEqual(file.translatedKeys, ['welcome', 'cart.empty']);
+    assert.equal(await fs.readFile(file.outputFile, 'utf8'), 'fr:\n  # Shown on the home page\n  welcome: "[FR] Welcome"\n  cart:\n    empty: "[FR] Your cart is empty"\n');
+  });
+
+  it('translates a gettext file, including plural forms', async () => {
+    const inputFile = path.join(workDir, 'messages.pot');
+    await fs.writeFile(inputFile, [
+      'msgid ""',
+      'msgstr ""',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '',
+      '#: src/app.js:3',
+      'msgid "Save"',
+      'msgstr ""',
+      '',
+      'msgid "%d file"',
+      'msgid_plural "%d files"',
+      'msgstr[0] ""',
+      'msgstr[1] ""',
+      ''
+    ].join('\n'));
+
+    const [file] = (await callToolOk('translate-i18n-file', { inputFile, sourceLangCode: 'en', targetLangCodes: ['de'] })).files;
+    assert.deepEqual(file.failedKeys, []);
+    const output = await fs.readFile(file.outputFile, 'utf8');
+    assert.match(output, /"Language: de\\n"\n"Plural-Forms: nplurals=2; plural=\(n != 1\);\\n"/);
+    assert.match(output, /#: src\/app\.js:3\nmsgid "Save"\nmsgstr "\[DE\] Save"/);
+    assert.match(output, /msgstr\[0\] "%d \[DE\] file"\nmsgstr\[1\] "%d \[DE\] files"/);
+  });
+
+  it('translates an SRT file a sentence at a time, keeping its timing and styling', async () => {
+    const inputFile = path.join(workDir, 'movie.srt');
+    await fs.writeFile(inputFile, [
+      '1', '00:00:01,000 --> 00:00:02,500', '<i>This sentence runs</i>', '',
+      '2', '00:00:02,600 --> 00:00:04,000', 'over two cues.', '',
+      '3', '00:00:09,000 --> 00:00:10,000', '♪ ♪', ''
+    ].join('\r\n'));
+
+    const result = await callToolOk('translate-subtitles', { inputFile, targetLangCode: 'de' });
+    assert.equal(result.outputFile, path.join(workDir, 'movie_de.srt'));
+    assert.equal(result.cueCount, 3);
+    assert.equal(result.translatedCueCount, 2);
+    assert.equal(result.sentenceCount, 1);
+    assert.equal(await fs.readFile(result.outputFile, 'utf8'), [
+      '1', '00:00:01,000 --> 00:00:02,500', '<i>[DE] This sentence runs</i>', '',
+      '2', '00:00:02,600 --> 00:00:04,000', 'over two cues.', '',
+      '3', '00:00:09,000 --> 00:00:10,000', '♪ ♪', ''
+    ].join('\r\n'));
+  });
+
+  it('translates a WebVTT file, with each line of dialogue on its own', async () => {
+    const inputFile = path.join(workDir, 'talk.vtt');
+    await fs.writeFile(inputFile, 'WEBVTT\n\nNOTE Checked by the video team\n\nintro\n00:01.000 --> 00:03.000 align:start\n- Ready?\n- <b>Almost</b>.\n');
+
+    const result = await callToolOk('translate-subtitles', { inputFile, targetLangCode: 'fr', outputFile: path.join(workDir, 'talk.fr.vtt') });
+    assert.equal(result.format, 'webvtt');
+    assert.equal(result.sentenceCount, 2);
+    assert.equal(
+      await fs.readFile(result.outputFile, 'utf8'),
+      'WEBVTT\n\nNOTE Checked by the video team\n\nintro\n00:01.000 --> 00:03.000 align:start\n- [FR] Ready?\n- <b>[FR] Almost</b>.\n'
+    );
+    await assertToolError('translate-subtitles', { inputFile: path.join(workDir, 'en.json'), targetLangCode: 'fr' }, 'invalid_input', /not a subtitle file/);
+  });
+});
+
+describe('translation memory', () => {
+  it('imports a TMX file', async () => {
+    const inputFile = path.join(workDir, 'approved.tmx');
+    await fs.writeFile(inputFile, `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header srclang="en-US" datatype="plaintext" segtype="sentence" adminlang="en" creationtool="test" creationtoolversion="1" o-tmf="test"/>
+  <body>
+    <tu>
+      <tuv xml:lang="en-US"><seg>Welcome to our shop.</seg></tuv>
+      <tuv xml:lang="de-DE"><seg>Willkommen in unserem Laden.</seg></tuv>
+      <tuv xml:lang="fr-FR"><seg>Bienvenue dans notre boutique.</seg></tuv>
+    </tu>
+    <tu>
+      <tuv xml:lang="en-US"><seg>Click <bpt i="1">&lt;b&gt;</bpt>Save<ept i="1">&lt;/b&gt;</ept> &amp; exit.</seg></tuv>
+      <tuv xml:lang="de-DE"><seg>Klicken Sie auf <bpt i="1">&lt;b&gt;</bpt>Speichern<ept i="1">&lt;/b&gt;</ept> &amp; beenden.</seg></tuv>
+    </tu>
+  </body>
+</tmx>`);
+
+    const result = await callToolOk('import-translation-memory', { inputFile });
+    assert.equal(result.added, 3);
+    assert.deepEqual(result.languagePairs, [{ sourceLang: 'en-us', targetLang: 'de-de', count: 2 }, { sourceLang: 'en-us', targetLang: 'fr-fr', count: 1 }]);
+  });
+
+  it('imports a CSV file with a header row of languages', async () => {
+    const inputFile = path.join(workDir, 'approved.csv');
+    await fs.writeFile(inputFile, 'en,de\n"Thanks, see you soon.",Danke und bis bald.\n');
+    const result = await callToolOk('import-translation-memory', { inputFile });
+    assert.equal(result.added, 1);
+    assert.equal(result.totalEntries, 4);
+  });
+
+  it('reports a CSV file without languages', async () => {
+    const inputFile = path.join(workDir, 'no-languages.csv');
+    await fs.writeFile(inputFile, 'Hello,Hallo\n');
+    await assertToolError('import-translation-memory', { inputFile }, 'invalid_input', /give both the source and the target language/);
+  });
+
+  it('uses an approved translation for the whole text', async () => {
+    const result = await callToolOk('translate-text', { text: 'Click Save & exit.', sourceLangCode: 'en', targetLangCode: 'de' });
+    assert.equal(result.text, 'Klicken Sie auf Speichern & beenden.');
+    assert.equal(result.billedCharacters, 0);
+    assert.deepEqual(result.segments.map(segment => segment.fromMemory), [true]);
+  });
+
+  it('mixes approved translations with DeepL translations, sentence by sentence', async () => {
+    const result = await callToolOk('translate-text', {
+      text: 'Welcome to our shop. Prices are low. Today only.\nThanks, see you soon.',
+      targetLangCode: 'de'
+    });
+    assert.equal(result.text, 'Willkommen in unserem Laden. [DE] Prices are low. Today only.\nDanke und bis bald.');
+    assert.deepEqual(result.segments.map(segment => segment.fromMemory), [true, false, true]);
+    assert.equal(result.billedCharacters, 'Prices are low. Today only.'.length);
+  });
+
+  it("keeps the space between approved translations as it is, rather than sending it to DeepL", async () => {
+    const result = await callToolOk('translate-text', { text: 'Welcome to our shop. \nThanks, see you soon.', targetLangCode: 'de' });
+    assert.equal(result.text, 'Willkommen in unserem Laden. \nDanke und bis bald.');
+    assert.equal(result.billedCharacters, 0);
+    assert.deepEqual(result.segments.map(segment => segment.fromMemory), [true, true]);
+  });
+
+  it('only uses near-exact matches when asked to', async () => {
+    const text = 'Welcome to our shops.';
+    assert.equal((await callToolOk('translate-text', { text, targetLangCode: 'fr' })).text, '[FR] Welcome to our shops.');
+
+    const result = await callToolOk('translate-text', { text, targetLangCode: 'fr', minMatchScore: 0.9 });
+    assert.equal(result.text, 'Bienvenue dans notre boutique.');
+    assert.ok(result.segments[0].matchScore < 1);
+  });
+
+  it('finds near-exact matches in a large memory quickly', async () => {
+    const memoryClient = await connectClient([], { DEEPL_TRANSLATION_MEMORY_FILE: path.join(workDir, 'large-memory.json') });
+    try {
+      const inputFile = path.join(workDir, 'large-memory.csv');
+      const rows = Array.from({ length: 20_000 }, (_, i) => `Order ${i} was shipped to the warehouse in district ${i % 97} today.,Bestellung ${i} wurde heute an das Lager in Bezirk ${i % 97} versandt.`);
+      await fs.writeFile(inputFile, `en,de\n${rows.join('\n')}\n`);
+      const imported = await memoryClient.callTool({ name: 'import-translation-memory', arguments: { inputFile } });
+      assert.equal(/** @type {any} */ (imported.structuredContent).added, 20_000);
+
+      const text = Array.from({ length: 10 }, (_, i) => `Order ${i * 1000 + 7} was shipped to the warehouse in district ${(i * 1000 + 7) % 97} yesterday.`).join(' ');
+      const started = Date.now();
+      const result = await memoryClient.callTool({ name: 'translate-text', arguments: { text, sourceLangCode: 'en', targetLangCode: 'de', minMatchScore: 0.8 } });
+      const elapsed = Date.now() - started;
+      assert.ok(!result.isError, JSON.stringify(result.content));
+      assert.deepEqual(/** @type {any} */ (result.structuredContent).segments.map(segment => segment.fromMemory), Array(10).fill(true));
+      assert.match(/** @type {any} */ (result.structuredContent).segments[0].translation, /^Bestellung 7 wurde heute/);
+      assert.ok(elapsed < 2000, `The lookup took ${elapsed} ms`);
+    } finally {
+      await memoryClient.close();
+    }
+  });
+
+  it("doesn't use translations into another variant of the language", async () => {
+    await callToolOk('add-to-translation-memory', { sourceLangCode: 'de', targetLangCode: 'en-GB', entries: [{ source: 'Farbe', target: 'Colour' }] });
+    assert.equal((await callToolOk('translate-text', { text: 'Farbe', targetLangCode: 'en-GB' })).text, 'Colour');
+    assert.equal((await callToolOk('translate-text', { text: 'Farbe', targetLangCode: 'en-US' })).text, '[EN-US] Farbe');
+  });
+
+  it('can be turned off', async () => {
+    const result = await callToolOk('translate-text', { text: 'Farbe', targetLangCode: 'en-GB', useTranslationMemory: false });
+    assert.equal(result.text, '[EN-GB] Farbe');
+  });
+
+  it('replaces an approved translation', async () => {
+    const result = await callToolOk('add-to-translation-memory', { sourceLangCode: 'de', targetLangCode: 'en-GB', entries: [{ source: 'Farbe', target: 'Colour (paint)' }] });
+    assert.deepEqual({ added: result.added, updated: result.updated }, { added: 0, updated: 1 });
+  });
+});
+
+describe('several API keys', () => {
+  /** @type {Client} */
+  let singleKeyClient;
+  /** @type {string} */
+  let glossaryId;
+
+  // The mock treats each key as an account of its own, and keys ending in ":fx" as Free accounts with a small quota
+  before(async () => {
+    singleKeyClient = client;
+    client = await connectClient(['--api-keys', 'free=e2e-free-key:fx,team=e2e-team-key']);
+  });
+
+  after(async () => {
+    await client.close();
+    client = singleKeyClient;
+  });
+
+  it('reports the usage of each key', async () => {
+    const { keys } = await callToolOk('get-usage');
+    assert.deepEqual(keys.map(({ name, type }) => [name, type]), [['free', 'free'], ['team', 'pro']]);
+  });
+
+  it("uses a glossary with the key that owns it, whichever key is first", async () => {
+    const glossary = await callToolOk('create-glossary', {
+      name: 'Team terms',
+      dictionaries: [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { world: 'Welt' } }],
+      apiKeyName: 'team'
+    });
+    glossaryId = glossary.id;
+    assert.equal(glossary.apiKeyName, 'team');
+
+    const result = await callToolOk('translate-text', { text: 'Hello world', sourceLangCode: 'en', targetLangCode: 'de', glossaryId });
+    assert.equal(result.text, '[DE] Hello Welt');
+    const { glossaries } = await callToolOk('list-glossaries');
+    assert.deepEqual(glossaries.map(({ name, apiKeyName }) => [name, apiKeyName]), [['Team terms', 'team']]);
+  });
+
+  it("reuses a translation made with another key, since the key doesn't change it", async () => {
+    const text = 'Good afternoon';
+    assert.equal((await callToolOk('translate-text', { text, targetLangCode: 'de', apiKeyName: 'team' })).cached, false);
+    const result = await callToolOk('translate-text', { text, targetLangCode: 'de', apiKeyName: 'free' });
+    assert.deepEqual([result.text, result.cached], ['[DE] Good afternoon', true]);
+  });
+
+  it("refuses to use a glossary with a key that doesn't own it", async () => {
+    await assertToolError('translate-text', { text: 'Hello world', sourceLangCode: 'en', targetLangCode: 'de', glossaryId, apiKeyName: 'free' }, 'invalid_input', /belongs to API key "team"/);
+  });
+
+  it('checks on a document with the key it was uploaded with', async () => {
+    const inputFile = path.join(workDir, 'team-notes.txt');
+    await fs.writeFile(inputFile, 'Hello world');
+    const { jobId } = await callToolOk('upload-document', { inputFile, targetLangCode: 'de', apiKeyName: 'team' });
+    assert.equal((await callToolOk('get-document-status', { jobId })).status, 'done');
+  });
+
+  it("moves on to the next key when a key's quota is used up", async () => {
+    const text = 'Hello world. '.repeat(40_000);
+    const result = await callToolOk('translate-text', { text, targetLangCode: 'de' });
+    assert.ok(result.text.startsWith('[DE] Hello world.'));
+
+    const { keys } = await callToolOk('get-usage');
+    assert.ok(keys[0].character.count < text.length);
+    assert.ok(keys[1].character.count >= text.length);
+  });
+});
+
+describe('character budget', () => {
+  /** @type {Client} */
+  let defaultClient;
+  /** @type {Record<string, string>} */
+  let budgetEnv;
+
+  before(async () => {
+    defaultClient = client;
+    budgetEnv = {
+      DEEPL_CHARACTER_BUDGET: '30',
+      DEEPL_CHARACTER_BUDGET_PERIOD: 'day',
+      DEEPL_CHARACTER_BUDGET_FILE: path.join(workDir, 'character-budget.json')
+    };
+    client = await connectClient([], budgetEnv);
+  });
+
+  after(async () => {
+    await client.close();
+    client = defaultClient;
+  });
+
+  it("refuses text there isn't enough budget left for", async () => {
+    await callToolOk('translate-text', { text: 'Hello world', targetLangCode: 'de' });
+    await assertToolError('translate-text', { text: 'Hello world, hello world', targetLangCode: 'de' }, 'budget_exceeded', /only 19 of 30 are left today/);
+  });
+
+  it("doesn't let calls running at the same time go over the budget together", async () => {
+    // DeepL holds on to the first translation until the second call has been refused
+    /** @type {(response: http.ServerResponse) => void} */
+    let received;
+    const firstRequest = new Promise(resolve => { received = resolve; });
+    const deepL = await connectToFakeDeepL(response => received(response), ['--character-budget', '20']);
+    try {
+      const translate = (/** @type {string} */ text) => deepL.client.callTool({ name: 'translate-text', arguments: { text, sourceLangCode: 'en', targetLangCode: 'fr' } });
+      const first = translate('Good morning');
+      const response = /** @type {http.ServerResponse} */ (await firstRequest);
+
+      const second = await translate('Good evening');
+      assert.equal(second.isError, true);
+      assert.equal(second._meta?.errorCategory, 'budget_exceeded');
+      assert.match(/** @type {{ text: string }[]} */ (second.content)[0].text, /only 20 of 20 are left since the server started, and 12 are set aside for requests in progress/);
+
+      sendTranslation(response, 'Bonjour');
+      assert.ok(!(await first).isError);
+    } finally {
+      await deepL.close();
+    }
+  });
+
+  it("keeps the day's count when the server restarts", async () => {
+    await client.close();
+    client = await connectClient([], budgetEnv);
+    const { localCharacterBudget } = await callToolOk('get-usage');
+    assert.deepEqual(localCharacterBudget, { limit: 30, used: 11, remaining: 19, period: 'day' });
+    await assertToolError('translate-text', { text: 'Hello world, hello world', targetLangCode: 'fr' }, 'budget_exceeded');
+  });
+});
+
+describe('logging and metrics', () => {
+  /** @type {Client} */
+  let defaultClient;
+  /** @type {string} */
+  let metricsFile;
+  /** @type {Array<{ level: string, data: any }>} */
+  const messages = [];
+
+  before(async () => {
+    defaultClient = client;
+    metricsFile = path.join(workDir, 'metrics.json');
+    client = await connectClient(['--metrics-file', metricsFile]);
+    client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+      messages.push(notification.params);
+    });
+  });
+
+  after(async () => {
+    await client.close();
+    client = defaultClient;
+  });
+
+  it("sends log messages, and only those at or above the client's level once it has chosen one", async () => {
+    await callToolOk('translate-text', { text: 'Hello world', targetLangCode: 'de' });
+    assert.ok(messages.some(({ level, data }) => level === 'info' && data.event === 'tool_call' && data.outcome === 'ok'));
+
+    messages.length = 0;
+    await client.setLoggingLevel('warning');
+    await callToolOk('translate-text', { text: 'Hello world', targetLangCode: 'fr' });
+    await assertToolError('translate-text', { text: 'Hello world', targetLangCode: 'xx' }, 'invalid_input');
+    assert.deepEqual(messages.map(({ level, data }) => [level, data.tool, data.outcome]), [['warning', 'translate-text', 'invalid_input']]);
+  });
+
+  it('logs each tool call with its DeepL request ids and billed characters, leaving out the text', async () => {
+    messages.length = 0;
+    await client.setLoggingLevel('info');
+    await callToolOk('translate-text', { text: 'Good morning', targetLangCode: 'es' });
+
+    const [{ data }] = messages;
+    assert.equal(data.event, 'tool_call');
+    assert.equal(data.outcome, 'ok');
+    assert.deepEqual(data.arguments, { text: '[12 characters]', targetLangCode: 'es' });
+    assert.equal(data.billedCharacters, 12);
+    assert.equal(data.deeplRequestIds.length, 1);
+    assert.equal(typeof data.durationMs, 'number');
+  });
+
+  it('keeps counters and latency histograms for each tool in the metrics file', async () => {
+    const metrics = JSON.parse(await fs.readFile(metricsFile, 'utf8'));
+    const { calls, billedCharacters, latency } = metrics.tools['translate-text'];
+    assert.deepEqual(calls, { ok: 3, invalid_input: 1 });
+    assert.equal(billedCharacters, 34);
+    assert.equal(latency.count, 4);
+    assert.equal(latency.buckets.at(-1).count, 4);
+  });
+});
+
+describe('errors and retries', () => {
+  /**
+   * Connect to a server whose stand-in for DeepL answers translation requests with the given error statuses in turn,
+   * and then translates
+   * @param {number[]} statuses
+   * @param {string[]} [args] - more command-line flags for the server
+   */
+  async function connectToFlakyDeepL(statuses, args = []) {
+    let translateRequests = 0;
+    const { client: flakyClient, close } = await connectToFakeDeepL(response => {
+      translateRequests++;
+      const status = statuses.shift();
+      if (!status) {
+        sendTranslation(response, 'Hallo');
+        return;
+      }
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ message: `Status ${status}` }));
+    }, ['--retry-delay', '10', ...args]);
+
+    return {
+      translate: () => flakyClient.callTool({ name: 'translate-text', arguments: { text: 'Hello', sourceLangCode: 'en', targetLangCode: 'de' } }),
+      translateRequests: () => translateRequests,
+      close
+    };
+  }
+
+  /**
+   * @param {import('@modelcontextprotocol/sdk/types.js').CallToolResult} result
+   */
+  function errorOf(result) {
+    assert.equal(result.isError, true, JSON.stringify(result.content));
+    return { ...result._meta, guidance: /** @type {{ text: string }[]} */ (result.content)[1].text };
+  }
+
+  it('retries a request that was rate limited or found DeepL unavailable', async () => {
+    const deepL = await connectToFlakyDeepL([429, 503]);
+    try {
+      const result = await deepL.translate();
+      assert.ok(!result.isError, JSON.stringify(result.content));
+      assert.equal(/** @type {any} */ (result.structuredContent).text, 'Hallo');
+      assert.equal(deepL.translateRequests(), 3);
+    } finally {
+      await deepL.close();
+    }
+  });
+
+  it('reports a temporary error once its retries run out', async () => {
+    const deepL = await connectToFlakyDeepL([503, 503, 429], ['--max-retries', '1']);
+    try {
+      const unavailable = errorOf(await deepL.translate());
+      assert.deepEqual([unavailable.errorCategory, unavailable.retryable], ['service_unavailable', true]);
+      assert.match(unavailable.guidance, /^Error category: service_unavailable \(temporary\)\. DeepL is temporarily unavailable/);
+      assert.equal(deepL.translateRequests(), 2);
+
+      // The next call starts again, so one rate limit is retried
+      const result = await deepL.translate();
+      assert.ok(!result.isError, JSON.stringify(result.content));
+      assert.equal(deepL.translateRequests(), 4);
+    } finally {
+      await deepL.close();
+    }
+  });
+
+  it("doesn't retry a used-up quota or a rejected key, and says so", async () => {
+    const deepL = await connectToFlakyDeepL([456, 403]);
+    try {
+      const quota = errorOf(await deepL.translate());
+      assert.deepEqual([quota.errorCategory, quota.retryable], ['quota_exceeded', false]);
+      assert.match(quota.guidance, /Don't retry/);
+
+      const authorization = errorOf(await deepL.translate());
+      assert.deepEqual([authorization.errorCategory, authorization.retryable], ['authorization', false]);
+      assert.equal(deepL.translateRequests(), 2);
+    } finally {
+      await deepL.close();
+    }
+  });
+
+  it("reports that DeepL can't be reached", async () => {
+    const offlineClient = new Client({ name: 'deepl-mcp-e2e', version: '1.0.0' });
+    await offlineClient.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [serverScript, '--api-key', 'e2e-key', '--server-url', `http://127.0.0.1:${await freePort()}`, '--max-retries', '0'],
+      env: serverEnv(),
+      stderr: 'ignore'
+    }));
+    try {
+      const result = await offlineClient.callTool({ name: 'translate-text', arguments: { text: 'Hello', sourceLangCode: 'en', targetLangCode: 'de' } });
+      assert.deepEqual([errorOf(result).errorCategory, errorOf(result).retryable], ['connection', true]);
+      assert.match(/** @type {{ text: string }[]} */ (result.content)[0].text, /^Translation failed: /);
+    } finally {
+      await offlineClient.close();
+    }
+  });
+
+  it('tells a mistake in the request apart from a missing glossary', async () => {
+    await assertToolError('translate-text', { text: 'Hello', targetLangCode: 'xx' }, 'invalid_input');
+    // deepl-node checks this one itself, and reports it as a plain DeepLError
+    const empty = await callTool('translate-text', { text: '', targetLangCode: 'de' });
+    assert.deepEqual([errorOf(empty).errorCategory, errorOf(empty).retryable], ['invalid_input', false]);
+    const result = await callTool('translate-text', { text: 'Hello', targetLangCode: 'de', glossaryId: '00000000-0000-0000-0000-000000000000' });
+    assert.deepEqual([errorOf(result).errorCategory, errorOf(result).retryable], ['glossary_not_found', false]);
+  });
+});
+
+describe('server settings', () => {
+  /**
+   * Start a server which should refuse its settings, and return what it wrote to stderr
+   * @param {string[]} args
+   * @param {Record<string, string>} [env]
+   */
+  async function startRejected(args, env = {}) {
+    const run = promisify(execFile)(process.execPath, [serverScript, '--mock', ...args], { env: { ...serverEnv(), ...env }, timeout: 10_000 });
+    const error = await run.then(() => assert.fail('The server started'), (/** @type {any} */ error) => error);
+    assert.equal(error.code, 1);
+    return error.stderr;
+  }
+
+  it('reports an invalid budget, cache or file setting as a configuration error', async () => {
+    assert.match(await startRejected([], { DEEPL_CACHE_TTL: 'abc' }), /Configuration error: Invalid cache TTL: abc is not a number/);
+    assert.match(await startRejected([], { DEEPL_CHARACTER_BUDGET: 'abc' }), /Configuration error: Invalid character budget: abc is not a number/);
+    assert.match(await startRejected(['--character-budget-period', 'week']), /Configuration error: Invalid character budget period: week/);
+    assert.match(await startRejected(['--overwrite-policy', 'replace']), /Configuration error: Invalid overwrite policy: replace/);
+    assert.match(await startRejected(['--allowed-dirs', path.join(workDir, 'missing')]), /Configuration error: Allowed directory .*missing is not a directory/);
+  });
+
+  it('takes the budget and file settings from the config file', async () => {
+    const configFile = path.join(workDir, 'settings.yaml');
+    await fs.writeFile(configFile, 'characterBudget: 100\noverwritePolicy: rename\nlanguagesTtl: 60\n');
+    const settingsClient = await connectClient(['--config', configFile]);
+    try {
+      const result = await settingsClient.callTool({ name: 'get-usage', arguments: {} });
+      assert.deepEqual(/** @type {any} */ (result.structuredContent).localCharacterBudget, { limit: 100, used: 0, remaining: 100, period: 'process' });
+
+      const inputFile = path.join(workDir, 'settings.txt');
+      await fs.writeFile(inputFile, 'Hello');
+      await fs.writeFile(path.join(workDir, 'settings_de.txt'), 'Already here');
+      const translation = await settingsClient.callTool({ name: 'translate-document', arguments: { inputFile, targetLangCode: 'de' } });
+      assert.equal(/** @type {any} */ (translation.structuredContent).outputFile, path.join(workDir, 'settings_de-1.txt'));
+    } finally {
+      await settingsClient.close();
+    }
+
+    assert.match(await startRejected(['--config', configFile], { DEEPL_CACHE_MAX_ENTRIES: '0' }), /Invalid cache size: 0/);
+  });
+});
+
+describe('HTTP transport', () => {
+  const authToken = 'e2e-secret';
+  const authorization = `Bearer ${authToken}`;
+  /** @type {Awaited<ReturnType<typeof startHttpServerProcess>>} */
+  let server;
+
+  before(async () => {
+    server = await startHttpServerProcess(['--auth-token', authToken]);
+  });
+
+  after(() => {
+    server?.child.kill();
+  });
+
+  it('reports its health without authentication', async () => {
+    const { status, body } = await httpRequest(`${server.url}/health`);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { status: 'ok', sessions: 0 });
+  });
+
+  it('refuses requests without the auth token', async () => {
+    const { status } = await httpRequest(`${server.url}/mcp`, { method: 'POST', body: {} });
+    assert.equal(status, 401);
+  });
+
+  it('refuses requests from other hosts and web pages', async () => {
+    const fromOtherHost = await httpRequest(`${server.url}/mcp`, { method: 'POST', headers: { authorization, host: `attacker.example:${server.port}` }, body: {} });
+    assert.equal(fromOtherHost.status, 403);
+    assert.match(fromOtherHost.body.error.message, /Host header attacker\.example/);
+
+    const fromWebPage = await httpRequest(`${server.url}/sse`, { headers: { authorization, origin: 'http://attacker.example' } });
+    assert.equal(fromWebPage.status, 403);
+    assert.match(fromWebPage.body.error.message, /Origin http:\/\/attacker\.example/);
+  });
+
+  it('serves a session over Streamable HTTP, and closes it when the client ends it', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${server.url}/mcp`), {
+      requestInit: { headers: { authorization, origin: `http://localhost:${server.port}` } }
+    });
+    const httpClient = new Client({ name: 'deepl-mcp-e2e', version: '1.0.0' });
+    await httpClient.connect(transport);
+    try {
+      const result = await httpClient.callTool({ name: 'translate-text', arguments: { text: 'Hello', targetLangCode: 'de' } });
+      assert.equal(/** @type {any} */ (result.structuredContent).text, '[DE] Hello');
+      assert.equal((await httpRequest(`${server.url}/health`)).body.sessions, 1);
+
+      await transport.terminateSession();
+      assert.equal((await httpRequest(`${server.url}/health`)).body.sessions, 0);
+    } finally {
+      await httpClient.close();
+    }
+  });
+
+  it('needs allowed directories to listen on an address other than a loopback address', async () => {
+    const run = promisify(execFile)(process.execPath, [
+      serverScript, '--mock', '--http', '--host', '0.0.0.0', '--port', String(await freePort()), '--auth-token', 'e2e-token'
+    ], { env: { ...serverEnv(), DEEPL_ALLOWED_DIRS: '' }, timeout: 10_000 });
+    await assert.rejects(run, (/** @type {any} */ error) => error.code === 1 && /Configuration error: Listening on 0\.0\.0\.0.*needs allowed directories/.test(error.stderr));
+  });
+
+  it('needs an auth token to listen on an address other than a loopback address', async () => {
+    const run = promisify(execFile)(process.execPath, [serverScript, '--mock', '--http', '--host', '0.0.0.0', '--port', String(await freePort())], {
+      env: serverEnv(),
+      timeout: 10_000
+    });
+    await assert.rejects(run, (/** @type {any} */ error) => error.code === 1 && /An auth token is needed to listen on 0\.0\.0\.0/.test(error.stderr));
+  });
+});
+
+describe('coverage', () => {
+  it('has tested every tool', async () => {
+    const { tools } = await client.listTools();
+    const untested = tools.map(tool => tool.name).filter(name => !calledTools.has(name));
+    assert.deepEqual(untested, []);
+  });
+});
@@ -0,0 +1,192 @@
+/*--------------------------------------------------------------------
+ *  Parser tests
+ *
+ *  Exercise the file and text parsers directly, for the edge cases
+ *  which are awkward to reach through the tools: quoting in CSV,
+ *  WebVTT headers and blocks, colliding i18n keys, TBX and glossary
+ *  rows, and the spans protected in plain text and Markdown.
+ *-------------------------------------------------------------------*/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsv } from '../src/csv.mjs';
+import { parseSubtitles, splitIntoSentences } from '../src/subtitles.mjs';
+import { i18nFormatFor } from '../src/i18nFiles.mjs';
+import { parseGlossaryFile, checkGlossaryTerms } from '../src/glossaryFiles.mjs';
+import { protectPlainText, protectMarkdown, compilePlaceholderPatterns } from '../src/protectedText.mjs';
+
+describe('CSV', () => {
+  it('reads quoted fields with delimiters, escaped quotes and line breaks', () => {
+    const content = '\uFEFFterm,translation\r\n"Hello, world","Sag ""Hallo""\r\nzur Welt"\r\n\r\nplain,"",x\n';
+    assert.deepEqual(parseCsv(content), [
+      ['term', 'translation'],
+      ['Hello, world', 'Sag "Hallo"\r\nzur Welt'],
+      ['plain', '', 'x']
+    ]);
+  });
+
+  it('only treats a quote at the start of a cell as quoting', () => {
+    assert.deepEqual(parseCsv('5" screen,12"\n'), [['5" screen', '12"']]);
+  });
+
+  it('reads TSV, where commas are part of the cells', () => {
+    assert.deepEqual(parseCsv('a, b\t"c\td"\n', '\t'), [['a, b', 'c\td']]);
+  });
+
+  it('refuses a quoted value which is never closed', () => {
+    assert.throws(() => parseCsv('"Hello,world\n'), /a quoted value is never closed/);
+  });
+
+  it('writes cells back so that they read the same', () => {
+    const rows = [['Hello, world', 'Sag "Hallo"'], ['two\nlines', 'plain']];
+    assert.equal(formatCsv(rows), '"Hello, world","Sag ""Hallo"""\n"two\nlines",plain\n');
+    assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+  });
+});
+
+describe('subtitles', () => {
+  const webvtt = [
+    'WEBVTT - Example',
+    'Kind: captions',
+    '',
+    'NOTE a comment',
+    'over two lines',
+    '',
+    'STYLE',
+    '::cue { color: red }',
+    '',
+    'intro',
+    '00:01.000 --> 00:02.500 align:start',
+    '<v Ann>Hello there,',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    'how are you?',
+    ''
+  ].join('\n');
+
+  it('reads the cues of a WebVTT file, skipping its header, notes and styles', () => {
+    const { cues } = parseSubtitles(webvtt, 'webvtt');
+    assert.deepEqual(cues, [
+      { start: 1000, end: 2500, lines: ['<v Ann>Hello there,'] },
+      { start: 3000, end: 4000, lines: ['how are you?'] }
+    ]);
+    assert.deepEqual(splitIntoSentences(cues).map(({ text }) => text), ['Hello there, how are you?']);
+  });
+
+  it('writes a WebVTT file back with only the cue text changed', () => {
+    const file = parseSubtitles(webvtt, 'webvtt');
+    assert.equal(file.write([null, null]), webvtt);
+    assert.equal(file.write([['<v Ann>Hallo,'], null]), webvtt.replace('<v Ann>Hello there,', '<v Ann>Hallo,'));
+  });
+
+  it('refuses a WebVTT file without its header', () => {
+    assert.throws(() => parseSubtitles('00:01.000 --> 00:02.000\nHello\n', 'webvtt'), /must start with "WEBVTT"/);
+    assert.throws(() => parseSubtitles('WEBVTTX\n\n00:01.000 --> 00:02.000\nHello\n', 'webvtt'), /must start with "WEBVTT"/);
+  });
+
+  it('keeps the byte order mark and line endings of an SRT file', () => {
+    const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\nHello\r\nworld.\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nBye.\r\n';
+    const file = parseSubtitles(srt, 'srt');
+    assert.deepEqual(file.cues.map(({ lines }) => lines), [['Hello', 'world.'], ['Bye.']]);
+    assert.equal(file.write([['Hallo Welt.'], null]), srt.replace('Hello\r\nworld.', 'Hallo Welt.'));
+  });
+
+  it('refuses a file without cues', () => {
+    assert.throws(() => parseSubtitles('1\n00:00:01 --> 00:00:02\nHello\n', 'srt'), /has no cues/);
+  });
+});
+
+describe('i18n files', () => {
+  it('refuses YAML keys which collide once joined', () => {
+    const yaml = 'menu:\n  file.open: Open\n  file:\n    open: Open file\n';
+    assert.throws(() => i18nFormatFor('messages.yaml').entries(yaml, {}), /both have the key "menu\.file\.open"/);
+  });
+
+  it('refuses JSON keys which collide once joined', () => {
+    const json = JSON.stringify({ 'a.b': 'One', a: { b: 'Two' } });
+    assert.throws(() => i18nFormatFor('en.json').entries(json, {}), /both have the key "a\.b"/);
+  });
+
+  it('leaves the locale out of the keys of Rails-style YAML files', () => {
+    const yaml = 'en:\n  greeting: Hello\n  menu:\n    open: Open\n';
+    assert.deepEqual(i18nFormatFor('en.yml').entries(yaml, { locale: 'en' }), [
+      { key: 'greeting', text: 'Hello' },
+      { key: 'menu.open', text: 'Open' }
+    ]);
+  });
+});
+
+describe('glossary files', () => {
+  it('reads CSV rows, with or without a header and languages', () => {
+    const csv = 'source,target\n"Hello, world",Hallo Welt\nbye,au revoir,en,fr\n\n';
+    assert.deepEqual(parseGlossaryFile(csv, 'csv', { sourceLang: 'en', targetLang: 'de' }), [
+      { sourceLang: 'en', targetLang: 'de', source: 'Hello, world', target: 'Hallo Welt', location: 'row 2' },
+      { sourceLang: 'en', targetLang: 'fr', source: 'bye', target: 'au revoir', location: 'row 3' }
+    ]);
+  });
+
+  it("refuses CSV rows when it doesn't know their languages", () => {
+    assert.throws(() => parseGlossaryFile('Hello,Hallo\n', 'csv'), /doesn't say which languages the terms in row 1 are in/);
+  });
+
+  it('reads TBX concepts in the direction given', () => {
+    const tbx = `<?xml version="1.0"?>
+<martif type="TBX" xml:lang="en"><text><body>
+  <termEntry id="c1">
+    <langSet xml:lang="en"><tig><term>cat &amp; dog</term></tig></langSet>
+    <langSet xml:lang="de"><tig><term>Katze und Hund</term></tig></langSet>
+    <langSet xml:lang="fr"><tig><term>chat et chien</term></tig></langSet>
+  </termEntry>
+</body></text></martif>`;
+    assert.deepEqual(parseGlossaryFile(tbx, 'tbx', { targetLang: 'fr' }), [
+      { sourceLang: 'en', targetLang: 'fr', source: 'cat & dog', target: 'chat et chien', location: 'term entry c1' }
+    ]);
+    assert.deepEqual(parseGlossaryFile(tbx, 'tbx', { sourceLang: 'de', targetLang: 'en' }).map(({ source, target }) => [source, target]), [
+      ['Katze und Hund', 'cat & dog']
+    ]);
+  });
+
+  it('refuses a TBX file without a root element', () => {
+    assert.throws(() => parseGlossaryFile('<glossary/>', 'tbx'), /no <martif> or <tbx> element/);
+  });
+
+  it('reports conflicting and duplicate terms', () => {
+    const term = (source, target, location) => ({ sourceLang: 'en', targetLang: 'de', source, target, location });
+    const { dictionaries, issues } = checkGlossaryTerms([
+      term('cat', 'Katze', 'row 1'), term('cat', 'Kater', 'row 2'), term('dog', 'Hund', 'row 3'), term('dog', 'Hund', 'row 4')
+    ]);
+    assert.deepEqual(dictionaries, [{ sourceLangCode: 'en', targetLangCode: 'de', entries: { cat: 'Katze', dog: 'Hund' } }]);
+    assert.deepEqual(issues.map(({ type, term, locations }) => [type, term, locations]), [
+      ['conflict', 'cat', ['row 1', 'row 2']],
+      ['duplicate', 'dog', ['row 3', 'row 4']]
+    ]);
+  });
+});
+
+describe('protected text', () => {
+  it('protects placeholders and URLs in plain text, and reports those the translation lost', () => {
+    const text = '  Hello {name}, see https://example.com/docs.  ';
+    const { segments, protectedSpans, restore } = protectPlainText(text);
+    assert.deepEqual(segments, ['Hello <mcp-ph i="0"/>, see <mcp-ph i="1"/>.']);
+    assert.equal(protectedSpans, 2);
+    assert.deepEqual(restore(segments), { text, issues: [] });
+    assert.deepEqual(restore(['Hallo <mcp-ph i="0"/>, siehe.']), {
+      text: '  Hallo {name}, siehe.  ',
+      issues: [{ type: 'missing', span: 'https://example.com/docs', segment: 0 }]
+    });
+  });
+
+  it('protects spans matching the given patterns', () => {
+    const { segments } = protectPlainText('Hello $USER_NAME', { patterns: compilePlaceholderPatterns(['\\$[A-Z_]+']) });
+    assert.deepEqual(segments, ['Hello <mcp-ph i="0"/>']);
+    assert.throws(() => compilePlaceholderPatterns(['(']), /Invalid placeholder pattern \(/);
+  });
+
+  it('keeps Markdown code as it is, and splits the rest into blocks', () => {
+    const markdown = '# Title\n\nRun `npm install` first.\n\n```js\nconst a = 1;\n```\n';
+    const { segments, restore } = protectMarkdown(markdown);
+    assert.deepEqual(segments, ['Title', 'Run <mcp-ph i="0"/> first.']);
+    assert.equal(restore(['Titel', 'Führe zuerst <mcp-ph i="0"/> aus.']).text,
+      '# Titel\n\nFühre zuerst `npm install` aus.\n\n```js\nconst a = 1;\n```\n');
+  });
+});